@@ -0,0 +1,139 @@
+const express = require('express');
+
+const { describeConfig } = require('./config');
+const { sendError, httpErrorHandler } = require('./errors');
+const { sameKey } = require('./stream');
+const { maskPhone, redact } = require('./webhooks');
+
+// Operator view of this instance: live sessions, their event timelines, force-termination and recent
+// failures. Everything needs options.adminKey (x-admin-key header, or ?key= for EventSource); without one
+// the API is off. Pairing codes, QR payloads and tokens are redacted like in webhooks.
+
+const KEEPALIVE_MS = 15_000;
+
+// Last `size` session errors, for grouping by disconnect reason. Per instance, in memory.
+function createFailureLog(size = 200) {
+  const entries = [];
+
+  return {
+    // Session observer (see PairingSession.notify).
+    observe(session, event, data) {
+      if (event !== 'session_error') return;
+      entries.push({
+        at: Date.now(),
+        id: session.id,
+        method: session.method,
+        tenant: session.tenant,
+        code: data.code,
+        disconnectReason: session.lastDisconnectReason ?? null,
+        message: data.message,
+      });
+      if (entries.length > size) entries.shift();
+    },
+
+    // { groups: [{ disconnectReason, count, codes: { CODE: n }, lastAt }], recent } with the biggest group first.
+    summary() {
+      const groups = new Map();
+      for (const e of entries) {
+        const key = e.disconnectReason ?? 'none';
+        const g = groups.get(key) || { disconnectReason: key, count: 0, codes: {}, lastAt: 0 };
+        g.count += 1;
+        g.codes[e.code] = (g.codes[e.code] || 0) + 1;
+        g.lastAt = Math.max(g.lastAt, e.at);
+        groups.set(key, g);
+      }
+      return { groups: [...groups.values()].sort((a, b) => b.count - a.count), recent: entries.slice(-50).reverse() };
+    },
+  };
+}
+
+function sessionRow(s) {
+  const t = Date.now();
+  return {
+    id: s.id,
+    method: s.method,
+    phone: maskPhone(s.phone),
+    tenant: s.tenant,
+    status: s.status || 'starting',
+    retries: s.retries,
+    subscribers: s.listenerCount('stream'),
+    queuePosition: s.queuePosition,
+    createdAt: s.createdAt,
+    ageMs: t - s.createdAt,
+    expiresInMs: Math.max(0, s.expiresAt - t),
+    lastEventAt: s.lastEventAt,
+  };
+}
+
+function timelineEntry(entry) {
+  return { ...entry, data: redact(entry.event, entry.data) };
+}
+
+// Mount under the admin page, e.g. app.use('/admin/api', pair.adminRouter()). Expects express.json() upstream.
+function createAdminRouter(server) {
+  const { adminKey } = server.options;
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!adminKey) return sendError(res, 'ADMIN_DISABLED', 'The admin API is off. Set adminKey (ADMIN_API_KEY).');
+    const key = String(req.get('x-admin-key') || req.query.key || '').trim();
+    if (!key || !sameKey(key, adminKey)) return sendError(res, 'UNAUTHORIZED', 'Unauthorized');
+    return next();
+  });
+
+  function requireSession(req, res, next) {
+    req.pairing = server.getSession(req.params.id);
+    if (!req.pairing) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
+    return next();
+  }
+
+  router.get('/sessions', (req, res) => {
+    const rows = [...server.sessions.values()].map(sessionRow).sort((a, b) => a.createdAt - b.createdAt);
+    res.json({ ok: true, sessions: rows, health: server.health() });
+  });
+
+  router.get('/sessions/:id', requireSession, (req, res) => {
+    res.json({ ok: true, session: sessionRow(req.pairing), events: req.pairing.events.map(timelineEntry) });
+  });
+
+  // Live timeline: the session's whole log, then each new entry, as `entry` events.
+  router.get('/sessions/:id/events', requireSession, (req, res) => {
+    const s = req.pairing;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    });
+    const send = (entry) => res.write(`event: entry\ndata: ${JSON.stringify(timelineEntry(entry))}\n\n`);
+    s.events.forEach(send);
+    s.on('timeline', send);
+
+    const keepAlive = setInterval(() => res.write('event: ping\ndata: {}\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      s.off('timeline', send);
+    });
+  });
+
+  // Force-terminates the session; its clients get an ADMIN_TERMINATED error.
+  router.delete('/sessions/:id', requireSession, async (req, res) => {
+    server.logger.warn({ id: req.pairing.id }, 'Session terminated by an operator');
+    await req.pairing.fail('ADMIN_TERMINATED', 'Session ended by an operator.');
+    res.json({ ok: true, id: req.pairing.id });
+  });
+
+  router.get('/failures', (req, res) => {
+    res.json({ ok: true, ...server.failures.summary() });
+  });
+
+  // The settings the server was started with (options.config); empty when built without lib/config.js.
+  router.get('/config', (req, res) => {
+    res.json({ ok: true, ...describeConfig(server.options.config) });
+  });
+
+  router.use(httpErrorHandler(server.logger));
+
+  return router;
+}
+
+module.exports = { createFailureLog, createAdminRouter };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+const fs = require('fs-extra');
+
+// API key registry. Each key belongs to a tenant and may restrict methods and delivery targets,
+// carry its own rate limit and daily quota, and expire. File format (API_KEYS_FILE), a JSON array of:
+//   { "tenant": "acme", "key": "..." | "keyHash": "<sha256 hex>", "id"?: "acme-prod",
+//     "methods"?: ["code", "qr"], "delivery"?: ["webhook"], "rateLimit"?: { "windowMs": 60000, "max": 10 },
+//     "dailyQuota"?: 500, "expiresAt"?: "2026-12-31T00:00:00Z", "revoked"?: false }
+// Usage counters are per instance and in memory; daily quotas reset at 00:00 UTC.
+
+const METHODS = ['code', 'qr'];
+const DAY_MS = 24 * 60 * 60_000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function normalizeEntry(e, where) {
+  if (!e || typeof e !== 'object') throw new Error(`${where}: must be an object`);
+  if (!e.tenant) throw new Error(`${where}: "tenant" is required`);
+  if (!e.key === !e.keyHash) throw new Error(`${where}: set exactly one of "key" or "keyHash"`);
+
+  const keyHash = e.keyHash ? String(e.keyHash).toLowerCase() : hashKey(e.key);
+  if (!/^[0-9a-f]{64}$/.test(keyHash)) throw new Error(`${where}: "keyHash" must be a sha256 hex digest`);
+
+  const methods = e.methods ? [...new Set(e.methods.map(String))] : null;
+  const badMethods = (methods || []).filter((m) => !METHODS.includes(m));
+  if (badMethods.length) throw new Error(`${where}: unknown method(s) ${badMethods.join(', ')}`);
+
+  const rateLimit = e.rateLimit ? { windowMs: Number(e.rateLimit.windowMs), max: Number(e.rateLimit.max) } : null;
+  if (rateLimit && !(rateLimit.windowMs > 0 && rateLimit.max >= 0)) {
+    throw new Error(`${where}: "rateLimit" needs a positive windowMs and a max`);
+  }
+
+  const expiresAt = e.expiresAt ? Date.parse(e.expiresAt) : null;
+  if (Number.isNaN(expiresAt)) throw new Error(`${where}: "expiresAt" is not a valid date`);
+
+  return {
+    id: String(e.id || keyHash.slice(0, 8)),
+    tenant: String(e.tenant),
+    keyHash,
+    methods,
+    delivery: e.delivery ? [...new Set(e.delivery.map(String))] : null,
+    rateLimit,
+    dailyQuota: e.dailyQuota === undefined || e.dailyQuota === null ? null : Number(e.dailyQuota),
+    expiresAt,
+    revoked: Boolean(e.revoked),
+  };
+}
+
+function loadApiKeys(file) {
+  const list = fs.readJsonSync(file);
+  if (!Array.isArray(list)) throw new Error(`${file} must contain a JSON array of API keys`);
+  return list;
+}
+
+function createApiKeyRegistry(list = []) {
+  let byHash = new Map();
+  // id -> { windowStart, windowCount, day, dayCount }
+  const usage = new Map();
+
+  // Replaces the key set. Returns the entries that were live before and are now revoked or gone.
+  function set(next) {
+    const entries = next.map((e, i) => normalizeEntry(e, `API key #${i + 1}`));
+    const ids = new Set();
+    for (const e of entries) {
+      if (ids.has(e.id)) throw new Error(`Duplicate API key id "${e.id}"`);
+      ids.add(e.id);
+    }
+
+    const nextById = new Map(entries.map((e) => [e.id, e]));
+    const dropped = [...byHash.values()].filter((old) => !old.revoked && (nextById.get(old.id)?.revoked ?? true));
+    byHash = new Map(entries.map((e) => [e.keyHash, e]));
+    return dropped;
+  }
+
+  set(list);
+
+  return {
+    get size() {
+      return byHash.size;
+    },
+    set,
+
+    authenticate(key, at = Date.now()) {
+      const entry = key ? byHash.get(hashKey(key)) : null;
+      if (!entry || entry.revoked) return { ok: false, code: 'UNAUTHORIZED', error: 'Unauthorized' };
+      if (entry.expiresAt !== null && at >= entry.expiresAt) return { ok: false, code: 'KEY_EXPIRED', error: 'API key expired' };
+      return { ok: true, entry };
+    },
+
+    // Counts one session against the key's rate limit and daily quota; returns an error instead if either is spent.
+    consume(entry, at = Date.now()) {
+      const u = usage.get(entry.id) || { windowStart: at, windowCount: 0, day: Math.floor(at / DAY_MS), dayCount: 0 };
+      if (entry.rateLimit && at - u.windowStart >= entry.rateLimit.windowMs) {
+        u.windowStart = at;
+        u.windowCount = 0;
+      }
+      if (u.day !== Math.floor(at / DAY_MS)) {
+        u.day = Math.floor(at / DAY_MS);
+        u.dayCount = 0;
+      }
+
+      if (entry.rateLimit && u.windowCount >= entry.rateLimit.max) {
+        return {
+          code: 'RATE_LIMITED',
+          error: 'Rate limit exceeded for this API key. Try again shortly.',
+          retryAfterMs: u.windowStart + entry.rateLimit.windowMs - at,
+        };
+      }
+      if (entry.dailyQuota !== null && u.dayCount >= entry.dailyQuota) {
+        return {
+          code: 'QUOTA_EXCEEDED',
+          error: 'Daily quota exceeded for this API key.',
+          retryAfterMs: (u.day + 1) * DAY_MS - at,
+        };
+      }
+
+      u.windowCount += 1;
+      u.dayCount += 1;
+      usage.set(entry.id, u);
+      return null;
+    },
+
+    revoke(id) {
+      const entry = [...byHash.values()].find((e) => e.id === id);
+      if (!entry || entry.revoked) return null;
+      entry.revoked = true;
+      return entry;
+    },
+
+    // Key metadata without hashes (for admin views and logs).
+    list(at = Date.now()) {
+      return [...byHash.values()].map(({ keyHash, ...rest }) => {
+        const u = usage.get(rest.id);
+        return { ...rest, usedToday: u && u.day === Math.floor(at / DAY_MS) ? u.dayCount : 0 };
+      });
+    },
+  };
+}
+
+module.exports = { METHODS, hashKey, loadApiKeys, createApiKeyRegistry };
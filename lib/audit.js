@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+
+const fs = require('fs-extra');
+
+// Durable audit trail of pairing attempts, one JSON line per attempt:
+//   { v, sessionId, tenant, keyId, ip, phoneHash, method, outcome, errorCode, disconnectReason, retries,
+//     format, createdAt, endedAt, durationMs }
+// outcome: exported | failed | cancelled | ended (torn down without a result) | rejected (POST /pair refused).
+// Phone numbers are stored only as HMAC-SHA256(secret, digits); tokens, codes and QR payloads never get here.
+// Files are <dir>/audit-YYYY-MM-DD.jsonl (UTC), continued as audit-YYYY-MM-DD.1.jsonl, .2, ... past maxBytes.
+
+const FILE_RE = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+function hashPhone(secret, phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return crypto.createHmac('sha256', secret).update(digits).digest('hex');
+}
+
+function fileName(day, part) {
+  return part ? `audit-${day}.${part}.jsonl` : `audit-${day}.jsonl`;
+}
+
+// Audit files in write order.
+async function listAuditFiles(dir) {
+  const names = await fs.readdir(dir).catch(() => []);
+  return names
+    .map((name) => ({ name, m: FILE_RE.exec(name) }))
+    .filter((f) => f.m)
+    .sort((a, b) => a.m[1].localeCompare(b.m[1]) || Number(a.m[2] || 0) - Number(b.m[2] || 0))
+    .map((f) => path.join(dir, f.name));
+}
+
+// opts: { dir, secret, maxBytes, logger }. With no dir, every call is a no-op.
+function createAuditLog({ dir, secret, maxBytes = 10 * 1024 * 1024, logger } = {}) {
+  // Per-session facts gathered from events until the session ends.
+  const seen = new WeakMap();
+  let current = null; // { day, part, size }
+  let writing = Promise.resolve();
+
+  async function target(bytes) {
+    const day = new Date().toISOString().slice(0, 10);
+    if (!current || current.day !== day) {
+      await fs.ensureDir(dir);
+      const parts = (await listAuditFiles(dir)).map((f) => FILE_RE.exec(path.basename(f))).filter((m) => m[1] === day);
+      const part = parts.length ? Math.max(...parts.map((m) => Number(m[2] || 0))) : 0;
+      const stat = await fs.stat(path.join(dir, fileName(day, part))).catch(() => null);
+      current = { day, part, size: stat ? stat.size : 0 };
+    }
+    if (current.size && current.size + bytes > maxBytes) current = { day, part: current.part + 1, size: 0 };
+    current.size += bytes;
+    return path.join(dir, fileName(current.day, current.part));
+  }
+
+  // Appends are chained so lines never interleave and size-based rotation sees every write.
+  function write(record) {
+    if (!dir) return Promise.resolve();
+    const line = `${JSON.stringify({ v: 1, ...record })}\n`;
+    writing = writing
+      .then(async () => fs.appendFile(await target(Buffer.byteLength(line)), line, { mode: 0o600 }))
+      .catch((e) => logger?.error({ err: e }, 'Failed to write audit record'));
+    return writing;
+  }
+
+  function base(fields) {
+    return {
+      sessionId: fields.id || null,
+      tenant: fields.tenant || null,
+      keyId: fields.keyId || null,
+      ip: fields.clientIp || null,
+      phoneHash: fields.phone ? hashPhone(secret, fields.phone) : null,
+      method: fields.method || null,
+    };
+  }
+
+  return {
+    enabled: Boolean(dir),
+
+    observe(session, event, data) {
+      if (!dir) return;
+      const s = seen.get(session) || { outcome: null, errorCode: null, disconnectReason: null, format: null, retries: 0 };
+      if (event === 'exported') {
+        s.outcome = 'exported';
+        s.format = data.format;
+      } else if (event === 'session_error' && !s.outcome) {
+        s.outcome = 'failed';
+        s.errorCode = data.code;
+        s.disconnectReason = session.lastDisconnectReason ?? null;
+      } else if (event === 'status' && data.status === 'cancelled' && !s.outcome) {
+        s.outcome = 'cancelled';
+      }
+      // session.retries resets once the socket opens; keep the highest seen.
+      s.retries = Math.max(s.retries, session.retries || 0);
+      seen.set(session, s);
+    },
+
+    // Called once when the session is torn down.
+    finish(session) {
+      if (!dir) return Promise.resolve();
+      const s = seen.get(session) || {};
+      seen.delete(session);
+      const endedAt = Date.now();
+      return write({
+        ...base(session),
+        outcome: s.outcome || 'ended',
+        errorCode: s.errorCode || null,
+        disconnectReason: s.disconnectReason ?? null,
+        retries: Math.max(s.retries || 0, session.retries || 0),
+        format: s.format || null,
+        createdAt: new Date(session.createdAt).toISOString(),
+        endedAt: new Date(endedAt).toISOString(),
+        durationMs: endedAt - session.createdAt,
+      });
+    },
+
+    // A POST /pair the server refused before any session existed.
+    rejected({ method, phone, clientIp, apiKey }, errorCode) {
+      const at = new Date().toISOString();
+      return write({
+        ...base({ method, phone, clientIp, tenant: apiKey?.tenant, keyId: apiKey?.id }),
+        outcome: 'rejected',
+        errorCode,
+        disconnectReason: null,
+        retries: 0,
+        format: null,
+        createdAt: at,
+        endedAt: at,
+        durationMs: 0,
+      });
+    },
+
+    flush: () => writing,
+  };
+}
+
+function ipFilter(spec) {
+  if (!spec) return () => true;
+  const list = new net.BlockList();
+  const [addr, prefix] = String(spec).split('/');
+  const family = net.isIPv6(addr) ? 'ipv6' : 'ipv4';
+  if (!net.isIP(addr)) throw new Error(`Invalid IP or CIDR range "${spec}"`);
+  if (prefix === undefined) list.addAddress(addr, family);
+  else list.addSubnet(addr, Number(prefix), family);
+  return (ip) => {
+    if (!ip) return false;
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d.
+    const plain = String(ip).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    return net.isIP(plain) ? list.check(plain, net.isIPv6(plain) ? 'ipv6' : 'ipv4') : false;
+  };
+}
+
+// Reads every audit file in dir and returns matching records, oldest first.
+// filter: { phone (hashed with secret), phoneHash, ip (address or CIDR), tenant, outcome, since, until, limit }
+async function queryAudit(dir, filter = {}, { secret } = {}) {
+  if (filter.phone && !secret) throw new Error('The audit secret is needed to search by phone number');
+  const phoneHash = filter.phoneHash || (filter.phone ? hashPhone(secret, filter.phone) : null);
+  const ipMatches = ipFilter(filter.ip);
+  const since = filter.since ? Date.parse(filter.since) : null;
+  const until = filter.until ? Date.parse(filter.until) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) throw new Error('since/until must be valid dates');
+
+  const out = [];
+  for (const file of await listAuditFiles(dir)) {
+    // eslint-disable-next-line no-await-in-loop
+    const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    for (const line of lines) {
+      let r;
+      try {
+        r = JSON.parse(line);
+      } catch (_) {
+        continue;
+      }
+      const at = Date.parse(r.createdAt);
+      if (phoneHash && r.phoneHash !== phoneHash) continue;
+      if (filter.ip && !ipMatches(r.ip)) continue;
+      if (filter.tenant && r.tenant !== filter.tenant) continue;
+      if (filter.outcome && r.outcome !== filter.outcome) continue;
+      if (since !== null && at < since) continue;
+      if (until !== null && at > until) continue;
+      out.push(r);
+    }
+  }
+  return filter.limit ? out.slice(-Number(filter.limit)) : out;
+}
+
+module.exports = { hashPhone, listAuditFiles, createAuditLog, queryAudit };
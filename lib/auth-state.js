@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const fs = require('fs-extra');
+const { BufferJSON, initAuthCreds, proto } = require('@whiskeysockets/baileys');
+
+// Auth-state providers. Each session gets a handle:
+//   load()      -> { state, saveCreds } for makeWASocket (called again on every retry)
+//   readFiles() -> { 'creds.json': Buffer, ... } plaintext, in the useMultiFileAuthState layout (for export)
+//   destroy()   -> drop everything the session left behind
+//
+//   files      plaintext files under the session dir (Baileys' useMultiFileAuthState layout)
+//   memory     nothing touches disk
+//   encrypted  files under the session dir, each AES-256-GCM sealed with a per-session key that only
+//              lives in memory. After a crash the leftovers are unreadable, and the boot sweep removes them.
+//              Given a secret (durable session stores), the key is derived from it and the session id instead,
+//              so whichever instance resumes the session can read them.
+const KINDS = ['files', 'memory', 'encrypted'];
+
+// Same naming as useMultiFileAuthState.
+function fixFileName(file) {
+  return file?.replace(/\//g, '__')?.replace(/:/g, '-');
+}
+
+function serialize(data) {
+  return Buffer.from(JSON.stringify(data, BufferJSON.replacer), 'utf8');
+}
+
+function deserialize(bytes) {
+  return JSON.parse(Buffer.from(bytes).toString('utf8'), BufferJSON.reviver);
+}
+
+// Builds Baileys auth state on top of a byte store: { read(name), write(name, bytes), remove(name), list() }.
+async function authStateFromStore(store) {
+  const readData = async (name) => {
+    const bytes = await store.read(fixFileName(name));
+    return bytes ? deserialize(bytes) : null;
+  };
+  const writeData = (name, data) => store.write(fixFileName(name), serialize(data));
+
+  const creds = (await readData('creds.json')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(
+            ids.map(async (id) => {
+              let value = await readData(`${type}-${id}.json`);
+              if (type === 'app-state-sync-key' && value) {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value);
+              }
+              data[id] = value;
+            })
+          );
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category of Object.keys(data)) {
+            for (const id of Object.keys(data[category])) {
+              const value = data[category][id];
+              const name = `${category}-${id}.json`;
+              tasks.push(value ? writeData(name, value) : store.remove(fixFileName(name)));
+            }
+          }
+          await Promise.all(tasks);
+        },
+      },
+    },
+    saveCreds: () => writeData('creds.json', creds),
+  };
+}
+
+function memoryStore() {
+  const files = new Map();
+  return {
+    read: async (name) => files.get(name) || null,
+    write: async (name, bytes) => {
+      files.set(name, Buffer.from(bytes));
+    },
+    remove: async (name) => {
+      files.delete(name);
+    },
+    list: async () => Object.fromEntries(files),
+    clear: () => files.clear(),
+  };
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(key, blob) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, blob.subarray(0, 12));
+  decipher.setAuthTag(blob.subarray(12, 28));
+  return Buffer.concat([decipher.update(blob.subarray(28)), decipher.final()]);
+}
+
+function encryptedFileStore(dir, key) {
+  const file = (name) => path.join(dir, `${name}.enc`);
+
+  // Serialize writes per file; Baileys can set the same key from overlapping events.
+  const pending = new Map();
+  const locked = (name, fn) => {
+    const run = (pending.get(name) || Promise.resolve()).then(fn, fn);
+    pending.set(name, run);
+    run.finally(() => {
+      if (pending.get(name) === run) pending.delete(name);
+    }).catch(() => {});
+    return run;
+  };
+
+  return {
+    read: async (name) => {
+      try {
+        return unseal(key, await fs.readFile(file(name)));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    write: (name, bytes) => locked(name, () => fs.writeFile(file(name), seal(key, bytes), { mode: 0o600 })),
+    remove: (name) => locked(name, () => fs.remove(file(name))),
+    list: async () => {
+      const out = {};
+      for (const entry of await fs.readdir(dir)) {
+        if (!entry.endsWith('.enc')) continue;
+        // eslint-disable-next-line no-await-in-loop
+        out[entry.slice(0, -'.enc'.length)] = unseal(key, await fs.readFile(path.join(dir, entry)));
+      }
+      return out;
+    },
+  };
+}
+
+function sessionKey(secret, id) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, id, 'mantra-auth-state', 32));
+}
+
+// deps: { useMultiFileAuthState, readAuthDir } (injected so the plaintext path stays Baileys' own implementation)
+// and, for resumable encrypted state, secret.
+function createAuthStateProvider(kind, deps) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown AUTH_STATE "${kind}" (use ${KINDS.join(', ')})`);
+
+  return {
+    kind,
+    async open(s) {
+      if (kind === 'files') {
+        await fs.ensureDir(s.dir);
+        return {
+          load: () => deps.useMultiFileAuthState(s.dir),
+          readFiles: () => deps.readAuthDir(s.dir),
+          destroy: () => fs.remove(s.dir),
+        };
+      }
+
+      if (kind === 'memory') {
+        const store = memoryStore();
+        return {
+          load: () => authStateFromStore(store),
+          readFiles: () => store.list(),
+          destroy: async () => store.clear(),
+        };
+      }
+
+      const key = deps.secret ? sessionKey(deps.secret, s.id) : crypto.randomBytes(32);
+      let store = encryptedFileStore(s.dir, key);
+      // A resumed session can't read what an earlier process sealed with a random key (or an older secret): start clean.
+      const readable = deps.secret && (await store.read('creds.json').then(Boolean, () => false));
+      if (!readable) {
+        await fs.remove(s.dir);
+        store = encryptedFileStore(s.dir, key);
+      }
+      await fs.ensureDir(s.dir);
+      return {
+        load: () => authStateFromStore(store),
+        readFiles: () => store.list(),
+        destroy: async () => {
+          key.fill(0);
+          await fs.remove(s.dir);
+        },
+      };
+    },
+  };
+}
+
+module.exports = {
+  KINDS,
+  createAuthStateProvider,
+};
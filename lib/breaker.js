@@ -0,0 +1,87 @@
+// Circuit breaker over pairing outcomes, one circuit per method, shared by every session of this instance.
+//   closed     sessions run; outcomes of the last windowMs are counted
+//   open       at least minSamples outcomes and a failureRatio share of failures: new sessions are refused
+//              and live ones stop retrying, for openMs
+//   half_open  one new session is let through as a probe; its outcome closes the circuit or opens it again
+// A connected socket is a success; a session_error WhatsApp caused (below) is a failure. Sessions that
+// expire or get cancelled say nothing about WhatsApp and aren't counted. minSamples 0 turns the breaker off.
+
+const FAILURE_CODES = ['WA_UNAVAILABLE', 'CODE_UNAVAILABLE', 'RETRY_EXHAUSTED'];
+
+// opts: { windowMs, minSamples, failureRatio, openMs }
+function createCircuitBreaker({ windowMs, minSamples, failureRatio, openMs }) {
+  // method -> { outcomes: [{ at, ok }], openedAt, probeUntil }
+  const circuits = new Map();
+
+  function circuit(method) {
+    if (!circuits.has(method)) circuits.set(method, { outcomes: [], openedAt: null, probeUntil: 0 });
+    return circuits.get(method);
+  }
+
+  function state(method, t = Date.now()) {
+    const c = circuit(method);
+    if (c.openedAt === null) return 'closed';
+    return t < c.openedAt + openMs ? 'open' : 'half_open';
+  }
+
+  function record(method, ok, t = Date.now()) {
+    if (!minSamples) return;
+    const c = circuit(method);
+    const current = state(method, t);
+    if (current === 'open') return;
+    if (current === 'half_open') {
+      c.outcomes = [];
+      c.probeUntil = 0;
+      c.openedAt = ok ? null : t;
+      return;
+    }
+    c.outcomes = c.outcomes.filter((o) => o.at > t - windowMs);
+    c.outcomes.push({ at: t, ok });
+    const failures = c.outcomes.filter((o) => !o.ok).length;
+    if (c.outcomes.length >= minSamples && failures / c.outcomes.length >= failureRatio) {
+      c.outcomes = [];
+      c.openedAt = t;
+    }
+  }
+
+  return {
+    state,
+
+    // null if a new session of this method may start, else { retryAfterMs } until the next try could pass.
+    check(method, t = Date.now()) {
+      const c = circuit(method);
+      const current = state(method, t);
+      if (current === 'open') return { retryAfterMs: c.openedAt + openMs - t };
+      if (current === 'half_open' && t < c.probeUntil) return { retryAfterMs: c.probeUntil - t };
+      return null;
+    },
+
+    // A session of this method is starting; in half_open it becomes the probe. Call after check() passed.
+    admit(method, t = Date.now()) {
+      if (state(method, t) === 'half_open') circuit(method).probeUntil = t + openMs;
+    },
+
+    record,
+
+    // Session observer (see PairingSession.notify).
+    observe(session, event, data) {
+      if (event === 'status' && data.status === 'connected') record(session.method, true);
+      else if (event === 'session_error' && FAILURE_CODES.includes(data.code)) record(session.method, false);
+    },
+
+    // What /health and GET /status report, per method.
+    snapshot(t = Date.now()) {
+      const out = {};
+      for (const method of ['code', 'qr']) {
+        const c = circuit(method);
+        const current = state(method, t);
+        const recent = c.outcomes.filter((o) => o.at > t - windowMs);
+        out[method] = { state: current, samples: recent.length, failures: recent.filter((o) => !o.ok).length };
+        if (current === 'open') out[method].retryAfterMs = c.openedAt + openMs - t;
+      }
+      return out;
+    },
+  };
+}
+
+module.exports = { FAILURE_CODES, createCircuitBreaker };
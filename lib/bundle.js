@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+
+const fs = require('fs-extra');
+
+const { ENVELOPE_V2, b64url, fromB64url, sealV2, openEnvelope } = require('./tokens');
+
+// MantraBundle~<version>.<bundleId>.<index>.<total>.<data>
+// MantraBundleEnc~ is the same layout, with <data> joined across chunks being an encrypted blob
+// (v1 envelope for bundle version 1, v2 envelope with key id for bundle version 2).
+const BUNDLE_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+const PLAIN_PREFIX = 'MantraBundle~';
+const ENC_PREFIX = 'MantraBundleEnc~';
+const DEFAULT_CHUNK_SIZE = 30_000;
+// Decoding limits. A freshly paired auth dir is well under 1 MB; these leave room for long-lived ones while keeping a
+// crafted token (gzip bomb, absurd chunk count) from eating the process before anything is verified.
+const MAX_CHUNKS = 1_000;
+const MAX_DATA_LENGTH = 8 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+
+// Reads every file under the auth dir into { 'relative/name.json': Buffer }.
+async function readAuthDir(dir) {
+  const files = {};
+  async function walk(sub) {
+    const entries = await fs.readdir(path.join(dir, sub), { withFileTypes: true });
+    for (const e of entries) {
+      const rel = sub ? `${sub}/${e.name}` : e.name;
+      if (e.isDirectory()) {
+        // eslint-disable-next-line no-await-in-loop
+        await walk(rel);
+      } else if (e.isFile()) {
+        // eslint-disable-next-line no-await-in-loop
+        files[rel] = await fs.readFile(path.join(dir, rel));
+      }
+    }
+  }
+  await walk('');
+  return files;
+}
+
+function exportBundleTokens(files, opts = {}) {
+  const encoded = {};
+  for (const [name, bytes] of Object.entries(files)) {
+    encoded[name] = Buffer.from(bytes).toString('base64');
+  }
+
+  const json = Buffer.from(JSON.stringify({ v: BUNDLE_VERSION, ts: Date.now(), files: encoded }), 'utf8');
+  let blob = zlib.gzipSync(json);
+  if (opts.encrypted) blob = sealV2(blob, opts.keyring ?? opts.secret);
+
+  const data = b64url(blob);
+  const chunkSize = Math.max(1_000, Number(opts.chunkSize) || DEFAULT_CHUNK_SIZE);
+  const total = Math.max(1, Math.ceil(data.length / chunkSize));
+  const bundleId = crypto.randomBytes(4).toString('hex');
+  const prefix = opts.encrypted ? ENC_PREFIX : PLAIN_PREFIX;
+
+  const tokens = [];
+  for (let i = 0; i < total; i += 1) {
+    const part = data.slice(i * chunkSize, (i + 1) * chunkSize);
+    tokens.push(`${prefix}${BUNDLE_VERSION}.${bundleId}.${i + 1}.${total}.${part}`);
+  }
+  return tokens;
+}
+
+function isBundleToken(token) {
+  const t = String(token || '').trim();
+  return t.startsWith(PLAIN_PREFIX) || t.startsWith(ENC_PREFIX);
+}
+
+function parseChunk(token) {
+  const t = String(token || '').trim();
+  const encrypted = t.startsWith(ENC_PREFIX);
+  if (!encrypted && !t.startsWith(PLAIN_PREFIX)) throw new Error('Not a MantraBundle token');
+
+  const parts = t.slice(encrypted ? ENC_PREFIX.length : PLAIN_PREFIX.length).split('.');
+  if (parts.length !== 5) throw new Error('Malformed bundle token');
+
+  const [version, bundleId, index, total, data] = parts;
+  const v = Number(version);
+  if (!SUPPORTED_VERSIONS.includes(v)) throw new Error(`Unsupported bundle version: ${version}`);
+
+  const i = Number(index);
+  const n = Number(total);
+  if (!Number.isInteger(i) || !Number.isInteger(n) || i < 1 || i > n) {
+    throw new Error('Malformed bundle chunk index');
+  }
+  if (n > MAX_CHUNKS) throw new Error(`Bundle has too many chunks (${n}, max ${MAX_CHUNKS})`);
+  return { version: v, encrypted, bundleId, index: i, total: n, data };
+}
+
+// Accepts the chunks in any order; all must belong to the same bundle.
+async function decodeBundleTokens(tokens, opts = {}) {
+  if (tokens.length > MAX_CHUNKS) throw new Error(`Too many bundle tokens (${tokens.length}, max ${MAX_CHUNKS})`);
+  const chunks = tokens.map(parseChunk);
+  if (!chunks.length) throw new Error('No bundle tokens given');
+  const dataLength = chunks.reduce((sum, c) => sum + c.data.length, 0);
+  if (dataLength > MAX_DATA_LENGTH) throw new Error('Bundle is too large');
+
+  const { version, bundleId, total, encrypted } = chunks[0];
+  const byIndex = new Map();
+  for (const c of chunks) {
+    if (c.version !== version || c.bundleId !== bundleId || c.total !== total || c.encrypted !== encrypted) {
+      throw new Error('Bundle tokens come from different exports');
+    }
+    byIndex.set(c.index, c.data);
+  }
+  for (let i = 1; i <= total; i += 1) {
+    if (!byIndex.has(i)) throw new Error(`Missing bundle chunk ${i} of ${total}`);
+  }
+
+  let blob = fromB64url(Array.from({ length: total }, (_, i) => byIndex.get(i + 1)).join(''));
+  let encryption = null;
+  if (encrypted) {
+    const opened = await openEnvelope(blob, opts.keyring ?? opts.secret, version === 1 ? 1 : ENVELOPE_V2);
+    blob = opened.plaintext;
+    encryption = { version: opened.version, kid: opened.kid, retired: opened.retired };
+  }
+
+  let inflated;
+  try {
+    inflated = zlib.gunzipSync(blob, { maxOutputLength: MAX_INFLATED_BYTES });
+  } catch (e) {
+    if (e instanceof RangeError || e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('Bundle is too large once inflated');
+    throw new Error('Bundle data is not valid gzip');
+  }
+  let payload;
+  try {
+    payload = JSON.parse(inflated.toString('utf8'));
+  } catch (_) {
+    throw new Error('Invalid bundle payload');
+  }
+  if (payload?.v !== version || !payload.files || typeof payload.files !== 'object') {
+    throw new Error('Invalid bundle payload');
+  }
+
+  const files = {};
+  for (const [name, b64] of Object.entries(payload.files)) {
+    files[name] = Buffer.from(b64, 'base64');
+  }
+  return { v: payload.v, ts: payload.ts, encrypted, encryption, files };
+}
+
+// Writes the decoded files back out, recreating the useMultiFileAuthState layout under dir.
+async function restoreBundle(tokens, dir, opts = {}) {
+  const bundle = await decodeBundleTokens(tokens, opts);
+  const root = path.resolve(dir);
+  await fs.ensureDir(root);
+
+  for (const [name, bytes] of Object.entries(bundle.files)) {
+    const target = path.resolve(root, name);
+    if (!target.startsWith(root + path.sep)) throw new Error(`Refusing to write outside ${root}: ${name}`);
+    // eslint-disable-next-line no-await-in-loop
+    await fs.outputFile(target, bytes);
+  }
+  return bundle;
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  readAuthDir,
+  exportBundleTokens,
+  isBundleToken,
+  decodeBundleTokens,
+  restoreBundle,
+};
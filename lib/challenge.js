@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Optional gate in front of POST /pair. A verifier is any object with:
+//   name
+//   issue({ ip })          -> what GET /challenge returns (merged into { ok: true, type: name, ... })
+//   verify(proof, { ip })  -> { ok: true } | { ok: false, error, code? }   (may be async; code defaults to
+//                             CHALLENGE_INVALID, CHALLENGE_UNAVAILABLE means the check itself couldn't run)
+// `proof` is the `challenge` field of the POST /pair body. Two are built in: proof-of-work and a generic
+// CAPTCHA siteverify client (hCaptcha, Turnstile and reCAPTCHA share that API).
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// Proof-of-work: find a counter so that sha256("<token>:<counter>") starts with `difficulty` zero bits.
+// Tokens are HMAC-signed, expire after ttlMs and are single use (per instance). Difficulty goes up one bit for
+// every `difficultyStep` live sessions reported by load(), capped at maxDifficulty.
+// opts: { secret, difficulty, maxDifficulty, difficultyStep, ttlMs, load }
+function createPowVerifier({ secret, difficulty = 16, maxDifficulty = 22, difficultyStep = 25, ttlMs = 2 * 60_000, load }) {
+  const key = secret || crypto.randomBytes(32);
+  // nonce -> expiry, for replay protection
+  const used = new Map();
+
+  function currentDifficulty() {
+    const extra = difficultyStep > 0 ? Math.floor((load ? load() : 0) / difficultyStep) : 0;
+    return Math.min(maxDifficulty, difficulty + extra);
+  }
+
+  return {
+    name: 'pow',
+
+    issue() {
+      const d = currentDifficulty();
+      const expiresAt = Date.now() + ttlMs;
+      const payload = b64url(JSON.stringify({ n: crypto.randomBytes(12).toString('hex'), d, e: expiresAt }));
+      return { token: `${payload}.${sign(key, payload)}`, difficulty: d, algorithm: 'sha256', expiresAt };
+    },
+
+    verify(proof) {
+      const token = String(proof?.token || '');
+      const [payload, sig] = token.split('.');
+      const expected = payload ? sign(key, payload) : '';
+      if (!sig || sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+        return { ok: false, error: 'Invalid challenge token.' };
+      }
+      const { n, d, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const at = Date.now();
+      if (e <= at) return { ok: false, error: 'Challenge expired. Request a new one.' };
+
+      const hash = crypto.createHash('sha256').update(`${token}:${String(proof.solution ?? '')}`).digest();
+      if (leadingZeroBits(hash) < d) return { ok: false, error: 'Challenge solution is wrong.' };
+
+      for (const [nonce, exp] of used) if (exp <= at) used.delete(nonce);
+      if (used.has(n)) return { ok: false, error: 'Challenge already used. Request a new one.' };
+      used.set(n, e);
+      return { ok: true };
+    },
+  };
+}
+
+// CAPTCHA: the page renders the provider's widget with siteKey and sends the widget's response as challenge.token.
+// opts: { verifyUrl, secret, siteKey, provider, timeoutMs }
+function createCaptchaVerifier({ verifyUrl, secret, siteKey, provider = 'captcha', timeoutMs = 10_000 }) {
+  if (!verifyUrl || !secret) throw new Error('The CAPTCHA verifier needs verifyUrl and secret');
+
+  return {
+    name: 'captcha',
+
+    issue() {
+      return { provider, siteKey };
+    },
+
+    async verify(proof, { ip } = {}) {
+      const response = String(proof?.token || '');
+      if (!response) return { ok: false, error: 'Missing CAPTCHA response.' };
+      const body = new URLSearchParams({ secret, response, ...(ip ? { remoteip: ip } : {}) });
+      try {
+        const res = await fetch(verifyUrl, { method: 'POST', body, signal: AbortSignal.timeout(timeoutMs) });
+        const data = await res.json();
+        return data.success === true ? { ok: true } : { ok: false, error: 'CAPTCHA check failed.' };
+      } catch (e) {
+        return { ok: false, code: 'CHALLENGE_UNAVAILABLE', error: `CAPTCHA provider unreachable: ${e.message}` };
+      }
+    },
+  };
+}
+
+module.exports = { leadingZeroBits, createPowVerifier, createCaptchaVerifier };
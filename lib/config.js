@@ -0,0 +1,428 @@
+const fs = require('fs');
+const path = require('path');
+
+const { TARGETS } = require('./delivery');
+
+// The standalone server's settings: every environment variable it understands, with type, range and default.
+// loadConfig() reads them from the environment on top of an optional CONFIG_FILE (JSON, or YAML limited to flat
+// `KEY: value` lines) and reports every problem at once; lib/env.js turns the result into createPairServer options.
+
+const MINUTE = 60_000;
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+const ms = (def, min = 1) => ({ type: 'ms', default: def, min });
+const int = (def, min, max) => ({ type: 'int', default: def, min, max });
+const num = (def, min, max) => ({ type: 'number', default: def, min, max });
+const str = (def = '') => ({ type: 'string', default: def });
+const secret = () => ({ type: 'string', default: '', secret: true });
+const oneOf = (def, values) => ({ type: 'enum', default: def, values });
+const url = () => ({ type: 'url', default: '' });
+const flag = () => ({ type: 'bool', default: false });
+
+const SETTINGS = {
+  PORT: int(3000, 1, 65535),
+  TRUST_PROXY: str(),
+  LOG_LEVEL: oneOf('info', LOG_LEVELS),
+
+  PAIR_API_KEY: secret(),
+  ADMIN_API_KEY: secret(),
+  API_KEYS_FILE: str(),
+
+  SESSION_TTL_MS: ms(5 * MINUTE),
+  SESSION_IDLE_TTL_MS: ms(2 * MINUTE),
+  SESSION_SWEEP_MS: ms(30_000, 100),
+  DRAIN_TIMEOUT_MS: ms(25_000, 0),
+  MAX_ACTIVE_SESSIONS: int(50, 0),
+  MAX_QUEUED: int(200, 0),
+  QUEUE_TIMEOUT_MS: ms(10 * MINUTE),
+
+  MAX_RETRIES: int(8, 0),
+  RETRY_DELAY_MS: ms(4_000),
+  RETRY_DELAY_MAX_MS: ms(30_000),
+
+  CODE_REQUEST_DELAY_MS: ms(5_000, 0),
+  EXPORT_DELAY_MS: ms(1_200, 0),
+  CLEANUP_DELAY_MS: ms(2_500, 0),
+
+  PAIR_WINDOW_MS: ms(60_000),
+  PAIR_MAX: int(20, 1),
+  EVENT_LOG_SIZE: int(50, 1),
+
+  BREAKER_WINDOW_MS: ms(5 * MINUTE),
+  BREAKER_MIN_SAMPLES: int(5, 0),
+  BREAKER_FAILURE_RATIO: num(0.6, 0, 1),
+  BREAKER_OPEN_MS: ms(2 * MINUTE),
+  BREAKER_CODE_FALLBACK: oneOf('reject', ['reject', 'qr']),
+
+  CHALLENGE: oneOf('off', ['off', 'pow', 'captcha']),
+  CHALLENGE_SECRET: secret(),
+  POW_DIFFICULTY: int(16, 1, 32),
+  POW_MAX_DIFFICULTY: int(22, 1, 32),
+  POW_DIFFICULTY_STEP: int(25, 1),
+  CHALLENGE_TTL_MS: ms(2 * MINUTE),
+  CAPTCHA_VERIFY_URL: url(),
+  CAPTCHA_SECRET: secret(),
+  CAPTCHA_SITE_KEY: str(),
+  CAPTCHA_PROVIDER: str('captcha'),
+
+  PHONE_WINDOW_MS: ms(60 * MINUTE),
+  PHONE_MAX: int(5, 1),
+  PHONE_COOLDOWN_AFTER: int(3, 0),
+  PHONE_COOLDOWN_MS: ms(15 * MINUTE),
+  PHONE_COOLDOWN_MAX_MS: ms(24 * 60 * MINUTE),
+  PHONE_ALLOW: str(),
+  PHONE_DENY: str(),
+
+  COMPLETION_TEMPLATES_DIR: str(),
+  COMPLETION_LOCALE: str('en'),
+  BOT_NAME: str('bot'),
+  DOCS_URL: url(),
+
+  EXPORT_ENCRYPTED: flag(),
+  EXPORT_BUNDLE: flag(),
+  BUNDLE_CHUNK_SIZE: int(30_000, 1_000),
+  SESSION_SECRET: secret(),
+  SESSION_KEY_ID: str(),
+  SESSION_SECRETS_RETIRED: secret(),
+
+  DELIVERY_TARGETS: str('self'),
+  DELIVERY_ALLOWED: str(),
+  DELIVERY_WEBHOOK_URL: url(),
+  DELIVERY_WEBHOOK_SECRET: secret(),
+  DELIVERY_WEBHOOK_TIMEOUT_MS: ms(10_000),
+  DELIVERY_DIR: str(),
+
+  WEBHOOK_URLS: str(),
+  WEBHOOK_SECRET: secret(),
+  WEBHOOKS_FILE: str(),
+  WEBHOOK_MAX_ATTEMPTS: int(6, 1),
+  WEBHOOK_RETRY_MS: ms(2_000),
+  WEBHOOK_RETRY_MAX_MS: ms(5 * MINUTE),
+  WEBHOOK_TIMEOUT_MS: ms(10_000),
+  WEBHOOK_DEADLETTER_FILE: str(),
+
+  AUDIT_DIR: str(),
+  AUDIT_SECRET: secret(),
+  AUDIT_MAX_BYTES: int(10 * 1024 * 1024, 1024),
+
+  SESSION_STORE: oneOf('memory', ['memory', 'file']),
+  SESSION_STORE_DIR: str(),
+  INSTANCE_ID: str(),
+  AUTH_STATE: oneOf('encrypted', ['encrypted', 'files', 'memory']),
+};
+
+function targets(value) {
+  return String(value || '').split(',').map((t) => t.trim()).filter(Boolean);
+}
+
+// Which setting enables a delivery target, for messages; null if neither does.
+function targetSetting(c, target) {
+  if (targets(c.DELIVERY_TARGETS).includes(target)) return 'DELIVERY_TARGETS';
+  return targets(c.DELIVERY_ALLOWED).includes(target) ? 'DELIVERY_ALLOWED' : null;
+}
+
+// Settings that only make sense together. Each rule is skipped while one of its keys is itself invalid.
+const RULES = [
+  {
+    keys: ['EXPORT_ENCRYPTED', 'SESSION_SECRET'],
+    check: (c) => c.EXPORT_ENCRYPTED && !c.SESSION_SECRET && 'EXPORT_ENCRYPTED=true needs SESSION_SECRET to seal tokens',
+  },
+  {
+    keys: ['EXPORT_ENCRYPTED', 'SESSION_KEY_ID'],
+    check: (c) =>
+      c.EXPORT_ENCRYPTED && !c.SESSION_KEY_ID && 'EXPORT_ENCRYPTED=true needs SESSION_KEY_ID to name the key in token headers',
+  },
+  {
+    keys: ['AUDIT_DIR', 'AUDIT_SECRET'],
+    check: (c) => c.AUDIT_DIR && !c.AUDIT_SECRET && 'AUDIT_DIR needs AUDIT_SECRET (phone numbers are stored as HMACs)',
+  },
+  {
+    keys: ['CHALLENGE', 'CAPTCHA_VERIFY_URL', 'CAPTCHA_SECRET'],
+    check: (c) =>
+      c.CHALLENGE === 'captcha' &&
+      !(c.CAPTCHA_VERIFY_URL && c.CAPTCHA_SECRET) &&
+      'CHALLENGE=captcha needs CAPTCHA_VERIFY_URL and CAPTCHA_SECRET',
+  },
+  {
+    keys: ['RETRY_DELAY_MS', 'RETRY_DELAY_MAX_MS'],
+    check: (c) => c.RETRY_DELAY_MAX_MS < c.RETRY_DELAY_MS && 'RETRY_DELAY_MAX_MS must be at least RETRY_DELAY_MS',
+  },
+  {
+    keys: ['WEBHOOK_RETRY_MS', 'WEBHOOK_RETRY_MAX_MS'],
+    check: (c) => c.WEBHOOK_RETRY_MAX_MS < c.WEBHOOK_RETRY_MS && 'WEBHOOK_RETRY_MAX_MS must be at least WEBHOOK_RETRY_MS',
+  },
+  {
+    keys: ['PHONE_COOLDOWN_MS', 'PHONE_COOLDOWN_MAX_MS'],
+    check: (c) =>
+      c.PHONE_COOLDOWN_MAX_MS < c.PHONE_COOLDOWN_MS && 'PHONE_COOLDOWN_MAX_MS must be at least PHONE_COOLDOWN_MS',
+  },
+  {
+    keys: ['POW_DIFFICULTY', 'POW_MAX_DIFFICULTY'],
+    check: (c) => c.POW_MAX_DIFFICULTY < c.POW_DIFFICULTY && 'POW_MAX_DIFFICULTY must be at least POW_DIFFICULTY',
+  },
+  {
+    keys: ['DELIVERY_TARGETS', 'DELIVERY_ALLOWED'],
+    check: (c) => {
+      const unknown = [...targets(c.DELIVERY_TARGETS), ...targets(c.DELIVERY_ALLOWED)].filter((t) => !TARGETS.includes(t));
+      return unknown.length > 0 && `Unknown delivery target(s) ${unknown.join(', ')} (use ${TARGETS.join(', ')})`;
+    },
+  },
+  // Allowed targets get their adapter built at startup too, so they need the same settings as default ones.
+  {
+    keys: ['DELIVERY_TARGETS', 'DELIVERY_ALLOWED', 'DELIVERY_WEBHOOK_URL', 'DELIVERY_WEBHOOK_SECRET'],
+    check: (c) =>
+      targetSetting(c, 'webhook') &&
+      !(c.DELIVERY_WEBHOOK_URL && c.DELIVERY_WEBHOOK_SECRET) &&
+      `${targetSetting(c, 'webhook')}=webhook needs DELIVERY_WEBHOOK_URL and DELIVERY_WEBHOOK_SECRET`,
+  },
+  {
+    keys: ['DELIVERY_TARGETS', 'DELIVERY_ALLOWED', 'DELIVERY_DIR'],
+    check: (c) => targetSetting(c, 'file') && !c.DELIVERY_DIR && `${targetSetting(c, 'file')}=file needs DELIVERY_DIR`,
+  },
+  {
+    keys: ['DELIVERY_TARGETS', 'DELIVERY_ALLOWED', 'PAIR_API_KEY', 'API_KEYS_FILE'],
+    check: (c) =>
+      [...targets(c.DELIVERY_TARGETS), ...targets(c.DELIVERY_ALLOWED)].includes('sse') &&
+      !(c.PAIR_API_KEY || c.API_KEYS_FILE) &&
+      'The "sse" delivery target needs PAIR_API_KEY or API_KEYS_FILE (the stream must be authenticated)',
+  },
+  {
+    keys: ['SESSION_STORE', 'AUTH_STATE', 'SESSION_SECRET'],
+    check: (c) => {
+      if (c.SESSION_STORE !== 'file') return false;
+      if (c.AUTH_STATE === 'memory') {
+        return "SESSION_STORE=file needs AUTH_STATE=encrypted or files (AUTH_STATE=memory doesn't survive a restart, so resumed sessions would have no credentials)";
+      }
+      return (
+        c.AUTH_STATE === 'encrypted' &&
+        !c.SESSION_SECRET &&
+        'SESSION_STORE=file with AUTH_STATE=encrypted needs SESSION_SECRET (the auth state key is derived from it so another instance can resume)'
+      );
+    },
+  },
+];
+
+// Thrown by loadConfig(); errors lists one readable line per problem.
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const DURATION_RE = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/i;
+const UNIT_MS = { ms: 1, s: 1000, m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE };
+
+function checkRange(spec, n) {
+  if (spec.min !== undefined && n < spec.min) return `must be at least ${spec.min}, got ${n}`;
+  if (spec.max !== undefined && n > spec.max) return `must be at most ${spec.max}, got ${n}`;
+  return null;
+}
+
+// { value } or { error }. raw is a string (env, YAML) or a JSON scalar.
+function parseValue(spec, raw) {
+  if (raw !== null && typeof raw === 'object') return { error: 'expected a single value, not a list or object' };
+  const text = String(raw).trim();
+  const shown = JSON.stringify(text);
+
+  switch (spec.type) {
+    case 'ms':
+    case 'int': {
+      if (!/^-?\d+$/.test(text)) {
+        const d = spec.type === 'ms' && DURATION_RE.exec(text);
+        if (d) {
+          const inMs = Math.round(Number(d[1]) * UNIT_MS[d[2].toLowerCase()]);
+          return { error: `expected milliseconds as a whole number, got ${shown} (did you mean ${inMs}?)` };
+        }
+        return { error: `expected a whole number${spec.type === 'ms' ? ' of milliseconds' : ''}, got ${shown}` };
+      }
+      const n = Number(text);
+      const range = checkRange(spec, n);
+      return range ? { error: range } : { value: n };
+    }
+    case 'number': {
+      const n = text === '' ? NaN : Number(text);
+      if (!Number.isFinite(n)) return { error: `expected a number, got ${shown}` };
+      const range = checkRange(spec, n);
+      return range ? { error: range } : { value: n };
+    }
+    case 'bool': {
+      const v = text.toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(v)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(v)) return { value: false };
+      return { error: `expected true or false, got ${shown}` };
+    }
+    case 'enum': {
+      const v = text.toLowerCase();
+      return spec.values.includes(v) ? { value: v } : { error: `expected one of ${spec.values.join(', ')}, got ${shown}` };
+    }
+    case 'url': {
+      try {
+        const u = new URL(text);
+        if (u.protocol === 'http:' || u.protocol === 'https:') return { value: text };
+      } catch (_) {}
+      return { error: `expected an http(s) URL, got ${shown}` };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+function unquote(value, where) {
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (_) {
+      throw new ConfigError([`${where}: unterminated or invalid "quoted" value`]);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) throw new ConfigError([`${where}: unterminated 'quoted' value`]);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+// Drops a `# comment` that starts the line or follows whitespace, outside quotes.
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+// Flat YAML: `KEY: value` lines, # comments, quoted strings, `~` / `null` / nothing for "not set".
+function parseYaml(text, file) {
+  const out = {};
+  text.split(/\r?\n/).forEach((line, i) => {
+    const where = `${file}:${i + 1}`;
+    const stripped = stripComment(line).trimEnd();
+    if (!stripped.trim() || stripped.trim() === '---') return;
+    const m = /^([A-Za-z0-9_]+)\s*:(?:\s+(.*))?$/.exec(stripped);
+    if (!m) throw new ConfigError([`${where}: expected "KEY: value" (nested YAML isn't supported)`]);
+    const value = (m[2] || '').trim();
+    out[m[1]] = value === '' || value === '~' || value === 'null' ? null : unquote(value, where);
+  });
+  return out;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new ConfigError([`CONFIG_FILE: can't read ${file} (${e.code || e.message})`]);
+  }
+  const ext = path.extname(file).toLowerCase();
+  let data;
+  if (ext === '.json') {
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new ConfigError([`${file}: ${e.message}`]);
+    }
+  } else if (ext === '.yaml' || ext === '.yml') {
+    data = parseYaml(text, file);
+  } else {
+    throw new ConfigError([`CONFIG_FILE: ${file} must end in .json, .yaml or .yml`]);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError([`${file}: expected an object of settings (e.g. { "SESSION_TTL_MS": 300000 })`]);
+  }
+  return data;
+}
+
+function distance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function suggest(key) {
+  const upper = key.toUpperCase();
+  const best = Object.keys(SETTINGS)
+    .map((k) => [k, distance(upper, k)])
+    .sort((a, b) => a[1] - b[1])[0];
+  return best && best[1] <= 3 ? ` (did you mean ${best[0]}?)` : '';
+}
+
+// env: process.env or similar; CONFIG_FILE (or opts.file) names the optional settings file. Environment
+// variables win over the file; an empty variable counts as unset.
+// Returns { values, sources, file }: values by setting name, sources 'env' | 'file' | 'default'.
+function loadConfig(env = {}, { file = env.CONFIG_FILE || null } = {}) {
+  const fromFile = file ? readConfigFile(file) : {};
+  const errors = [];
+  const values = {};
+  const sources = {};
+  const invalid = new Set();
+
+  for (const key of Object.keys(fromFile)) {
+    if (!SETTINGS[key]) errors.push(`${key} (${file}): unknown setting${suggest(key)}`);
+  }
+
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    let raw;
+    let source = 'default';
+    if (env[key] !== undefined && env[key] !== '') {
+      raw = env[key];
+      source = 'env';
+    } else if (fromFile[key] !== undefined && fromFile[key] !== null && fromFile[key] !== '') {
+      raw = fromFile[key];
+      source = 'file';
+    }
+
+    sources[key] = source;
+    if (source === 'default') {
+      values[key] = spec.default;
+      continue;
+    }
+    const parsed = parseValue(spec, raw);
+    if (parsed.error) {
+      errors.push(`${key} (${source === 'env' ? 'environment' : file}): ${parsed.error}`);
+      invalid.add(key);
+      values[key] = spec.default;
+    } else {
+      values[key] = parsed.value;
+    }
+  }
+
+  for (const rule of RULES) {
+    if (rule.keys.some((k) => invalid.has(k))) continue;
+    const problem = rule.check(values);
+    if (problem) errors.push(problem);
+  }
+
+  if (errors.length) throw new ConfigError(errors);
+  return { values, sources, file };
+}
+
+// What GET /admin/api/config shows: every setting with its source; secrets only say whether they're set.
+function describeConfig(config) {
+  if (!config) return { file: null, settings: {} };
+  const settings = {};
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    const value = config.values[key];
+    settings[key] = {
+      value: spec.secret ? (value ? '[redacted]' : '') : value,
+      source: config.sources[key],
+    };
+  }
+  return { file: config.file, settings };
+}
+
+module.exports = { SETTINGS, ConfigError, loadConfig, describeConfig };
@@ -0,0 +1,154 @@
+const { ENVELOPE_V2, fromB64url, openEnvelope } = require('./tokens');
+const { isBundleToken, decodeBundleTokens } = require('./bundle');
+
+// Reads back anything exportTokensFromCreds / exportBundleTokens produce:
+//   Mantra~<base64 creds.json>
+//   MantraEnc~<b64url v1 envelope of {v,creds,ts}>
+//   MantraEnc~2.<b64url v2 envelope of {v,creds,ts}> (see lib/tokens.js)
+//   MantraBundle~ / MantraBundleEnc~ chunks (see lib/bundle.js)
+
+const JID_RE = /^(\d+)(?::\d+)?@s\.whatsapp\.net$/;
+
+// Splits pasted text (possibly several WhatsApp messages with ``` fences) into tokens.
+function splitTokens(input) {
+  const list = Array.isArray(input) ? input : [input];
+  return list
+    .flatMap((t) => String(t || '').replace(/```/g, ' ').split(/\s+/))
+    .filter(Boolean);
+}
+
+function parseCredsJson(bytes) {
+  try {
+    return JSON.parse(Buffer.from(bytes).toString('utf8'));
+  } catch (_) {
+    throw new Error('creds.json is not valid JSON');
+  }
+}
+
+async function decodeEncrypted(data, keyring) {
+  const v2Prefix = `${ENVELOPE_V2}.`;
+  const version = data.startsWith(v2Prefix) ? ENVELOPE_V2 : 1;
+  if (version === 1 && data.includes('.')) throw new Error('Unsupported MantraEnc version');
+
+  const opened = await openEnvelope(fromB64url(version === 1 ? data : data.slice(v2Prefix.length)), keyring, version);
+
+  let payload;
+  try {
+    payload = JSON.parse(opened.plaintext.toString('utf8'));
+  } catch (_) {
+    throw new Error('Encrypted payload is not valid JSON');
+  }
+  if (payload?.v !== version) throw new Error(`Unsupported MantraEnc payload version: ${payload?.v}`);
+  if (!Number.isFinite(payload.ts)) throw new Error('Encrypted payload has no timestamp');
+  if (typeof payload.creds !== 'string') throw new Error('Encrypted payload has no creds');
+
+  return {
+    v: payload.v,
+    ts: payload.ts,
+    encryption: { version: opened.version, kid: opened.kid, retired: opened.retired },
+    creds: parseCredsJson(Buffer.from(payload.creds, 'base64')),
+  };
+}
+
+// opts.keyring (or opts.secret) is needed for encrypted formats.
+// Resolves { format, v, ts, encryption, creds, files? }. Rejects with a readable message on anything malformed.
+async function decodeToken(input, opts = {}) {
+  const tokens = splitTokens(input);
+  if (!tokens.length) throw new Error('No token given');
+
+  const bundleTokens = tokens.filter(isBundleToken);
+  if (bundleTokens.length) {
+    const bundle = await decodeBundleTokens(bundleTokens, opts);
+    if (!bundle.files['creds.json']) throw new Error('Bundle has no creds.json');
+    return {
+      format: bundle.encrypted ? 'bundle-encrypted' : 'bundle',
+      v: bundle.v,
+      ts: bundle.ts,
+      encryption: bundle.encryption,
+      creds: parseCredsJson(bundle.files['creds.json']),
+      files: bundle.files,
+    };
+  }
+
+  if (tokens.length > 1) throw new Error('Expected a single Mantra~ or MantraEnc~ token');
+  const token = tokens[0];
+
+  if (token.startsWith('MantraEnc~')) {
+    return { format: 'encrypted', ...(await decodeEncrypted(token.slice('MantraEnc~'.length), opts.keyring ?? opts.secret)) };
+  }
+
+  if (token.startsWith('Mantra~')) {
+    const data = token.slice('Mantra~'.length);
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) throw new Error('Mantra~ token is not valid base64');
+    return { format: 'legacy', v: null, ts: null, encryption: null, creds: parseCredsJson(Buffer.from(data, 'base64')) };
+  }
+
+  throw new Error('Unrecognized token prefix (expected Mantra~, MantraEnc~ or MantraBundle~)');
+}
+
+function hasKeyPair(kp) {
+  return Boolean(kp && kp.private && kp.public);
+}
+
+// Structural sanity checks only; this does not prove WhatsApp still accepts the session.
+function checkCreds(creds) {
+  const problems = [];
+  if (!creds || typeof creds !== 'object') return ['creds is not an object'];
+
+  if (!Number.isInteger(creds.registrationId)) problems.push('registrationId missing or not an integer');
+  if (!hasKeyPair(creds.noiseKey)) problems.push('noiseKey missing');
+  if (!hasKeyPair(creds.signedIdentityKey)) problems.push('signedIdentityKey missing');
+
+  const jid = String(creds.me?.id || '');
+  if (!jid) problems.push('me.id missing (device never finished pairing)');
+  else if (!JID_RE.test(jid)) problems.push('me.id is not a WhatsApp user JID');
+
+  return problems;
+}
+
+function pairedNumberFromCreds(creds) {
+  const m = JID_RE.exec(String(creds?.me?.id || ''));
+  return m ? m[1] : null;
+}
+
+function guessFormat(input) {
+  const first = splitTokens(input)[0] || '';
+  if (first.startsWith('MantraBundleEnc~')) return 'bundle-encrypted';
+  if (first.startsWith('MantraBundle~')) return 'bundle';
+  if (first.startsWith('MantraEnc~')) return 'encrypted';
+  if (first.startsWith('Mantra~')) return 'legacy';
+  return 'unknown';
+}
+
+// Metadata-only view of a token. Never returns key material.
+async function inspectToken(input, opts = {}) {
+  const at = opts.now ?? Date.now();
+  let decoded;
+  try {
+    decoded = await decodeToken(input, opts);
+  } catch (e) {
+    return { valid: false, format: guessFormat(input), error: e.message };
+  }
+
+  const problems = checkCreds(decoded.creds);
+  return {
+    valid: problems.length === 0,
+    format: decoded.format,
+    version: decoded.v,
+    encryption: decoded.encryption,
+    pairedNumber: pairedNumberFromCreds(decoded.creds),
+    registered: decoded.creds?.registered ?? null,
+    exportedAt: decoded.ts ? new Date(decoded.ts).toISOString() : null,
+    ageMs: decoded.ts ? Math.max(0, at - decoded.ts) : null,
+    fileCount: decoded.files ? Object.keys(decoded.files).length : null,
+    problems,
+  };
+}
+
+module.exports = {
+  splitTokens,
+  decodeToken,
+  checkCreds,
+  pairedNumberFromCreds,
+  inspectToken,
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const fs = require('fs-extra');
+
+// Delivery adapters take the exported tokens somewhere once a session connects.
+// Each adapter is { name, deliver(ctx) } and throws on failure. ctx:
+//   { session, sock, selfJid, pairedNumber, tokens, format }
+const TARGETS = ['self', 'webhook', 'file', 'sse'];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function tokenHintFor(format) {
+  return {
+    legacy: 'Mantra~...',
+    encrypted: 'MantraEnc~...',
+    bundle: 'MantraBundle~...',
+    'bundle-encrypted': 'MantraBundleEnc~...',
+  }[format];
+}
+
+// templates: what loadCompletionTemplates() returns (lib/templates.js); renders the closing message.
+function selfChatAdapter({ templates }) {
+  return {
+    name: 'self',
+    async deliver({ session, sock, selfJid, tokens, format }) {
+      if (!selfJid) throw new Error('Could not resolve self JID');
+
+      for (const t of tokens) {
+        // Send the raw token in a copy-friendly block.
+        // eslint-disable-next-line no-await-in-loop
+        await sock.sendMessage(selfJid, { text: `\`\`\`\n${t}\n\`\`\`` });
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(300);
+      }
+
+      const text = templates.render({ locale: session.locale, tenant: session.tenant, tokens, format });
+      await sock.sendMessage(selfJid, { text });
+    },
+  };
+}
+
+function exportPayload({ session, pairedNumber, tokens, format }) {
+  return {
+    sessionId: session.id,
+    pairedNumber,
+    format,
+    parts: tokens.length,
+    tokens,
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+// Header: X-Mantra-Signature: t=<unix ms>,v1=<hex hmac-sha256 of "<t>.<body>">
+function signBody(secret, body, ts = Date.now()) {
+  const mac = crypto.createHmac('sha256', secret).update(`${ts}.${body}`).digest('hex');
+  return `t=${ts},v1=${mac}`;
+}
+
+function webhookAdapter({ url, secret, timeoutMs = 10_000 }) {
+  if (!url) throw new Error('DELIVERY_WEBHOOK_URL is required for the "webhook" delivery target');
+  if (!secret) throw new Error('DELIVERY_WEBHOOK_SECRET is required for the "webhook" delivery target');
+
+  return {
+    name: 'webhook',
+    async deliver(ctx) {
+      const body = JSON.stringify({ event: 'session.exported', ...exportPayload(ctx) });
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Mantra-Signature': signBody(secret, body) },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+    },
+  };
+}
+
+// Writes <dir>/<number>-<sessionId>.json via a temp file + rename so pickers never see a partial file.
+function fileDropAdapter({ dir }) {
+  if (!dir) throw new Error('DELIVERY_DIR is required for the "file" delivery target');
+
+  return {
+    name: 'file',
+    async deliver(ctx) {
+      await fs.ensureDir(dir);
+      const name = `${ctx.pairedNumber || 'unknown'}-${ctx.session.id}.json`;
+      const target = path.join(dir, name);
+      const tmp = path.join(dir, `.${name}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+      try {
+        await fs.writeFile(tmp, JSON.stringify(exportPayload(ctx), null, 2), { mode: 0o600 });
+        await fs.rename(tmp, target);
+      } catch (e) {
+        await fs.remove(tmp).catch(() => {});
+        throw e;
+      }
+    },
+  };
+}
+
+// Hands the tokens to whoever holds the session's stream (SSE or WebSocket). Only counts as delivered if
+// someone is listening.
+function sseAdapter() {
+  return {
+    name: 'sse',
+    async deliver({ session, tokens, format }) {
+      if (!session.listenerCount('token') && !session.listenerCount('stream')) throw new Error('No stream client connected');
+      session.notify('token', { format, parts: tokens.length, tokens });
+    },
+  };
+}
+
+function parseTargets(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map((x) => String(x).trim()).filter(Boolean))];
+}
+
+// config: { targets, webhookUrl, webhookSecret, webhookTimeoutMs, dir, adapters, templates }
+// Only the adapters that are actually enabled get built, so missing settings fail at startup.
+// config.adapters: extra { name, deliver } objects supplied by an embedder (the CLI's stdout/out-file targets).
+function createDeliveryAdapters(config) {
+  const adapters = new Map();
+  for (const a of config.adapters || []) adapters.set(a.name, a);
+  for (const name of config.targets) {
+    if (adapters.has(name)) continue;
+    if (name === 'self') adapters.set(name, selfChatAdapter({ templates: config.templates }));
+    else if (name === 'webhook') {
+      adapters.set(
+        name,
+        webhookAdapter({ url: config.webhookUrl, secret: config.webhookSecret, timeoutMs: config.webhookTimeoutMs })
+      );
+    } else if (name === 'file') adapters.set(name, fileDropAdapter({ dir: config.dir }));
+    else if (name === 'sse') adapters.set(name, sseAdapter());
+    else throw new Error(`Unknown delivery target "${name}" (use ${TARGETS.join(', ')})`);
+  }
+  return adapters;
+}
+
+// Runs every requested adapter; one failing does not stop the others.
+async function deliverAll(adapters, targets, ctx) {
+  const delivered = [];
+  const failed = [];
+  for (const name of targets) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await adapters.get(name).deliver(ctx);
+      delivered.push(name);
+    } catch (e) {
+      failed.push({ target: name, error: e?.message || 'Unknown error' });
+    }
+  }
+  return { delivered, failed };
+}
+
+module.exports = {
+  TARGETS,
+  tokenHintFor,
+  signBody,
+  parseTargets,
+  createDeliveryAdapters,
+  deliverAll,
+};
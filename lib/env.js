@@ -0,0 +1,146 @@
+const os = require('os');
+const path = require('path');
+
+const pino = require('pino');
+
+const { parseRetiredSecrets } = require('./tokens');
+const { loadWebhookEndpoints } = require('./webhooks');
+const { loadApiKeys } = require('./api-keys');
+const { createCaptchaVerifier } = require('./challenge');
+const { loadConfig } = require('./config');
+
+// CHALLENGE=pow | captcha (CAPTCHA_VERIFY_URL / CAPTCHA_SECRET / CAPTCHA_SITE_KEY) | off
+function challengeFromConfig(c) {
+  if (c.CHALLENGE === 'off') return null;
+  if (c.CHALLENGE === 'pow') return 'pow';
+  return createCaptchaVerifier({
+    verifyUrl: c.CAPTCHA_VERIFY_URL,
+    secret: c.CAPTCHA_SECRET,
+    siteKey: c.CAPTCHA_SITE_KEY,
+    provider: c.CAPTCHA_PROVIDER,
+  });
+}
+
+// Maps validated settings (lib/config.js) onto createPairServer options.
+// baseDir anchors the default temp/ and data/ dirs (the repo root for `node index.js`).
+function optionsFromConfig(config, { baseDir }) {
+  const c = config.values;
+  const logger = pino({ level: c.LOG_LEVEL });
+
+  return {
+    // Shown (secrets redacted) on GET /admin/api/config.
+    config,
+    logger,
+    apiKey: c.PAIR_API_KEY,
+    adminKey: c.ADMIN_API_KEY,
+    apiKeys: c.API_KEYS_FILE ? loadApiKeys(c.API_KEYS_FILE) : [],
+
+    sessionTtlMs: c.SESSION_TTL_MS,
+    sessionIdleTtlMs: c.SESSION_IDLE_TTL_MS,
+    sessionSweepMs: c.SESSION_SWEEP_MS,
+    drainTimeoutMs: c.DRAIN_TIMEOUT_MS,
+    maxActiveSessions: c.MAX_ACTIVE_SESSIONS,
+    maxQueued: c.MAX_QUEUED,
+    queueTimeoutMs: c.QUEUE_TIMEOUT_MS,
+
+    maxRetries: c.MAX_RETRIES,
+    retryDelayMs: c.RETRY_DELAY_MS,
+    retryDelayMaxMs: c.RETRY_DELAY_MAX_MS,
+
+    codeRequestDelayMs: c.CODE_REQUEST_DELAY_MS,
+    exportDelayMs: c.EXPORT_DELAY_MS,
+    cleanupDelayMs: c.CLEANUP_DELAY_MS,
+
+    pairWindowMs: c.PAIR_WINDOW_MS,
+    pairMax: c.PAIR_MAX,
+    eventLogSize: c.EVENT_LOG_SIZE,
+
+    breaker: {
+      windowMs: c.BREAKER_WINDOW_MS,
+      minSamples: c.BREAKER_MIN_SAMPLES,
+      failureRatio: c.BREAKER_FAILURE_RATIO,
+      openMs: c.BREAKER_OPEN_MS,
+      codeFallback: c.BREAKER_CODE_FALLBACK,
+    },
+
+    challenge: {
+      verifier: challengeFromConfig(c),
+      secret: c.CHALLENGE_SECRET,
+      difficulty: c.POW_DIFFICULTY,
+      maxDifficulty: c.POW_MAX_DIFFICULTY,
+      difficultyStep: c.POW_DIFFICULTY_STEP,
+      ttlMs: c.CHALLENGE_TTL_MS,
+    },
+
+    phoneThrottle: {
+      windowMs: c.PHONE_WINDOW_MS,
+      max: c.PHONE_MAX,
+      cooldownAfter: c.PHONE_COOLDOWN_AFTER,
+      cooldownMs: c.PHONE_COOLDOWN_MS,
+      cooldownMaxMs: c.PHONE_COOLDOWN_MAX_MS,
+      allow: c.PHONE_ALLOW,
+      deny: c.PHONE_DENY,
+    },
+
+    completion: {
+      dir: c.COMPLETION_TEMPLATES_DIR || null,
+      defaultLocale: c.COMPLETION_LOCALE,
+      botName: c.BOT_NAME,
+      docsUrl: c.DOCS_URL,
+    },
+
+    // Export format: legacy by default. EXPORT_ENCRYPTED=true needs SESSION_SECRET and sends MantraEnc~...
+    // EXPORT_BUNDLE=true sends the whole auth dir as MantraBundle~ chunks.
+    exportEncrypted: c.EXPORT_ENCRYPTED,
+    exportBundle: c.EXPORT_BUNDLE,
+    bundleChunkSize: c.BUNDLE_CHUNK_SIZE,
+
+    // Secret rotation: new tokens are sealed with SESSION_SECRET under SESSION_KEY_ID (required to seal; never
+    // derived from the secret, since it is sent in plaintext). Move the old secret into
+    // SESSION_SECRETS_RETIRED="kid:secret,..." so issued tokens still decode.
+    sessionSecret: c.SESSION_SECRET,
+    sessionKeyId: c.SESSION_KEY_ID,
+    retiredSecrets: parseRetiredSecrets(c.SESSION_SECRETS_RETIRED),
+
+    delivery: {
+      targets: c.DELIVERY_TARGETS,
+      allowed: c.DELIVERY_ALLOWED,
+      webhookUrl: c.DELIVERY_WEBHOOK_URL,
+      webhookSecret: c.DELIVERY_WEBHOOK_SECRET,
+      webhookTimeoutMs: c.DELIVERY_WEBHOOK_TIMEOUT_MS,
+      dir: c.DELIVERY_DIR,
+    },
+
+    webhooks: {
+      endpoints: loadWebhookEndpoints({
+        urls: c.WEBHOOK_URLS,
+        secret: c.WEBHOOK_SECRET,
+        file: c.WEBHOOKS_FILE,
+      }),
+      maxAttempts: c.WEBHOOK_MAX_ATTEMPTS,
+      retryDelayMs: c.WEBHOOK_RETRY_MS,
+      retryDelayMaxMs: c.WEBHOOK_RETRY_MAX_MS,
+      timeoutMs: c.WEBHOOK_TIMEOUT_MS,
+      deadLetterFile: c.WEBHOOK_DEADLETTER_FILE || path.join(baseDir, 'data', 'webhooks-deadletter.jsonl'),
+    },
+
+    audit: {
+      dir: c.AUDIT_DIR || null,
+      secret: c.AUDIT_SECRET,
+      maxBytes: c.AUDIT_MAX_BYTES,
+    },
+
+    sessionStore: c.SESSION_STORE,
+    sessionStoreDir: c.SESSION_STORE_DIR || path.join(baseDir, 'data'),
+    instanceId: c.INSTANCE_ID || os.hostname(),
+    authState: c.AUTH_STATE,
+    tempDir: path.join(baseDir, 'temp'),
+  };
+}
+
+// Same, straight from an environment (and its CONFIG_FILE). Throws a ConfigError listing every bad setting.
+function optionsFromEnv(env, opts) {
+  return optionsFromConfig(loadConfig(env), opts);
+}
+
+module.exports = { optionsFromConfig, optionsFromEnv };
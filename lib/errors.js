@@ -0,0 +1,112 @@
+// Stable error codes. Every session_error event and every HTTP error body carries one:
+//   session_error: { message, code, remediation, retryAfterMs? }
+//   HTTP:          { ok: false, error, code, remediation, retryAfterMs?, field? }
+// `message` is for humans and may change; clients branch on `code` / `remediation`. `field` names the request
+// field at fault for fix_request errors (phone, country, method, delivery, token) so forms can flag it.
+//
+// Remediations:
+//   switch_method  try the other pairing method (QR instead of code)
+//   retry_after    the same request may work later; retryAfterMs is a hint when known
+//   restart        this session is over; start a new one
+//   fix_request    the request itself is wrong
+//   contact_admin  the API key can't do this; the operator has to change it
+
+const REMEDIATIONS = ['switch_method', 'retry_after', 'restart', 'fix_request', 'contact_admin'];
+
+const ERROR_CODES = {
+  // session_error
+  WA_LOGGED_OUT: { status: 410, remediation: 'restart' },
+  CODE_UNAVAILABLE: { status: 503, remediation: 'switch_method' },
+  WA_UNAVAILABLE: { status: 503, remediation: 'retry_after', retryAfterMs: 5 * 60_000 },
+  SESSION_EXPIRED: { status: 410, remediation: 'restart' },
+  IDLE_TIMEOUT: { status: 410, remediation: 'restart' },
+  EXPORT_FAILED: { status: 500, remediation: 'restart' },
+  RETRY_EXHAUSTED: { status: 503, remediation: 'retry_after', retryAfterMs: 60_000 },
+  CONNECTION_CLOSED: { status: 502, remediation: 'restart' },
+  CODE_FAILED: { status: 502, remediation: 'restart' },
+  QR_FAILED: { status: 500, remediation: 'restart' },
+  START_FAILED: { status: 500, remediation: 'retry_after', retryAfterMs: 30_000 },
+  KEY_REVOKED: { status: 401, remediation: 'contact_admin' },
+  ADMIN_TERMINATED: { status: 410, remediation: 'restart' },
+  QUEUE_TIMEOUT: { status: 503, remediation: 'retry_after', retryAfterMs: 60_000 },
+  // Also the payload of the `server_shutdown` stream event, and POST /pair's answer while draining.
+  SERVER_SHUTDOWN: { status: 503, remediation: 'retry_after', retryAfterMs: 5_000 },
+
+  // HTTP only
+  INVALID_METHOD: { status: 400, remediation: 'fix_request' },
+  INVALID_PHONE: { status: 400, remediation: 'fix_request' },
+  INVALID_DELIVERY: { status: 400, remediation: 'fix_request' },
+  MISSING_TOKEN: { status: 400, remediation: 'fix_request' },
+  INVALID_JSON: { status: 400, remediation: 'fix_request' },
+  UNAUTHORIZED: { status: 401, remediation: 'fix_request' },
+  KEY_EXPIRED: { status: 401, remediation: 'contact_admin' },
+  KEY_SCOPE_DENIED: { status: 403, remediation: 'contact_admin' },
+  RATE_LIMITED: { status: 429, remediation: 'retry_after' },
+  QUOTA_EXCEEDED: { status: 429, remediation: 'retry_after' },
+  PHONE_THROTTLED: { status: 429, remediation: 'retry_after' },
+  PHONE_COOLDOWN: { status: 429, remediation: 'retry_after' },
+  PHONE_DENIED: { status: 403, remediation: 'contact_admin' },
+  CHALLENGE_REQUIRED: { status: 400, remediation: 'fix_request' },
+  CHALLENGE_INVALID: { status: 403, remediation: 'fix_request' },
+  CIRCUIT_OPEN: { status: 503, remediation: 'retry_after' },
+  QUEUE_FULL: { status: 503, remediation: 'retry_after', retryAfterMs: 60_000 },
+  CHALLENGE_UNAVAILABLE: { status: 503, remediation: 'retry_after', retryAfterMs: 30_000 },
+  // createSession() before start() has finished (POST /pair while the server is booting).
+  SERVER_NOT_READY: { status: 503, remediation: 'retry_after', retryAfterMs: 2_000 },
+  ADMIN_DISABLED: { status: 404, remediation: 'contact_admin' },
+  SESSION_NOT_FOUND: { status: 404, remediation: 'restart' },
+  NOT_CODE_SESSION: { status: 409, remediation: 'fix_request' },
+  NOT_WAITING_FOR_CODE: { status: 409, remediation: 'restart' },
+  INTERNAL: { status: 500, remediation: 'retry_after' },
+};
+
+// Builds the machine-readable part of an error. extra may override remediation / retryAfterMs and add field.
+function errorInfo(code, extra = {}) {
+  const entry = ERROR_CODES[code];
+  if (!entry) throw new Error(`Unknown error code "${code}"`);
+  const info = { code, remediation: extra.remediation || entry.remediation };
+  const retryAfterMs = extra.retryAfterMs ?? entry.retryAfterMs;
+  if (info.remediation === 'retry_after' && retryAfterMs) info.retryAfterMs = retryAfterMs;
+  if (extra.field) info.field = extra.field;
+  return info;
+}
+
+// Payload for a session_error event.
+function sessionError(code, message, extra) {
+  return { message, ...errorInfo(code, extra) };
+}
+
+// Thrown for bad input or a request the session can't serve right now. The router answers with
+// `status` (from the catalog) and the error body.
+class PairRequestError extends Error {
+  constructor(code, message, extra) {
+    super(message);
+    this.name = 'PairRequestError';
+    this.info = errorInfo(code, extra);
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+  }
+}
+
+// Retry-After (seconds) mirrors retryAfterMs for clients and proxies that only read headers.
+function respond(res, status, message, info) {
+  if (info.retryAfterMs) res.set('Retry-After', String(Math.ceil(info.retryAfterMs / 1000)));
+  return res.status(status).json({ ok: false, error: message, ...info });
+}
+
+function sendError(res, code, message, extra) {
+  return respond(res, ERROR_CODES[code].status, message, errorInfo(code, extra));
+}
+
+// Last-resort Express error handler: malformed JSON bodies and anything unexpected still get a coded body.
+function httpErrorHandler(logger) {
+  // eslint-disable-next-line no-unused-vars
+  return (err, req, res, next) => {
+    if (err.name === 'PairRequestError') return respond(res, err.status, err.message, err.info);
+    if (err.type === 'entity.parse.failed') return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON.');
+    logger.error({ err, path: req.path }, 'Unhandled request error');
+    return sendError(res, 'INTERNAL', 'Internal server error.');
+  };
+}
+
+module.exports = { REMEDIATIONS, ERROR_CODES, errorInfo, sessionError, PairRequestError, sendError, httpErrorHandler };
@@ -0,0 +1,525 @@
+import { EventEmitter } from 'events';
+import type { Server as HttpServer } from 'http';
+import type { Router } from 'express';
+
+export type PairMethod = 'code' | 'qr';
+// Built-in targets, plus the names of any custom adapters passed in options.delivery.adapters.
+export type DeliveryTarget = 'self' | 'webhook' | 'file' | 'sse' | (string & {});
+export type ExportFormat = 'legacy' | 'encrypted' | 'bundle' | 'bundle-encrypted';
+
+export type ErrorCode =
+  | 'WA_LOGGED_OUT'
+  | 'CODE_UNAVAILABLE'
+  | 'WA_UNAVAILABLE'
+  | 'SESSION_EXPIRED'
+  | 'IDLE_TIMEOUT'
+  | 'EXPORT_FAILED'
+  | 'RETRY_EXHAUSTED'
+  | 'CONNECTION_CLOSED'
+  | 'CODE_FAILED'
+  | 'QR_FAILED'
+  | 'START_FAILED'
+  | 'KEY_REVOKED'
+  | 'QUEUE_TIMEOUT'
+  | 'SERVER_SHUTDOWN'
+  | 'SERVER_NOT_READY'
+  | 'QUEUE_FULL'
+  | 'CIRCUIT_OPEN'
+  | 'ADMIN_TERMINATED'
+  | 'ADMIN_DISABLED'
+  | 'INVALID_METHOD'
+  | 'INVALID_PHONE'
+  | 'INVALID_DELIVERY'
+  | 'MISSING_TOKEN'
+  | 'INVALID_JSON'
+  | 'UNAUTHORIZED'
+  | 'KEY_EXPIRED'
+  | 'KEY_SCOPE_DENIED'
+  | 'RATE_LIMITED'
+  | 'QUOTA_EXCEEDED'
+  | 'SESSION_NOT_FOUND'
+  | 'NOT_CODE_SESSION'
+  | 'NOT_WAITING_FOR_CODE'
+  | 'PHONE_THROTTLED'
+  | 'PHONE_COOLDOWN'
+  | 'PHONE_DENIED'
+  | 'CHALLENGE_REQUIRED'
+  | 'CHALLENGE_INVALID'
+  | 'CHALLENGE_UNAVAILABLE'
+  | 'INTERNAL';
+
+export type Remediation = 'switch_method' | 'retry_after' | 'restart' | 'fix_request' | 'contact_admin';
+
+export interface ErrorInfo {
+  code: ErrorCode;
+  remediation: Remediation;
+  retryAfterMs?: number;
+  // The request field at fault, for fix_request errors.
+  field?: 'phone' | 'country' | 'method' | 'delivery' | 'token';
+}
+
+export interface CountryInfo {
+  region: string;
+  callingCode: string;
+  // National number length (digits after the calling code).
+  min: number;
+  max: number;
+}
+
+export type PhoneCheck =
+  | { ok: true; phone: string; callingCode: string; regions: string[] }
+  | { ok: false; error: string; field?: 'country' };
+
+export interface Keyring {
+  // kid is null when no SESSION_KEY_ID was given: such a keyring decodes but can't seal.
+  current: { kid: string | null; secret: string } | null;
+  keys: Map<string, string>;
+}
+
+export interface Logger {
+  child(bindings: Record<string, unknown>): Logger;
+  info(obj: unknown, msg?: string): void;
+  warn(obj: unknown, msg?: string): void;
+  error(obj: unknown, msg?: string): void;
+}
+
+export interface WaFactory {
+  makeSocket(opts: Record<string, unknown>): unknown;
+  fetchVersion?(): Promise<{ version: number[] }>;
+}
+
+export interface DeliveryContext {
+  session: PairingSession;
+  sock: unknown;
+  selfJid: string | null;
+  pairedNumber: string | null;
+  tokens: string[];
+  format: ExportFormat;
+}
+
+export interface DeliveryAdapter {
+  name: string;
+  deliver(ctx: DeliveryContext): Promise<void>;
+}
+
+export interface WebhookEndpoint {
+  url: string;
+  secret?: string;
+  events?: string[];
+}
+
+export interface ApiKeyConfig {
+  tenant: string;
+  key?: string;
+  keyHash?: string;
+  id?: string;
+  methods?: PairMethod[];
+  delivery?: DeliveryTarget[];
+  rateLimit?: { windowMs: number; max: number };
+  dailyQuota?: number;
+  expiresAt?: string;
+  revoked?: boolean;
+}
+
+export interface ApiKeyEntry {
+  id: string;
+  tenant: string;
+  methods: PairMethod[] | null;
+  delivery: DeliveryTarget[] | null;
+  rateLimit: { windowMs: number; max: number } | null;
+  dailyQuota: number | null;
+  expiresAt: number | null;
+  revoked: boolean;
+}
+
+// Gate in front of POST /pair. issue() is what GET /challenge returns; verify() checks body.challenge.
+export interface ChallengeVerifier {
+  name?: string;
+  issue(ctx: { ip?: string }): Record<string, unknown> | Promise<Record<string, unknown>>;
+  verify(
+    proof: Record<string, unknown>,
+    ctx: { ip?: string }
+  ):
+    | { ok: true }
+    | { ok: false; error: string; code?: ErrorCode }
+    | Promise<{ ok: true } | { ok: false; error: string; code?: ErrorCode }>;
+}
+
+// Validated standalone-server settings (lib/config.js loadConfig()).
+export interface LoadedConfig {
+  values: Record<string, string | number | boolean>;
+  sources: Record<string, 'env' | 'file' | 'default'>;
+  file: string | null;
+}
+
+export interface PairServerOptions {
+  // If set, POST /pair requires x-api-key. The event stream needs the per-session streamKey either way.
+  apiKey?: string;
+  apiKeys?: ApiKeyConfig[];
+  // Protects adminRouter(); the admin API is off while empty.
+  adminKey?: string;
+  sessionTtlMs?: number;
+  sessionIdleTtlMs?: number;
+  sessionSweepMs?: number;
+  // How long drain() waits for connected sessions to finish exporting.
+  drainTimeoutMs?: number;
+  // Live socket cap (0 = none); sessions over it queue FIFO. sessionTtlMs starts once a session leaves the queue.
+  maxActiveSessions?: number;
+  maxQueued?: number;
+  queueTimeoutMs?: number;
+  maxRetries?: number;
+  retryDelayMs?: number;
+  retryDelayMaxMs?: number;
+  codeRequestDelayMs?: number;
+  exportDelayMs?: number;
+  cleanupDelayMs?: number;
+  pairWindowMs?: number;
+  pairMax?: number;
+  eventLogSize?: number;
+  exportEncrypted?: boolean;
+  exportBundle?: boolean;
+  bundleChunkSize?: number;
+  keyring?: Keyring | null;
+  sessionSecret?: string;
+  sessionKeyId?: string;
+  retiredSecrets?: Array<{ kid?: string; secret: string }>;
+  delivery?: {
+    targets?: DeliveryTarget[] | string;
+    allowed?: DeliveryTarget[] | string;
+    webhookUrl?: string;
+    webhookSecret?: string;
+    webhookTimeoutMs?: number;
+    dir?: string;
+    adapters?: DeliveryAdapter[];
+  };
+  completion?: {
+    dir?: string | null;
+    defaultLocale?: string;
+    botName?: string;
+    docsUrl?: string;
+    tenants?: Record<string, CompletionOverrides>;
+  };
+  webhooks?: {
+    endpoints?: WebhookEndpoint[];
+    maxAttempts?: number;
+    retryDelayMs?: number;
+    retryDelayMaxMs?: number;
+    timeoutMs?: number;
+    deadLetterFile?: string | null;
+  };
+  // minSamples 0 turns the breaker off.
+  breaker?: {
+    windowMs?: number;
+    minSamples?: number;
+    failureRatio?: number;
+    openMs?: number;
+    codeFallback?: 'reject' | 'qr';
+  };
+  challenge?: {
+    verifier?: null | 'pow' | ChallengeVerifier;
+    secret?: string;
+    difficulty?: number;
+    maxDifficulty?: number;
+    difficultyStep?: number;
+    ttlMs?: number;
+  };
+  phoneThrottle?: {
+    windowMs?: number;
+    max?: number;
+    cooldownAfter?: number;
+    cooldownMs?: number;
+    cooldownMaxMs?: number;
+    // Digit prefixes: country codes ("254") or full numbers.
+    allow?: string[] | string;
+    deny?: string[] | string;
+  };
+  audit?: {
+    dir?: string | null;
+    secret?: string;
+    maxBytes?: number;
+  };
+  sessionStore?: 'memory' | 'file' | SessionStore;
+  sessionStoreDir?: string | null;
+  instanceId?: string;
+  authState?: 'encrypted' | 'memory' | 'files';
+  tempDir?: string;
+  // Shown, secrets redacted, on the admin API's GET /config.
+  config?: LoadedConfig | null;
+  logger?: Logger | null;
+  wa?: WaFactory | null;
+}
+
+export interface SessionStore {
+  kind: string;
+  get(id: string): PairingSession | undefined;
+  has(id: string): boolean;
+  set(id: string, s: PairingSession): this;
+  delete(id: string): boolean;
+  values(): IterableIterator<PairingSession>;
+  readonly size: number;
+  authDir(id: string): string;
+  save(s: PairingSession): Promise<void>;
+  load(): Promise<Array<Record<string, unknown>>>;
+  release(id: string): Promise<void>;
+  // Optional. Called by stop() instead of save(): persist the record without an owner so another instance adopts it.
+  handOff?(s: PairingSession): Promise<void>;
+  // Optional. Called by start(): remove auth dirs left by a crashed run of this store, never a live one's.
+  sweep?(): Promise<string[]>;
+  // Optional. Called by stop().
+  close?(): Promise<void>;
+}
+
+export interface PairingSessionEvents {
+  // status "queued" carries position (1-based) and etaMs while the session waits for a socket slot.
+  status: [{ status: string; retry?: number; maxRetries?: number; position?: number; etaMs?: number }];
+  code: [{ code: string; expiresIn: number }];
+  qr: [{ qr: string }];
+  token: [{ format: ExportFormat; parts: number; tokens: string[] }];
+  exported: [{ format: ExportFormat; parts: number; delivered: DeliveryTarget[]; failed: DeliveryTarget[] }];
+  session_error: [ErrorInfo & { message: string }];
+  // The server is draining and this session won't finish here; resumable: true means another instance picks it
+  // up (reconnect the stream), false means start a new session after retryAfterMs.
+  server_shutdown: [ErrorInfo & { message: string; resumable: boolean }];
+  stream: [StreamEntry];
+  // Same entries as `stream`, for observers that must not count as a client (the admin timeline).
+  timeline: [StreamEntry];
+}
+
+// One entry of the session's replay log; `id` is what SSE sends as the event id. `token` entries are streamed with an
+// id too but never kept in the log.
+export interface StreamEntry {
+  id: string;
+  event: Exclude<keyof PairingSessionEvents, 'stream' | 'timeline'>;
+  data: unknown;
+  at: number;
+}
+
+export interface SessionSnapshot {
+  id: string;
+  method: PairMethod;
+  state: string;
+  retries: number;
+  maxRetries: number;
+  delivery: DeliveryTarget[];
+  locale: string;
+  hasCode: boolean;
+  hasQr: boolean;
+  createdAt: number;
+  startedAt: number | null;
+  queuePosition: number | null;
+  expiresAt: number;
+  expiresInMs: number;
+  lastEventAt: number;
+}
+
+export class PairingSession extends EventEmitter {
+  readonly id: string;
+  readonly streamKey: string;
+  readonly method: PairMethod;
+  readonly phone: string | null;
+  readonly delivery: DeliveryTarget[];
+  readonly locale: string;
+  readonly createdAt: number;
+  readonly startedAt: number | null;
+  readonly queuePosition: number | null;
+  readonly expiresAt: number;
+  readonly fallbackFrom: 'code' | null;
+  readonly tenant: string | null;
+  readonly keyId: string | null;
+  retries: number;
+  lastEventAt: number;
+  status: string | null;
+  lastQr: string | null;
+  lastQrText: string | null;
+  lastCode: string | null;
+  readonly events: StreamEntry[];
+
+  on<K extends keyof PairingSessionEvents>(event: K, listener: (...args: PairingSessionEvents[K]) => void): this;
+  once<K extends keyof PairingSessionEvents>(event: K, listener: (...args: PairingSessionEvents[K]) => void): this;
+  off<K extends keyof PairingSessionEvents>(event: K, listener: (...args: PairingSessionEvents[K]) => void): this;
+  notify<K extends keyof PairingSessionEvents>(event: K, ...args: PairingSessionEvents[K]): void;
+  snapshot(): SessionSnapshot;
+  eventsSince(lastEventId: string): StreamEntry[] | null;
+  replayStart(): StreamEntry[];
+  cancel(): Promise<void>;
+  regenerateCode(): Promise<{ code: string; expiresIn: number }>;
+  cleanup(): Promise<void>;
+}
+
+export interface CreateSessionInput {
+  method?: PairMethod;
+  phone?: string;
+  // ISO 3166 region the phone was entered for; must match the number's calling code.
+  country?: string;
+  delivery?: DeliveryTarget[] | string;
+  // Completion message language; unknown tags fall back to completion.defaultLocale.
+  locale?: string;
+  apiKey?: ApiKeyEntry | null;
+  clientIp?: string | null;
+}
+
+export type AuditOutcome = 'exported' | 'failed' | 'cancelled' | 'ended' | 'rejected';
+
+export interface AuditRecord {
+  v: 1;
+  sessionId: string | null;
+  tenant: string | null;
+  keyId: string | null;
+  ip: string | null;
+  phoneHash: string | null;
+  method: PairMethod | null;
+  outcome: AuditOutcome;
+  errorCode: ErrorCode | null;
+  disconnectReason: number | null;
+  retries: number;
+  format: ExportFormat | null;
+  createdAt: string;
+  endedAt: string;
+  durationMs: number;
+}
+
+// A completion message block: one text, or one per token-part count.
+export type CompletionBlock = string | { one: string; other: string };
+
+// Per-tenant changes to the completion message (completion.tenants or <dir>/tenants/<tenant>.json).
+export interface CompletionOverrides {
+  botName?: string;
+  docsUrl?: string;
+  nextSteps?: CompletionBlock;
+  footer?: CompletionBlock;
+  locales?: Record<string, { nextSteps?: CompletionBlock; footer?: CompletionBlock }>;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitSnapshot {
+  state: CircuitState;
+  samples: number;
+  failures: number;
+  retryAfterMs?: number;
+}
+
+// GET /status, per method.
+export interface MethodStatus {
+  available: boolean;
+  state: CircuitState;
+  retryAfterMs?: number;
+  advice?: string;
+  fallback?: 'qr';
+}
+
+export interface TokenInspection {
+  valid: boolean;
+  format: string;
+  version?: number;
+  encryption?: { version: number; kid: string | null; retired: boolean } | null;
+  pairedNumber?: string | null;
+  registered?: boolean | null;
+  exportedAt?: string | null;
+  ageMs?: number | null;
+  fileCount?: number | null;
+  problems?: string[];
+  error?: string;
+}
+
+export interface PairServer {
+  readonly options: Required<PairServerOptions>;
+  readonly logger: Logger;
+  readonly sessions: SessionStore;
+  readonly apiKeys: {
+    readonly size: number;
+    authenticate(key: string): { ok: true; entry: ApiKeyEntry } | { ok: false; code: ErrorCode; error: string };
+    list(): Array<ApiKeyEntry & { usedToday: number }>;
+  };
+  createSession(input: CreateSessionInput): PairingSession;
+  getSession(id: string): PairingSession | null;
+  revokeApiKey(id: string): Promise<number>;
+  setApiKeys(list: ApiKeyConfig[]): Promise<number>;
+  inspect(token: string | string[]): Promise<TokenInspection>;
+  health(): {
+    ok: true;
+    uptime: number;
+    activeSessions: number;
+    liveSockets: number;
+    queuedSessions: number;
+    breaker: Record<PairMethod, CircuitSnapshot>;
+  };
+  methodStatus(): Record<PairMethod, MethodStatus>;
+  // Readiness: ok only between start() finishing and drain()/stop().
+  ready(): { ok: boolean; state: 'idle' | 'starting' | 'ready' | 'draining' | 'stopped'; activeSessions: number };
+  readonly challenge: ChallengeVerifier | null;
+  readonly audit: { readonly enabled: boolean; flush(): Promise<void> };
+  readonly metrics: {
+    readonly contentType: string;
+    // Prometheus text exposition format.
+    render(): string;
+  };
+  router(): Router;
+  // Operator JSON API (live sessions, timelines, termination, failures); needs adminKey.
+  adminRouter(): Router;
+  attachWebSocket(httpServer: HttpServer, opts?: { prefix?: string }): { close(): void };
+  start(): Promise<PairServer>;
+  stop(): Promise<void>;
+  // Graceful shutdown: refuses new sessions, lets connected ones finish exporting (up to deadlineMs, default
+  // drainTimeoutMs), then stop()s.
+  drain(deadlineMs?: number): Promise<void>;
+}
+
+export class PairRequestError extends Error {
+  constructor(code: ErrorCode, message: string, extra?: Partial<Omit<ErrorInfo, 'code'>>);
+  code: ErrorCode;
+  status: number;
+  info: ErrorInfo;
+}
+
+export const ERROR_CODES: Record<ErrorCode, { status: number; remediation: Remediation; retryAfterMs?: number }>;
+
+export const DEFAULTS: Required<PairServerOptions>;
+
+export function createPairServer(options?: PairServerOptions): PairServer;
+export function createPairRouter(server: PairServer): Router;
+export function createAdminRouter(server: PairServer): Router;
+export function createPowVerifier(opts?: {
+  secret?: string;
+  difficulty?: number;
+  maxDifficulty?: number;
+  difficultyStep?: number;
+  ttlMs?: number;
+  load?: () => number;
+}): ChallengeVerifier;
+export function createCaptchaVerifier(opts: {
+  verifyUrl: string;
+  secret: string;
+  siteKey?: string;
+  provider?: string;
+  timeoutMs?: number;
+}): ChallengeVerifier;
+
+export function createKeyring(opts?: {
+  secret?: string;
+  kid?: string;
+  retired?: Array<{ kid?: string; secret: string }>;
+}): Keyring;
+export function parseRetiredSecrets(value?: string): Array<{ kid?: string; secret: string }>;
+export function exportTokensFromCreds(
+  credsBytes: Buffer,
+  opts?: { encrypted?: boolean; keyring?: Keyring; secret?: string }
+): string[];
+export function exportBundleTokens(
+  files: Record<string, Buffer>,
+  opts?: { encrypted?: boolean; keyring?: Keyring; secret?: string; chunkSize?: number }
+): string[];
+export function readAuthDir(dir: string): Promise<Record<string, Buffer>>;
+export function restoreBundle(
+  tokens: string | string[],
+  dir: string,
+  opts?: { keyring?: Keyring; secret?: string }
+): Promise<{ v: number; ts: number; files: Record<string, Buffer> }>;
+export function decodeToken(
+  input: string | string[],
+  opts?: { keyring?: Keyring; secret?: string }
+): Promise<{ format: string; v: number; ts: number | null; encryption: unknown; creds: Record<string, unknown>; files?: Record<string, Buffer> }>;
+export function inspectToken(input: string | string[], opts?: { keyring?: Keyring; secret?: string; now?: number }): Promise<TokenInspection>;
+export function signBody(secret: string, body: string, ts?: number): string;
+export const COUNTRIES: CountryInfo[];
+export function validatePhone(phone: string, country?: string): PhoneCheck;
@@ -0,0 +1,41 @@
+// Library entry point: embed pairing in your own Express app or Node service.
+//   const { createPairServer } = require('mantra-pair');
+//   const pair = createPairServer({ apiKey, delivery: { targets: ['webhook'], webhookUrl } });
+//   app.use('/pairing', express.json(), pair.router());
+//   await pair.start();
+
+const { createPairServer } = require('./server');
+const { ERROR_CODES, PairRequestError } = require('./errors');
+const { createPairRouter } = require('./router');
+const { createAdminRouter } = require('./admin');
+const { PairingSession } = require('./pairing-session');
+const { DEFAULTS } = require('./options');
+const { createKeyring, parseRetiredSecrets, exportTokensFromCreds } = require('./tokens');
+const { exportBundleTokens, readAuthDir, restoreBundle } = require('./bundle');
+const { decodeToken, inspectToken } = require('./decode');
+const { signBody } = require('./delivery');
+const { COUNTRIES, validatePhone } = require('./phone');
+const { createPowVerifier, createCaptchaVerifier } = require('./challenge');
+
+module.exports = {
+  createPairServer,
+  createPairRouter,
+  createAdminRouter,
+  createPowVerifier,
+  createCaptchaVerifier,
+  PairingSession,
+  PairRequestError,
+  ERROR_CODES,
+  DEFAULTS,
+  createKeyring,
+  parseRetiredSecrets,
+  exportTokensFromCreds,
+  exportBundleTokens,
+  readAuthDir,
+  restoreBundle,
+  decodeToken,
+  inspectToken,
+  signBody,
+  COUNTRIES,
+  validatePhone,
+};
@@ -0,0 +1,143 @@
+// Prometheus metrics (text exposition format 0.0.4), kept in memory per instance. A small registry is enough
+// for a handful of counters, four gauges and one histogram, so there is no client library.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const CONNECT_BUCKETS = [5, 10, 20, 30, 45, 60, 90, 120, 180, 300];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help) {
+  const values = new Map();
+  return {
+    inc(labels = {}, by = 1) {
+      const key = labelText(labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    render() {
+      return [...header(name, help, 'counter'), ...[...values].map(([l, v]) => `${name}${l} ${v}`)];
+    },
+  };
+}
+
+// collect() returns [{ labels, value }] at scrape time.
+function gauge(name, help, collect) {
+  return {
+    render() {
+      return [...header(name, help, 'gauge'), ...collect().map(({ labels, value }) => `${name}${labelText(labels)} ${value}`)];
+    },
+  };
+}
+
+function histogram(name, help, buckets) {
+  // label text -> { labels, counts (per bucket, not cumulative), sum, count }
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = labelText(labels);
+      const s = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      const i = buckets.findIndex((b) => value <= b);
+      if (i >= 0) s.counts[i] += 1;
+      s.sum += value;
+      s.count += 1;
+      series.set(key, s);
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const s of series.values()) {
+        let cumulative = 0;
+        buckets.forEach((b, i) => {
+          cumulative += s.counts[i];
+          lines.push(`${name}_bucket${labelText({ ...s.labels, le: b })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${labelText(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// The pairing funnel and WhatsApp health. observe() is fed every session event (PairingSession#notify);
+// the gauges read the live session store at scrape time.
+function createPairMetrics(sessions) {
+  const m = {
+    sessions: counter('mantra_pair_sessions_created_total', 'Pairing sessions created, by method and tenant.'),
+    codes: counter('mantra_pair_codes_issued_total', 'Pairing codes issued.'),
+    qrs: counter('mantra_pair_qrs_issued_total', 'QR codes issued.'),
+    exports: counter('mantra_pair_exports_total', 'Sessions exported and delivered, by token format and tenant.'),
+    failures: counter(
+      'mantra_pair_failures_total',
+      'Sessions that ended in a session_error, by error code, method, WhatsApp DisconnectReason status code and tenant.'
+    ),
+    retries: counter('mantra_pair_retries_total', 'Socket retries after a transient WhatsApp failure, by method and DisconnectReason status code.'),
+    connect: histogram(
+      'mantra_pair_time_to_connect_seconds',
+      'Time from getting a socket slot to a connected WhatsApp socket, by method.',
+      CONNECT_BUCKETS
+    ),
+  };
+
+  // Unlabelled counters start at 0 so rate() works from the first scrape.
+  m.codes.inc({}, 0);
+  m.qrs.inc({}, 0);
+
+  const live = () => [...sessions.values()];
+  const gauges = [
+    gauge('mantra_pair_active_sessions', 'Pairing sessions held by this instance.', () => [{ labels: {}, value: live().length }]),
+    gauge('mantra_pair_open_sockets', 'Open WhatsApp sockets.', () => [
+      { labels: {}, value: live().filter((s) => s.sock).length },
+    ]),
+    gauge('mantra_pair_queued_sessions', 'Sessions waiting for a free socket slot.', () => [
+      { labels: {}, value: live().filter((s) => s.queuePosition).length },
+    ]),
+    gauge('mantra_pair_stream_subscribers', 'Clients subscribed to session event streams (SSE and WebSocket).', () => [
+      { labels: {}, value: live().reduce((n, s) => n + s.listenerCount('stream'), 0) },
+    ]),
+  ];
+
+  return {
+    contentType: CONTENT_TYPE,
+
+    // tenant is the API key's tenant, or none for the shared key / an open server.
+    sessionCreated(method, tenant) {
+      m.sessions.inc({ method, tenant: tenant || 'none' });
+    },
+
+    observe(session, event, data) {
+      if (event === 'code') m.codes.inc();
+      else if (event === 'qr') m.qrs.inc();
+      else if (event === 'exported') m.exports.inc({ format: data.format, tenant: session.tenant || 'none' });
+      else if (event === 'session_error') {
+        m.failures.inc({
+          code: data.code,
+          method: session.method,
+          disconnect_reason: session.lastDisconnectReason ?? 'none',
+          tenant: session.tenant || 'none',
+        });
+      } else if (event === 'status' && data.status === 'retrying') {
+        m.retries.inc({ method: session.method, disconnect_reason: session.lastDisconnectReason ?? 'none' });
+      } else if (event === 'status' && data.status === 'connected') {
+        m.connect.observe({ method: session.method }, (Date.now() - (session.startedAt || session.createdAt)) / 1000);
+      }
+    },
+
+    render() {
+      return `${[...Object.values(m), ...gauges].flatMap((metric) => metric.render()).join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = { createPairMetrics };
@@ -0,0 +1,203 @@
+const os = require('os');
+const path = require('path');
+
+const pino = require('pino');
+
+const { createKeyring } = require('./tokens');
+const { parseTargets } = require('./delivery');
+
+// Everything createPairServer understands. Nothing in lib/ reads process.env; see lib/env.js for the
+// mapping the standalone server uses.
+const DEFAULTS = {
+  // If set, POST /pair requires x-api-key. The event stream needs the per-session streamKey either way.
+  apiKey: '',
+  // Tenant keys with scopes and quotas (see lib/api-keys.js). apiKey, if also set, joins them as tenant "default".
+  apiKeys: [],
+  // Protects the admin API (lib/admin.js); the admin API is off while it's empty.
+  adminKey: '',
+
+  sessionTtlMs: 5 * 60_000,
+  sessionIdleTtlMs: 2 * 60_000,
+  sessionSweepMs: 30_000,
+  // How long drain() waits for connected sessions to finish exporting; keep it under the platform's kill grace.
+  drainTimeoutMs: 25_000,
+
+  // At most maxActiveSessions live WhatsApp sockets (0 = no cap); further sessions wait in a FIFO queue
+  // (lib/queue.js) of up to maxQueued, each for at most queueTimeoutMs. sessionTtlMs starts once a session leaves it.
+  maxActiveSessions: 50,
+  maxQueued: 200,
+  queueTimeoutMs: 10 * 60_000,
+
+  // Retry behavior for transient WA websocket issues
+  maxRetries: 8,
+  retryDelayMs: 4_000,
+  retryDelayMaxMs: 30_000,
+
+  // Pauses in the pairing flow: before asking for a code, before reading creds after connect,
+  // and before tearing the session down after export.
+  codeRequestDelayMs: 5_000,
+  exportDelayMs: 1_200,
+  cleanupDelayMs: 2_500,
+
+  // Rate limit for creating sessions (the event stream is intentionally NOT rate-limited)
+  pairWindowMs: 60_000,
+  pairMax: 20,
+
+  // Shared circuit breaker over WhatsApp failures, per method (lib/breaker.js). minSamples 0 turns it off.
+  // codeFallback: what a `code` request gets while that circuit is open: 'reject' (503) or 'qr' (a QR session).
+  breaker: {
+    windowMs: 5 * 60_000,
+    minSamples: 5,
+    failureRatio: 0.6,
+    openMs: 2 * 60_000,
+    codeFallback: 'reject',
+  },
+
+  // Challenge gate on POST /pair (lib/challenge.js): null (off), 'pow', or a verifier object.
+  // secret signs proof-of-work tokens; instances behind one load balancer need the same one.
+  challenge: {
+    verifier: null,
+    secret: '',
+    difficulty: 16,
+    maxDifficulty: 22,
+    difficultyStep: 25,
+    ttlMs: 2 * 60_000,
+  },
+
+  // Per-number limits on pairing codes (lib/phone-throttle.js).
+  phoneThrottle: {
+    windowMs: 60 * 60_000,
+    max: 5,
+    cooldownAfter: 3,
+    cooldownMs: 15 * 60_000,
+    cooldownMaxMs: 24 * 60 * 60_000,
+    allow: [],
+    deny: [],
+  },
+
+  // Events each session keeps so a reconnecting stream (Last-Event-ID) can catch up.
+  eventLogSize: 50,
+
+  exportEncrypted: false,
+  exportBundle: false,
+  bundleChunkSize: 30_000,
+  // Either a keyring from createKeyring(), or the pieces to build one.
+  keyring: null,
+  sessionSecret: '',
+  sessionKeyId: '',
+  retiredSecrets: [],
+
+  delivery: {
+    targets: ['self'],
+    allowed: [],
+    webhookUrl: '',
+    webhookSecret: '',
+    webhookTimeoutMs: 10_000,
+    dir: '',
+    // Custom { name, deliver(ctx) } adapters; their names become valid targets.
+    adapters: [],
+  },
+
+  // Completion message sent to the paired chat (lib/templates.js). dir adds/replaces locale templates and holds
+  // tenants/<tenant>.json overrides; tenants does the same in code. botName and docsUrl fill {{botName}} / {{docsUrl}}.
+  completion: {
+    dir: null,
+    defaultLocale: 'en',
+    botName: 'bot',
+    docsUrl: '',
+    tenants: {},
+  },
+
+  webhooks: {
+    endpoints: [],
+    maxAttempts: 6,
+    retryDelayMs: 2_000,
+    retryDelayMaxMs: 5 * 60_000,
+    timeoutMs: 10_000,
+    deadLetterFile: null,
+  },
+
+  // Append-only JSONL audit trail of pairing attempts (lib/audit.js); off unless dir is set.
+  // secret keys the HMAC that replaces phone numbers.
+  audit: {
+    dir: null,
+    secret: '',
+    maxBytes: 10 * 1024 * 1024,
+  },
+
+  // 'memory', 'file', or an object implementing the lib/session-store.js interface
+  sessionStore: 'memory',
+  sessionStoreDir: null,
+  instanceId: os.hostname(),
+  authState: 'encrypted',
+  tempDir: path.join(os.tmpdir(), 'mantra-pair'),
+
+  // The validated settings these options came from (lib/config.js), shown on GET /admin/api/config.
+  config: null,
+
+  logger: null,
+  // { makeSocket, fetchVersion }; defaults to Baileys' makeWASocket / fetchLatestBaileysVersion
+  wa: null,
+};
+
+function resolveOptions(options = {}) {
+  const o = {
+    ...DEFAULTS,
+    ...options,
+    delivery: { ...DEFAULTS.delivery, ...options.delivery },
+    webhooks: { ...DEFAULTS.webhooks, ...options.webhooks },
+    completion: { ...DEFAULTS.completion, ...options.completion },
+    breaker: { ...DEFAULTS.breaker, ...options.breaker },
+    challenge: { ...DEFAULTS.challenge, ...options.challenge },
+    phoneThrottle: { ...DEFAULTS.phoneThrottle, ...options.phoneThrottle },
+    audit: { ...DEFAULTS.audit, ...options.audit },
+  };
+
+  o.apiKey = String(o.apiKey || '').trim();
+  o.adminKey = String(o.adminKey || '').trim();
+  o.logger = o.logger || pino({ level: 'info' });
+  o.keyring =
+    o.keyring ||
+    createKeyring({ secret: String(o.sessionSecret || '').trim(), kid: o.sessionKeyId || undefined, retired: o.retiredSecrets });
+  if (o.exportEncrypted && !o.keyring.current) {
+    throw new Error('sessionSecret (SESSION_SECRET) is required when exportEncrypted is on');
+  }
+  if (o.exportEncrypted && !o.keyring.current.kid) {
+    throw new Error('sessionKeyId (SESSION_KEY_ID) is required when exportEncrypted is on');
+  }
+
+  o.delivery.targets = parseTargets(o.delivery.targets);
+  o.delivery.allowed = parseTargets([...o.delivery.targets, ...parseTargets(o.delivery.allowed)]);
+  if (o.delivery.allowed.includes('sse') && !o.apiKey && !o.apiKeys.length) {
+    throw new Error(
+      'apiKey (PAIR_API_KEY) or apiKeys (API_KEYS_FILE) is required for the "sse" delivery target (the stream must be authenticated)'
+    );
+  }
+
+  if (!['reject', 'qr'].includes(o.breaker.codeFallback)) {
+    throw new Error('breaker.codeFallback (BREAKER_CODE_FALLBACK) must be "reject" or "qr"');
+  }
+
+  const { verifier } = o.challenge;
+  if (verifier && verifier !== 'pow' && !(typeof verifier.issue === 'function' && typeof verifier.verify === 'function')) {
+    throw new Error('challenge.verifier must be "pow" or an object with issue() and verify()');
+  }
+
+  if (o.audit.dir && !String(o.audit.secret || '').trim()) {
+    throw new Error('audit.secret (AUDIT_SECRET) is required when the audit log is on (phone numbers are stored as HMACs)');
+  }
+
+  // Memory auth state dies with the process, and so does the encrypted provider's key unless it can be derived from
+  // the session secret; a resumed session needs credentials it can read.
+  if (o.sessionStore === 'file' && o.authState === 'memory') {
+    throw new Error('sessionStore "file" needs authState "files" or "encrypted" (authState "memory" doesn\'t survive a restart)');
+  }
+  if (o.sessionStore === 'file' && o.authState === 'encrypted' && !o.keyring.current) {
+    throw new Error('sessionStore "file" with authState "encrypted" needs sessionSecret (SESSION_SECRET) to key the auth state');
+  }
+
+  o.sessionStoreDir = o.sessionStoreDir || path.join(o.tempDir, 'store');
+  return o;
+}
+
+module.exports = { DEFAULTS, resolveOptions };
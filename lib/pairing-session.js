@@ -0,0 +1,531 @@
+const { EventEmitter } = require('events');
+
+const fs = require('fs-extra');
+const pino = require('pino');
+const QRCode = require('qrcode');
+const {
+  delay,
+  DisconnectReason,
+  Browsers,
+  makeCacheableSignalKeyStore,
+} = require('@whiskeysockets/baileys');
+
+const { exportTokensFromCreds } = require('./tokens');
+const { exportBundleTokens } = require('./bundle');
+const { deliverAll } = require('./delivery');
+const { PairRequestError, sessionError } = require('./errors');
+
+function now() {
+  return Date.now();
+}
+
+function safeSelfJid(sock) {
+  const id = String(sock?.user?.id || '');
+  const left = id.split('@')[0] || '';
+  const number = (left.split(':')[0] || '').trim();
+  return number ? `${number}@s.whatsapp.net` : null;
+}
+
+function isRetryableDisconnectReason(reason) {
+  if (reason === undefined || reason === null) return true;
+  const retryable = [
+    DisconnectReason.connectionClosed,
+    DisconnectReason.connectionLost,
+    DisconnectReason.timedOut,
+    DisconnectReason.restartRequired,
+    DisconnectReason.unavailableService,
+  ];
+  return retryable.includes(reason);
+}
+
+function statusCodeFromError(err) {
+  return (
+    err?.output?.statusCode ??
+    err?.data?.statusCode ??
+    err?.statusCode ??
+    err?.response?.status ??
+    undefined
+  );
+}
+
+function eventSeq(id) {
+  return Number(String(id).split('-')[1]);
+}
+
+// Events kept in the session's replay log (what the SSE / WebSocket stream carries).
+const LOGGED_EVENTS = ['status', 'code', 'qr', 'exported', 'session_error', 'server_shutdown'];
+// Streamed with an id like logged events but never kept, so a Last-Event-ID replay can't hand tokens out again.
+const LIVE_EVENTS = ['token'];
+
+// One pairing attempt: owns the WA socket, its retries, timers and auth state.
+// Events: status, code, qr, token, exported, session_error, server_shutdown (see lib/index.d.ts for payloads), plus `stream`
+// with the { id, event, data, at } entry of each of those (only token's isn't kept in the log).
+// `server` is the object createPairServer returns; sessions are created through it, not directly.
+class PairingSession extends EventEmitter {
+  constructor(server, record) {
+    super();
+    this.server = server;
+    this.id = record.id;
+    this.streamKey = record.streamKey;
+    this.method = record.method;
+    this.phone = record.phone;
+    this.delivery = record.delivery;
+    // Language of the completion message (lib/templates.js).
+    this.locale = record.locale || server.templates.defaultLocale;
+    this.createdAt = record.createdAt;
+    // When the session got a live socket slot (lib/queue.js); its TTL runs from here. null while queued.
+    this.startedAt = record.startedAt || null;
+    this.queuedAt = null;
+    // 1-based place in the queue while waiting for a slot; null otherwise.
+    this.queuePosition = null;
+    this.begun = false;
+    this.retries = record.retries || 0;
+    // Set when the session was created with a registry API key (see lib/api-keys.js).
+    this.tenant = record.tenant || null;
+    this.keyId = record.keyId || null;
+    // Address the session was requested from (audit log); null for sessions created in-process.
+    this.clientIp = record.clientIp || null;
+    // 'code' when a code request became a QR session because the code circuit was open (lib/breaker.js).
+    this.fallbackFrom = record.fallbackFrom || null;
+    this.log = server.logger.child({ id: record.id, tenant: this.tenant });
+    this.lastEventAt = now();
+    // Last `status` event (waiting_qr, requesting_code, open, retrying, ...); null until the first one.
+    this.status = null;
+    this.dir = server.sessions.authDir(record.id);
+    this.auth = null;
+    this.sock = null;
+    this.lastQr = null;
+    // Raw QR payload (lastQr is the rendered PNG data URL); used by the CLI to draw the QR in a terminal.
+    this.lastQrText = null;
+    this.lastCode = null;
+    this.codeInFlight = false;
+    // WhatsApp status code behind the retry or session_error being reported (a metrics label); null otherwise.
+    this.lastDisconnectReason = null;
+    this.finished = false;
+    this.timers = { ttl: null, idle: null };
+    // Bounded replay log. Ids are "<epoch>-<seq>"; the epoch changes when a restarted instance resumes
+    // the session, so a client's Last-Event-ID from before the restart never matches a new entry.
+    this.events = [];
+    this.eventSeq = 0;
+    // Last seq trimmed from the log; a Last-Event-ID before it can't be replayed exactly.
+    this.trimmedSeq = 0;
+    this.eventEpoch = now().toString(36);
+  }
+
+  // Queued sessions get queueTimeoutMs to reach a slot; the TTL only starts counting once they have one.
+  get expiresAt() {
+    const { sessionTtlMs, queueTimeoutMs } = this.server.options;
+    if (this.begun) return this.startedAt + sessionTtlMs;
+    return (this.queuedAt || this.createdAt) + queueTimeoutMs;
+  }
+
+  // Emits to local listeners (SSE, embedders) and to lifecycle webhooks. 'stream' is for clients (it counts as
+  // someone holding the session for the sse target and the subscriber gauges); operators watch 'timeline'.
+  notify(event, data) {
+    this.lastEventAt = now();
+    if (event === 'status') this.status = data.status;
+    const entry = LOGGED_EVENTS.includes(event) || LIVE_EVENTS.includes(event) ? this.logEvent(event, data) : null;
+    this.emit(event, data);
+    if (entry) {
+      this.emit('stream', entry);
+      this.emit('timeline', entry);
+    }
+    this.server.webhooks.dispatch(this, event, data);
+    this.server.metrics.observe(this, event, data);
+    this.server.audit.observe(this, event, data);
+    this.server.phoneThrottle.observe(this, event, data);
+    this.server.breaker.observe(this, event, data);
+    this.server.failures.observe(this, event, data);
+  }
+
+  logEvent(event, data) {
+    this.eventSeq += 1;
+    const entry = { id: `${this.eventEpoch}-${this.eventSeq}`, event, data, at: now() };
+    if (LIVE_EVENTS.includes(event)) return entry;
+    this.events.push(entry);
+    if (this.events.length > this.server.options.eventLogSize) this.trimmedSeq = eventSeq(this.events.shift().id);
+    return entry;
+  }
+
+  // Entries after `lastEventId`, or null if they can't be replayed exactly (unknown id, another epoch,
+  // or already trimmed from the log); the caller then falls back to replayStart().
+  eventsSince(lastEventId) {
+    const n = eventSeq(lastEventId);
+    if (!String(lastEventId).startsWith(`${this.eventEpoch}-`) || !Number.isInteger(n) || n < 0 || n > this.eventSeq) {
+      return null;
+    }
+    if (n < this.trimmedSeq) return null;
+    return this.events.filter((e) => eventSeq(e.id) > n);
+  }
+
+  // What a client connecting without history needs: the latest code and QR, oldest first.
+  replayStart() {
+    const latest = (event) => this.events.findLast((e) => e.event === event);
+    return [latest('code'), latest('qr')].filter(Boolean).sort((a, b) => eventSeq(a.id) - eventSeq(b.id));
+  }
+
+  // Reports a session_error (code from lib/errors.js) and ends the session.
+  fail(code, message, extra) {
+    this.notify('session_error', sessionError(code, message, extra));
+    return this.cleanup().catch(() => {});
+  }
+
+  // Ends the session once expiresAt has passed.
+  expire() {
+    if (this.begun) return this.fail('SESSION_EXPIRED', 'Session expired.');
+    return this.fail('QUEUE_TIMEOUT', 'No pairing slot became free in time. Try again later.');
+  }
+
+  armExpiry() {
+    if (this.timers.ttl) clearTimeout(this.timers.ttl);
+    this.timers.ttl = setTimeout(() => this.expire(), Math.max(0, this.expiresAt - now()));
+  }
+
+  // Registers the session and hands it to the queue, which calls begin() once a socket slot is free.
+  start() {
+    this.server.sessions.set(this.id, this);
+    this.queuedAt = now();
+    this.armExpiry();
+    this.server.queue.enter(this);
+    return this;
+  }
+
+  // Starts pairing: arms the TTL and opens the socket.
+  begin() {
+    this.begun = true;
+    // A resumed session keeps the slot time it had before the restart.
+    if (!this.startedAt) {
+      this.startedAt = now();
+      this.server.sessions.save(this);
+    }
+    this.armExpiry();
+
+    this.connect().catch((e) => {
+      this.log.error({ err: e }, 'startPairing failed');
+      this.fail('START_FAILED', 'Failed to start pairing session.');
+    });
+    return this;
+  }
+
+  touchIdle() {
+    if (this.timers.idle) clearTimeout(this.timers.idle);
+    if (!this.server.sessions.has(this.id)) return;
+    this.timers.idle = setTimeout(
+      () => this.fail('IDLE_TIMEOUT', 'Session expired due to inactivity.'),
+      this.server.options.sessionIdleTtlMs
+    );
+  }
+
+  async endSocket() {
+    try {
+      if (this.sock) await this.sock.end();
+    } catch (_) {}
+    this.sock = null;
+  }
+
+  async cleanup() {
+    // cleanup() can run more than once (e.g. an error during export, then the export's own teardown).
+    if (!this.finished) {
+      this.finished = true;
+      this.server.audit.finish(this);
+      this.server.phoneThrottle.finish(this);
+      this.server.queue.leave(this);
+    }
+    if (this.timers.ttl) clearTimeout(this.timers.ttl);
+    if (this.timers.idle) clearTimeout(this.timers.idle);
+
+    // Any handler still holding the old socket sees this.sock !== sock and bails out.
+    await this.endSocket();
+
+    try {
+      await (this.auth ? this.auth.destroy() : fs.remove(this.dir));
+    } catch (_) {}
+    this.auth = null;
+
+    this.server.sessions.delete(this.id);
+  }
+
+  // What GET /sessions/:id returns.
+  snapshot() {
+    return {
+      id: this.id,
+      method: this.method,
+      state: this.status || 'starting',
+      retries: this.retries,
+      maxRetries: this.server.options.maxRetries,
+      delivery: this.delivery,
+      locale: this.locale,
+      hasCode: Boolean(this.lastCode),
+      hasQr: Boolean(this.lastQr),
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      queuePosition: this.queuePosition,
+      expiresAt: this.expiresAt,
+      expiresInMs: Math.max(0, this.expiresAt - now()),
+      lastEventAt: this.lastEventAt,
+    };
+  }
+
+  // Ends the session on the caller's request. Listeners see a final `cancelled` status.
+  async cancel() {
+    this.notify('status', { status: 'cancelled' });
+    await this.cleanup();
+  }
+
+  // Asks WhatsApp for a fresh pairing code on the live socket. Throws PairRequestError if the session can't.
+  async regenerateCode() {
+    if (this.method !== 'code') {
+      throw new PairRequestError('NOT_CODE_SESSION', 'Only pairing-code sessions can request a new code.');
+    }
+    const sock = this.sock;
+    if (!sock || ['open', 'connected'].includes(this.status) || this.codeInFlight) {
+      throw new PairRequestError('NOT_WAITING_FOR_CODE', 'Session is not waiting for a pairing code right now.');
+    }
+    const limited = this.server.phoneThrottle.check(this.phone);
+    if (limited) throw new PairRequestError(limited.code, limited.error, { retryAfterMs: limited.retryAfterMs });
+    this.server.phoneThrottle.hit(this.phone);
+
+    try {
+      return await this.fetchCode(sock);
+    } catch (e) {
+      const code = statusCodeFromError(e);
+      this.log.warn({ code, message: e?.message }, 'requestPairingCode (regenerate) failed');
+      if (code === DisconnectReason.forbidden) {
+        throw new PairRequestError('CODE_UNAVAILABLE', "Pairing code isn't available right now. Use QR Scan.");
+      }
+      throw new PairRequestError('CODE_FAILED', `Failed to generate pairing code: ${e?.message || 'Unknown error'}`);
+    }
+  }
+
+  async fetchCode(sock) {
+    this.codeInFlight = true;
+    let raw;
+    try {
+      raw = await sock.requestPairingCode(this.phone);
+    } finally {
+      this.codeInFlight = false;
+    }
+    const formatted = raw?.match(/.{1,4}/g)?.join('-') || raw;
+    this.lastCode = formatted;
+    const payload = { code: formatted, expiresIn: 60 };
+    this.notify('code', payload);
+    this.touchIdle();
+    return payload;
+  }
+
+  exportFormat() {
+    const { exportBundle, exportEncrypted } = this.server.options;
+    if (exportBundle) return exportEncrypted ? 'bundle-encrypted' : 'bundle';
+    return exportEncrypted ? 'encrypted' : 'legacy';
+  }
+
+  exportTokens(files) {
+    const { exportBundle, exportEncrypted, keyring, bundleChunkSize } = this.server.options;
+    const opts = { encrypted: exportEncrypted, keyring };
+    if (exportBundle) return exportBundleTokens(files, { ...opts, chunkSize: bundleChunkSize });
+    return exportTokensFromCreds(files['creds.json'], opts);
+  }
+
+  // Schedules a fresh socket after a transient failure. Returns false once retries are used up, or while the
+  // method's circuit is open (other sessions already show WhatsApp refusing it).
+  async retry(failMessage) {
+    const { options, sessions, breaker } = this.server;
+    if ((this.retries || 0) >= options.maxRetries) return false;
+    if (breaker.state(this.method) === 'open') return false;
+
+    this.retries = (this.retries || 0) + 1;
+    sessions.save(this);
+    this.notify('status', { status: 'retrying', retry: this.retries, maxRetries: options.maxRetries });
+    await this.endSocket();
+    // Jittered so sessions that failed together don't all reconnect at once.
+    const backoff = Math.min(options.retryDelayMaxMs, options.retryDelayMs * this.retries);
+    await delay(Math.round(backoff * (0.5 + Math.random() / 2)));
+    if (!sessions.has(this.id)) return true;
+    this.connect().catch((e) => {
+      this.log.error({ err: e }, 'retry startPairing failed');
+      this.fail('START_FAILED', failMessage);
+    });
+    return true;
+  }
+
+  async connect() {
+    const { authState, wa } = this.server;
+    this.touchIdle();
+
+    // Opened once per session; retries reload from the same handle.
+    if (!this.auth) this.auth = await authState.open(this);
+    const { state, saveCreds } = await this.auth.load();
+    let version;
+    try {
+      if (typeof wa.fetchVersion === 'function') {
+        const latest = await wa.fetchVersion();
+        version = latest.version;
+      }
+    } catch (e) {
+      this.log.warn({ err: e }, 'fetchLatestBaileysVersion failed; using default version');
+    }
+
+    const sock = wa.makeSocket({
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, pino({ level: 'fatal' })),
+      },
+      version,
+      logger: pino({ level: 'silent' }),
+      browser: Browsers.macOS('Chrome'),
+      printQRInTerminal: false,
+      connectTimeoutMs: 90_000,
+      defaultQueryTimeoutMs: 0,
+      keepAliveIntervalMs: 10_000,
+      retryRequestDelayMs: 2_000,
+      qrTimeout: 90_000,
+      usePairingCode: this.method === 'code',
+      syncFullHistory: false,
+      markOnlineOnConnect: false,
+      getMessage: async () => undefined,
+    });
+
+    this.sock = sock;
+    sock.ev.on('creds.update', saveCreds);
+    sock.ev.on('connection.update', (update) => {
+      if (this.sock !== sock) return;
+      this.onConnectionUpdate(sock, update).catch((e) => this.log.error({ err: e }, 'connection.update failed'));
+    });
+
+    if (this.method === 'code') {
+      await this.requestCode(sock);
+    } else {
+      this.notify('status', { status: 'waiting_qr' });
+    }
+  }
+
+  async requestCode(sock) {
+    const { options } = this.server;
+    this.notify('status', { status: 'requesting_code' });
+    await delay(options.codeRequestDelayMs);
+    if (this.sock !== sock) return;
+    try {
+      await this.fetchCode(sock);
+    } catch (e) {
+      const code = statusCodeFromError(e);
+      this.log.warn({ code, message: e?.message }, 'requestPairingCode failed');
+
+      // If WhatsApp asks us to restart / transient network error, restart the socket flow.
+      this.lastDisconnectReason = code ?? null;
+      if (isRetryableDisconnectReason(code) && (await this.retry('Retry failed. Try QR instead.'))) {
+        this.lastDisconnectReason = null;
+        return;
+      }
+
+      // Nothing more will come of this socket: end the session so its slot goes to the next one in the queue.
+      const message = `Failed to generate pairing code: ${e?.message || 'Unknown error'}`;
+      if (code === DisconnectReason.forbidden) {
+        await this.fail('CODE_UNAVAILABLE', "Pairing code isn't available right now. Use QR Scan.");
+      } else if (code === DisconnectReason.unavailableService) {
+        await this.fail('WA_UNAVAILABLE', message, { remediation: 'switch_method' });
+      } else if (isRetryableDisconnectReason(code)) {
+        await this.fail('RETRY_EXHAUSTED', message);
+      } else {
+        await this.fail('CODE_FAILED', message);
+      }
+    }
+  }
+
+  async onConnectionUpdate(sock, update) {
+    const { connection, qr, lastDisconnect } = update;
+
+    if (connection) {
+      this.notify('status', { status: connection });
+      this.touchIdle();
+    }
+
+    if (qr && this.method === 'qr') {
+      try {
+        const qrDataUrl = await QRCode.toDataURL(qr);
+        this.lastQr = qrDataUrl;
+        this.lastQrText = qr;
+        this.notify('qr', { qr: qrDataUrl });
+        this.touchIdle();
+      } catch (e) {
+        this.notify('session_error', sessionError('QR_FAILED', `Failed to render QR: ${e.message}`));
+      }
+    }
+
+    if (connection === 'open') await this.onOpen(sock);
+    if (connection === 'close') await this.onClose(lastDisconnect);
+  }
+
+  async onOpen(sock) {
+    const { options, deliveryAdapters } = this.server;
+    this.retries = 0;
+    this.notify('status', { status: 'connected' });
+
+    await delay(options.exportDelayMs);
+    // Cancelled, expired, terminated or stopped during the delay: there is nothing left to export.
+    if (this.finished || !this.auth || this.sock !== sock) return;
+    const files = await this.auth.readFiles().catch(() => ({}));
+    if (!files['creds.json']) {
+      await this.fail('EXPORT_FAILED', 'creds.json not found after connect');
+      return;
+    }
+
+    try {
+      const format = this.exportFormat();
+      const tokens = this.exportTokens(files);
+      const selfJid = safeSelfJid(sock);
+      const pairedNumber = selfJid ? selfJid.split('@')[0] : null;
+
+      const { delivered, failed } = await deliverAll(deliveryAdapters, this.delivery, {
+        session: this,
+        sock,
+        selfJid,
+        pairedNumber,
+        tokens,
+        format,
+      });
+      if (failed.length) this.log.warn({ failed }, 'Some delivery targets failed');
+      if (!delivered.length) throw new Error(failed.map((f) => `${f.target}: ${f.error}`).join('; '));
+
+      this.notify('exported', { format, parts: tokens.length, delivered, failed: failed.map((f) => f.target) });
+    } catch (e) {
+      this.notify('session_error', sessionError('EXPORT_FAILED', `Failed to export session: ${e.message}`));
+    } finally {
+      await delay(options.cleanupDelayMs);
+      await this.cleanup();
+    }
+  }
+
+  async onClose(lastDisconnect) {
+    const reason = lastDisconnect?.error?.output?.statusCode;
+    const message = lastDisconnect?.error?.message || 'Unknown error';
+
+    this.log.warn({ reason, message }, 'WA connection closed');
+    this.lastDisconnectReason = reason ?? null;
+    if (reason === DisconnectReason.loggedOut) {
+      await this.fail('WA_LOGGED_OUT', 'Logged out by WhatsApp. Start pairing again.');
+      return;
+    }
+
+    if (isRetryableDisconnectReason(reason) && (await this.retry('Retry failed. Try again.'))) {
+      this.lastDisconnectReason = null;
+      return;
+    }
+
+    if (reason === DisconnectReason.unavailableService) {
+      // For code pairing, QR is the quickest way around a 503.
+      await (this.method === 'code'
+        ? this.fail(
+            'WA_UNAVAILABLE',
+            "WhatsApp service is temporarily unavailable for phone-number pairing (503). Try QR, or wait 5-10 minutes and retry.",
+            { remediation: 'switch_method' }
+          )
+        : this.fail('WA_UNAVAILABLE', 'WhatsApp service is temporarily unavailable (503). Wait a bit and try again.'));
+      return;
+    }
+
+    const msg = `Couldn't login. Connection closed${reason ? ` (code ${reason})` : ''}.`;
+    await this.fail(isRetryableDisconnectReason(reason) ? 'RETRY_EXHAUSTED' : 'CONNECTION_CLOSED', msg);
+  }
+}
+
+module.exports = { LOGGED_EVENTS, PairingSession, isRetryableDisconnectReason, statusCodeFromError };
@@ -0,0 +1,113 @@
+// Per-phone-number limits on pairing codes, so rotating IPs doesn't let anyone flood one number with
+// "enter this code" notifications. Keyed on the digits validatePhone() returns.
+//   - sliding window: at most `max` codes per number per `windowMs` (new sessions and regenerated codes)
+//   - cooldown: once `cooldownAfter` codes in a row went unconfirmed (the session never connected), the number is
+//     locked for cooldownMs, doubling with every further unconfirmed code up to cooldownMaxMs.
+//     A successful pairing clears it.
+//   - allow / deny: digit prefixes (a country code like "254" or a full number). With an allowlist, only
+//     numbers matching it may request codes; the denylist always wins.
+// State is in memory and per instance.
+
+function parsePrefixes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map((x) => String(x).replace(/\D/g, '')).filter(Boolean))];
+}
+
+function matchesPrefix(list, phone) {
+  return list.some((p) => phone.startsWith(p));
+}
+
+// config: { windowMs, max, cooldownAfter, cooldownMs, cooldownMaxMs, allow, deny }
+function createPhoneThrottle(config) {
+  const allow = parsePrefixes(config.allow);
+  const deny = parsePrefixes(config.deny);
+  // phone -> { hits: [timestamps], unconfirmed, lockedUntil, lastAt }
+  const numbers = new Map();
+  // Sessions whose codes haven't been settled yet: session -> codes issued.
+  const pending = new WeakMap();
+
+  function stateFor(phone) {
+    const st = numbers.get(phone) || { hits: [], unconfirmed: 0, lockedUntil: 0, lastAt: 0 };
+    numbers.set(phone, st);
+    return st;
+  }
+
+  function cooldownFor(unconfirmed) {
+    const over = unconfirmed - config.cooldownAfter;
+    if (over < 0) return 0;
+    return Math.min(config.cooldownMaxMs, config.cooldownMs * 2 ** over);
+  }
+
+  return {
+    // Returns null, or { code, error, retryAfterMs? } (lib/errors.js codes) if the number may not get a code now.
+    check(phone, at = Date.now()) {
+      if (matchesPrefix(deny, phone) || (allow.length && !matchesPrefix(allow, phone))) {
+        return { code: 'PHONE_DENIED', error: 'Pairing codes are not available for this phone number.' };
+      }
+      const st = numbers.get(phone);
+      if (!st) return null;
+      if (st.lockedUntil > at) {
+        return {
+          code: 'PHONE_COOLDOWN',
+          error: 'Too many unused pairing codes for this number. Wait before requesting another.',
+          retryAfterMs: st.lockedUntil - at,
+        };
+      }
+      st.hits = st.hits.filter((t) => at - t < config.windowMs);
+      if (st.hits.length >= config.max) {
+        return {
+          code: 'PHONE_THROTTLED',
+          error: 'Too many pairing codes requested for this number. Try again later.',
+          retryAfterMs: st.hits[0] + config.windowMs - at,
+        };
+      }
+      return null;
+    },
+
+    // Counts one code request against the number.
+    hit(phone, at = Date.now()) {
+      const st = stateFor(phone);
+      st.hits.push(at);
+      st.lastAt = at;
+    },
+
+    observe(session, event, data) {
+      if (session.method !== 'code' || !session.phone) return;
+      if (event === 'code') pending.set(session, (pending.get(session) || 0) + 1);
+      if (event === 'status' && data.status === 'connected') {
+        pending.delete(session);
+        const st = numbers.get(session.phone);
+        if (st) {
+          st.unconfirmed = 0;
+          st.lockedUntil = 0;
+        }
+      }
+    },
+
+    // Session torn down: codes it issued that never led to a connection count as unconfirmed.
+    finish(session, at = Date.now()) {
+      const codes = pending.get(session) || 0;
+      pending.delete(session);
+      if (!codes) return;
+      const st = stateFor(session.phone);
+      st.unconfirmed += codes;
+      st.lastAt = at;
+      const cooldown = cooldownFor(st.unconfirmed);
+      if (cooldown) st.lockedUntil = Math.max(st.lockedUntil, at + cooldown);
+    },
+
+    // Forgets numbers with nothing left to enforce; unconfirmed streaks decay after cooldownMaxMs of quiet.
+    prune(at = Date.now()) {
+      for (const [phone, st] of numbers) {
+        const idle = at - st.lastAt;
+        if (st.lockedUntil <= at && idle >= config.windowMs && idle >= config.cooldownMaxMs) numbers.delete(phone);
+      }
+    },
+
+    get size() {
+      return numbers.size;
+    },
+  };
+}
+
+module.exports = { parsePrefixes, createPhoneThrottle };
@@ -0,0 +1,120 @@
+// Phone numbers for code pairing: E.164 digits (country calling code first, no "+"). The table below is enough to
+// reject impossible numbers (unknown calling code, wrong length after it); it doesn't know every numbering plan's
+// prefixes, so WhatsApp remains the final judge. GET /countries serves it to the web UI's country picker.
+
+// [region, calling code, min, max national number length]
+const COUNTRIES = [
+  ['AD', '376', 6, 9], ['AE', '971', 8, 9], ['AF', '93', 9, 9], ['AG', '1', 10, 10], ['AI', '1', 10, 10],
+  ['AL', '355', 8, 9], ['AM', '374', 8, 8], ['AO', '244', 9, 9], ['AR', '54', 10, 11], ['AS', '1', 10, 10],
+  ['AT', '43', 4, 13], ['AU', '61', 9, 9], ['AW', '297', 7, 7], ['AZ', '994', 9, 9], ['BA', '387', 8, 9],
+  ['BB', '1', 10, 10], ['BD', '880', 10, 10], ['BE', '32', 8, 9], ['BF', '226', 8, 8], ['BG', '359', 8, 9],
+  ['BH', '973', 8, 8], ['BI', '257', 8, 8], ['BJ', '229', 8, 10], ['BM', '1', 10, 10], ['BN', '673', 7, 7],
+  ['BO', '591', 8, 8], ['BR', '55', 10, 11], ['BS', '1', 10, 10], ['BT', '975', 7, 8], ['BW', '267', 7, 8],
+  ['BY', '375', 9, 10], ['BZ', '501', 7, 7], ['CA', '1', 10, 10], ['CD', '243', 9, 9], ['CF', '236', 8, 8],
+  ['CG', '242', 9, 9], ['CH', '41', 9, 9], ['CI', '225', 10, 10], ['CL', '56', 9, 9], ['CM', '237', 9, 9],
+  ['CN', '86', 10, 11], ['CO', '57', 10, 10], ['CR', '506', 8, 8], ['CU', '53', 8, 8], ['CV', '238', 7, 7],
+  ['CW', '599', 7, 8], ['CY', '357', 8, 8], ['CZ', '420', 9, 9], ['DE', '49', 6, 13], ['DJ', '253', 8, 8],
+  ['DK', '45', 8, 8], ['DM', '1', 10, 10], ['DO', '1', 10, 10], ['DZ', '213', 8, 9], ['EC', '593', 8, 9],
+  ['EE', '372', 7, 8], ['EG', '20', 9, 10], ['ER', '291', 7, 7], ['ES', '34', 9, 9], ['ET', '251', 9, 9],
+  ['FI', '358', 6, 10], ['FJ', '679', 7, 7], ['FM', '691', 7, 7], ['FO', '298', 6, 6], ['FR', '33', 9, 9],
+  ['GA', '241', 7, 8], ['GB', '44', 9, 10], ['GD', '1', 10, 10], ['GE', '995', 9, 9], ['GF', '594', 9, 9],
+  ['GH', '233', 9, 9], ['GI', '350', 8, 8], ['GL', '299', 6, 6], ['GM', '220', 7, 7], ['GN', '224', 9, 9],
+  ['GP', '590', 9, 9], ['GQ', '240', 9, 9], ['GR', '30', 10, 10], ['GT', '502', 8, 8], ['GU', '1', 10, 10],
+  ['GW', '245', 9, 9], ['GY', '592', 7, 7], ['HK', '852', 8, 8], ['HN', '504', 8, 8], ['HR', '385', 8, 9],
+  ['HT', '509', 8, 8], ['HU', '36', 8, 9], ['ID', '62', 9, 12], ['IE', '353', 7, 9], ['IL', '972', 8, 9],
+  ['IN', '91', 10, 10], ['IQ', '964', 10, 10], ['IR', '98', 10, 10], ['IS', '354', 7, 9], ['IT', '39', 6, 11],
+  ['JM', '1', 10, 10], ['JO', '962', 8, 9], ['JP', '81', 9, 10], ['KE', '254', 9, 9], ['KG', '996', 9, 9],
+  ['KH', '855', 8, 9], ['KI', '686', 5, 8], ['KM', '269', 7, 7], ['KN', '1', 10, 10], ['KR', '82', 9, 10],
+  ['KW', '965', 8, 8], ['KY', '1', 10, 10], ['KZ', '7', 10, 10], ['LA', '856', 8, 10], ['LB', '961', 7, 8],
+  ['LC', '1', 10, 10], ['LI', '423', 7, 9], ['LK', '94', 9, 9], ['LR', '231', 7, 9], ['LS', '266', 8, 8],
+  ['LT', '370', 8, 8], ['LU', '352', 4, 11], ['LV', '371', 8, 8], ['LY', '218', 9, 9], ['MA', '212', 9, 9],
+  ['MC', '377', 8, 9], ['MD', '373', 8, 8], ['ME', '382', 8, 9], ['MG', '261', 9, 9], ['MH', '692', 7, 7],
+  ['MK', '389', 8, 8], ['ML', '223', 8, 8], ['MM', '95', 7, 10], ['MN', '976', 8, 8], ['MO', '853', 8, 8],
+  ['MP', '1', 10, 10], ['MQ', '596', 9, 9], ['MR', '222', 8, 8], ['MS', '1', 10, 10], ['MT', '356', 8, 8],
+  ['MU', '230', 7, 8], ['MV', '960', 7, 7], ['MW', '265', 7, 9], ['MX', '52', 10, 10], ['MY', '60', 8, 10],
+  ['MZ', '258', 8, 9], ['NA', '264', 8, 9], ['NC', '687', 6, 6], ['NE', '227', 8, 8], ['NG', '234', 8, 10],
+  ['NI', '505', 8, 8], ['NL', '31', 9, 9], ['NO', '47', 8, 8], ['NP', '977', 8, 10], ['NR', '674', 7, 7],
+  ['NZ', '64', 8, 10], ['OM', '968', 8, 8], ['PA', '507', 7, 8], ['PE', '51', 8, 9], ['PF', '689', 6, 8],
+  ['PG', '675', 7, 8], ['PH', '63', 8, 10], ['PK', '92', 9, 10], ['PL', '48', 9, 9], ['PR', '1', 10, 10],
+  ['PS', '970', 8, 9], ['PT', '351', 9, 9], ['PW', '680', 7, 7], ['PY', '595', 9, 9], ['QA', '974', 7, 8],
+  ['RE', '262', 9, 9], ['RO', '40', 9, 9], ['RS', '381', 8, 9], ['RU', '7', 10, 10], ['RW', '250', 9, 9],
+  ['SA', '966', 8, 9], ['SB', '677', 5, 7], ['SC', '248', 7, 7], ['SD', '249', 9, 9], ['SE', '46', 7, 9],
+  ['SG', '65', 8, 8], ['SI', '386', 8, 8], ['SK', '421', 9, 9], ['SL', '232', 8, 8], ['SM', '378', 6, 10],
+  ['SN', '221', 9, 9], ['SO', '252', 7, 9], ['SR', '597', 6, 7], ['SS', '211', 9, 9], ['ST', '239', 7, 7],
+  ['SV', '503', 8, 8], ['SX', '1', 10, 10], ['SY', '963', 8, 9], ['SZ', '268', 8, 8], ['TC', '1', 10, 10],
+  ['TD', '235', 8, 8], ['TG', '228', 8, 8], ['TH', '66', 8, 9], ['TJ', '992', 9, 9], ['TL', '670', 7, 8],
+  ['TM', '993', 8, 8], ['TN', '216', 8, 8], ['TO', '676', 5, 7], ['TR', '90', 10, 10], ['TT', '1', 10, 10],
+  ['TV', '688', 5, 6], ['TW', '886', 8, 9], ['TZ', '255', 9, 9], ['UA', '380', 9, 9], ['UG', '256', 9, 9],
+  ['US', '1', 10, 10], ['UY', '598', 8, 8], ['UZ', '998', 9, 9], ['VC', '1', 10, 10], ['VE', '58', 10, 10],
+  ['VG', '1', 10, 10], ['VI', '1', 10, 10], ['VN', '84', 9, 10], ['VU', '678', 5, 7], ['WS', '685', 5, 7],
+  ['XK', '383', 8, 9], ['YE', '967', 7, 9], ['ZA', '27', 9, 9], ['ZM', '260', 9, 9], ['ZW', '263', 9, 10],
+].map(([region, callingCode, min, max]) => ({ region, callingCode, min, max }));
+
+const BY_REGION = new Map(COUNTRIES.map((c) => [c.region, c]));
+// Regions whose national numbers keep their leading 0 after the calling code.
+const KEEPS_LEADING_ZERO = ['IT', 'SM'];
+
+// calling code -> { callingCode, min, max, regions } (regions sharing a code, e.g. +1, can't be told apart here)
+const BY_CODE = new Map();
+for (const c of COUNTRIES) {
+  const entry = BY_CODE.get(c.callingCode) || { callingCode: c.callingCode, min: c.min, max: c.max, regions: [] };
+  entry.min = Math.min(entry.min, c.min);
+  entry.max = Math.max(entry.max, c.max);
+  entry.regions.push(c.region);
+  BY_CODE.set(c.callingCode, entry);
+}
+
+// Calling codes are prefix-free, so at most one of the 1-3 digit prefixes matches.
+function callingCodeOf(digits) {
+  for (let n = 1; n <= 3; n += 1) {
+    const entry = BY_CODE.get(digits.slice(0, n));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+// A national-format number ("0712 345 678" with KE) as E.164 digits, or null if it can't be one for that region.
+// Anything written as international (+ or 00) is left to the international reading.
+function nationalToE164(phone, region) {
+  const raw = String(phone || '').trim();
+  const c = BY_REGION.get(String(region || '').toUpperCase());
+  if (!c || raw.startsWith('+') || raw.startsWith('00')) return null;
+  let digits = raw.replace(/\D/g, '');
+  if (digits.startsWith('0') && !KEEPS_LEADING_ZERO.includes(c.region)) digits = digits.slice(1);
+  return digits.length >= c.min && digits.length <= c.max ? c.callingCode + digits : null;
+}
+
+function checkInternational(digits, region) {
+  if (digits.length < 7 || digits.length > 15) {
+    return { ok: false, error: 'Enter the full number with its country code (7-15 digits).' };
+  }
+  const entry = callingCodeOf(digits);
+  if (!entry) return { ok: false, error: `No country uses the calling code at the start of +${digits}.` };
+
+  const national = digits.length - entry.callingCode.length;
+  if (national < entry.min || national > entry.max) {
+    const expected = entry.min === entry.max ? `${entry.min}` : `${entry.min}-${entry.max}`;
+    return {
+      ok: false,
+      error: `Numbers with +${entry.callingCode} have ${expected} digits after the country code, not ${national}.`,
+    };
+  }
+
+  if (region) {
+    const r = String(region).toUpperCase();
+    if (!entry.regions.includes(r)) return { ok: false, error: `+${digits} is not a number from ${r}.`, field: 'country' };
+  }
+  return { ok: true, phone: digits, callingCode: entry.callingCode, regions: entry.regions };
+}
+
+// { ok: true, phone, callingCode, regions } or { ok: false, error }. Accepts "+254 712 345 678", "254712345678", ...
+// A region (ISO 3166 alpha-2, from the country picker) must match the number's calling code; with one, a number
+// that isn't valid as international is also tried in that region's national format, so phone is always E.164.
+function validatePhone(phone, region) {
+  const international = checkInternational(String(phone || '').replace(/\D/g, ''), region);
+  if (international.ok || !region) return international;
+  const national = nationalToE164(phone, region);
+  return national ? checkInternational(national, region) : international;
+}
+
+module.exports = { COUNTRIES, callingCodeOf, validatePhone };
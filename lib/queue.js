@@ -0,0 +1,90 @@
+// Caps how many sessions hold a live WhatsApp socket at once. Sessions over the cap wait in a FIFO queue and get
+// `status: queued` events with their position and an ETA whenever either changes. Per instance.
+
+// Until a few sessions have finished, assume each one holds its slot this long.
+const DEFAULT_HOLD_MS = 60_000;
+const HOLD_SAMPLES = 20;
+
+// opts: { maxActive (0 = no cap), maxQueued }
+function createSessionQueue({ maxActive, maxQueued }) {
+  const active = new Set();
+  const waiting = [];
+  const holds = [];
+
+  function averageHoldMs() {
+    return holds.length ? holds.reduce((a, b) => a + b, 0) / holds.length : DEFAULT_HOLD_MS;
+  }
+
+  function hasRoom() {
+    return !maxActive || active.size < maxActive;
+  }
+
+  // Each queued session is told its 1-based position and roughly when a slot should free up for it.
+  function announce() {
+    const hold = averageHoldMs();
+    waiting.forEach((s, i) => {
+      const position = i + 1;
+      if (s.queuePosition === position) return;
+      s.queuePosition = position;
+      s.notify('status', { status: 'queued', position, etaMs: Math.round(Math.ceil(position / maxActive) * hold) });
+    });
+  }
+
+  function promote() {
+    while (waiting.length && hasRoom()) {
+      const s = waiting.shift();
+      s.queuePosition = null;
+      active.add(s);
+      s.begin();
+    }
+    announce();
+  }
+
+  return {
+    get active() {
+      return active.size;
+    },
+    get waiting() {
+      return waiting.length;
+    },
+
+    // True when a new session could neither start nor queue.
+    full() {
+      return !hasRoom() && waiting.length >= maxQueued;
+    },
+
+    // Starts the session now if there's a free slot, otherwise queues it.
+    enter(s) {
+      if (hasRoom() && !waiting.length) {
+        active.add(s);
+        s.begin();
+        return;
+      }
+      waiting.push(s);
+      announce();
+    },
+
+    // The session ended (or gave up waiting): frees its slot or its place in line.
+    leave(s) {
+      if (active.delete(s)) {
+        if (s.startedAt) {
+          holds.push(Date.now() - s.startedAt);
+          if (holds.length > HOLD_SAMPLES) holds.shift();
+        }
+      } else {
+        const i = waiting.indexOf(s);
+        if (i < 0) return;
+        waiting.splice(i, 1);
+      }
+      promote();
+    },
+
+    // Forgets every slot and queued session without starting anyone (server stop).
+    clear() {
+      active.clear();
+      waiting.length = 0;
+    },
+  };
+}
+
+module.exports = { createSessionQueue };
@@ -0,0 +1,130 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+const { errorInfo, sendError, httpErrorHandler } = require('./errors');
+const { COUNTRIES } = require('./phone');
+const { sameKey, sseHandler } = require('./stream');
+
+function limiter(options) {
+  return rateLimit({
+    windowMs: options.pairWindowMs,
+    max: options.pairMax,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      ok: false,
+      error: 'Rate limit exceeded. Try again shortly.',
+      ...errorInfo('RATE_LIMITED', { retryAfterMs: options.pairWindowMs }),
+    },
+  });
+}
+
+// The pairing HTTP API for a createPairServer() instance. Mount it at any prefix:
+//   app.use('/pairing', pair.router())  ->  POST /pairing/pair, GET /pairing/sessions/:id/events, ...
+// Expects express.json() (or equivalent) upstream.
+function createPairRouter(server) {
+  const { options } = server;
+  const router = express.Router();
+
+  // Sets req.apiKey to the registry entry when keys are configured.
+  function requireApiKey(req, res, next) {
+    if (!server.apiKeys.size) return next();
+    const auth = server.apiKeys.authenticate(String(req.get('x-api-key') || '').trim());
+    if (!auth.ok) return sendError(res, auth.code, auth.error);
+    req.apiKey = auth.entry;
+    return next();
+  }
+
+  // Session control always needs the session's streamKey (x-stream-key header or ?key=). Sets req.pairing.
+  function requireStreamKey(req, res, next) {
+    const s = server.getSession(req.params.id);
+    if (!s) return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
+    const key = String(req.get('x-stream-key') || req.query.key || '').trim();
+    if (!key || !sameKey(key, s.streamKey)) return sendError(res, 'UNAUTHORIZED', 'Unauthorized');
+    req.pairing = s;
+    return next();
+  }
+
+  // With a challenge verifier configured, POST /pair needs body.challenge (see GET /challenge).
+  async function requireChallenge(req, res, next) {
+    if (!server.challenge) return next();
+    const proof = req.body?.challenge;
+    if (!proof || typeof proof !== 'object') {
+      return sendError(res, 'CHALLENGE_REQUIRED', 'Solve a challenge first (GET /challenge) and send it as "challenge".');
+    }
+    const result = await server.challenge.verify(proof, { ip: req.ip });
+    if (!result.ok) return sendError(res, result.code || 'CHALLENGE_INVALID', result.error);
+    return next();
+  }
+
+  // Per-method availability from the circuit breaker, so clients can steer users before they try.
+  router.get('/status', (req, res) => {
+    res.json({ ok: true, methods: server.methodStatus() });
+  });
+
+  // Calling codes and national number lengths, for country pickers. Static, so clients may cache it.
+  router.get('/countries', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.json({ ok: true, countries: COUNTRIES });
+  });
+
+  router.get('/challenge', async (req, res) => {
+    if (!server.challenge) return res.json({ ok: true, type: 'none' });
+    return res.json({ ok: true, type: server.challenge.name || 'custom', ...(await server.challenge.issue({ ip: req.ip })) });
+  });
+
+  // PairRequestErrors thrown by the handlers below become coded responses in httpErrorHandler.
+  router.post('/pair', limiter(options), requireApiKey, requireChallenge, (req, res) => {
+    const s = server.createSession({
+      method: req.body?.method,
+      phone: req.body?.phone,
+      country: req.body?.country,
+      delivery: req.body?.delivery,
+      locale: req.body?.locale,
+      apiKey: req.apiKey || null,
+      clientIp: req.ip,
+    });
+
+    res.json({
+      ok: true,
+      id: s.id,
+      method: s.method,
+      // Set when a code request was answered with a QR session (breaker.codeFallback 'qr').
+      ...(s.fallbackFrom ? { fallbackFrom: s.fallbackFrom } : {}),
+      delivery: s.delivery,
+      locale: s.locale,
+      // Needed for the session control endpoints and the event stream.
+      streamKey: s.streamKey,
+    });
+  });
+
+  router.get('/sessions/:id', requireStreamKey, (req, res) => {
+    res.json({ ok: true, ...req.pairing.snapshot() });
+  });
+
+  router.delete('/sessions/:id', requireStreamKey, async (req, res) => {
+    await req.pairing.cancel();
+    res.json({ ok: true, id: req.pairing.id });
+  });
+
+  router.post('/sessions/:id/code', limiter(options), requireStreamKey, async (req, res) => {
+    res.json({ ok: true, ...(await req.pairing.regenerateCode()) });
+  });
+
+  router.post('/tokens/inspect', limiter(options), requireApiKey, async (req, res) => {
+    const token = req.body?.token;
+    const hasToken = Array.isArray(token) ? token.length > 0 : typeof token === 'string' && token.trim() !== '';
+    if (!hasToken) return sendError(res, 'MISSING_TOKEN', 'Missing "token".', { field: 'token' });
+
+    res.json({ ok: true, ...(await server.inspect(token)) });
+  });
+
+  // SSE; the same stream is available over WebSocket via server.attachWebSocket() (lib/stream.js).
+  router.get('/sessions/:id/events', sseHandler(server));
+
+  router.use(httpErrorHandler(server.logger));
+
+  return router;
+}
+
+module.exports = { createPairRouter };
@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+
+const fs = require('fs-extra');
+const {
+  default: makeWASocket,
+  useMultiFileAuthState,
+  fetchLatestBaileysVersion,
+} = require('@whiskeysockets/baileys');
+
+const { readAuthDir } = require('./bundle');
+const { inspectToken } = require('./decode');
+const { parseTargets, createDeliveryAdapters } = require('./delivery');
+const { createWebhookDispatcher } = require('./webhooks');
+const { createSessionStore } = require('./session-store');
+const { createAuthStateProvider } = require('./auth-state');
+const { resolveOptions } = require('./options');
+const { createApiKeyRegistry } = require('./api-keys');
+const { PairRequestError, sessionError } = require('./errors');
+const { PairingSession } = require('./pairing-session');
+const { createPairRouter } = require('./router');
+const { createAdminRouter, createFailureLog } = require('./admin');
+const { attachWebSocket } = require('./stream');
+const { createPairMetrics } = require('./metrics');
+const { createAuditLog } = require('./audit');
+const { createPhoneThrottle } = require('./phone-throttle');
+const { createPowVerifier } = require('./challenge');
+const { createSessionQueue } = require('./queue');
+const { loadCompletionTemplates } = require('./templates');
+const { createCircuitBreaker } = require('./breaker');
+const { validatePhone } = require('./phone');
+
+function now() {
+  return Date.now();
+}
+
+function randomId(prefix) {
+  return `${prefix}_${now()}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+const DRAIN_POLL_MS = 100;
+
+// What users are told while a method's circuit is open (POST /pair errors and GET /status).
+const CIRCUIT_ADVICE = {
+  code: 'WhatsApp is refusing phone-number pairing right now. Use QR Scan instead.',
+  qr: 'WhatsApp is refusing new device links right now. Try again in a few minutes.',
+};
+
+// Builds everything a pairing deployment needs from plain options (see lib/options.js).
+// Nothing runs until start(); stop() ends the sweep timer and every live session.
+function createPairServer(input = {}) {
+  const options = resolveOptions(input);
+  const { logger } = options;
+
+  const sessions =
+    typeof options.sessionStore === 'object'
+      ? options.sessionStore
+      : createSessionStore({
+          kind: options.sessionStore,
+          dir: options.sessionStoreDir,
+          tempDir: options.tempDir,
+          instanceId: options.instanceId,
+          leaseMs: options.sessionSweepMs * 3,
+          logger,
+        });
+
+  // Broken templates fail here, at startup, not after someone has paired.
+  const templates = loadCompletionTemplates(options.completion);
+
+  const server = {
+    options,
+    logger,
+    sessions,
+    // Socket factory and version lookup are swappable so the flow can run against a fake socket (see test/helpers).
+    wa: { makeSocket: makeWASocket, fetchVersion: fetchLatestBaileysVersion, ...options.wa },
+    // With a durable store, encrypted auth state is keyed off SESSION_SECRET so another instance can resume it.
+    authState: createAuthStateProvider(options.authState, {
+      useMultiFileAuthState,
+      readAuthDir,
+      secret: options.sessionStore === 'file' ? options.keyring.current?.secret : null,
+    }),
+    templates,
+    deliveryAdapters: createDeliveryAdapters({ ...options.delivery, targets: options.delivery.allowed, templates }),
+    webhooks: createWebhookDispatcher({ ...options.webhooks, logger }),
+    metrics: createPairMetrics(sessions),
+    audit: createAuditLog({ ...options.audit, logger }),
+    phoneThrottle: createPhoneThrottle(options.phoneThrottle),
+    breaker: createCircuitBreaker(options.breaker),
+    failures: createFailureLog(),
+    queue: createSessionQueue({ maxActive: options.maxActiveSessions, maxQueued: options.maxQueued }),
+    // Verifier guarding POST /pair, or null.
+    challenge:
+      options.challenge.verifier === 'pow'
+        ? createPowVerifier({ ...options.challenge, load: () => sessions.size })
+        : options.challenge.verifier,
+    apiKeys: createApiKeyRegistry(),
+    sweepTimer: null,
+    // idle -> starting -> ready -> draining -> stopped; GET /ready is healthy only while 'ready'.
+    state: 'idle',
+    drainPromise: null,
+  };
+
+  function withDefaultKey(list) {
+    return options.apiKey ? [...list, { id: 'default', tenant: 'default', key: options.apiKey }] : list;
+  }
+
+  server.apiKeys.set(withDefaultKey(options.apiKeys));
+
+  // Ends every live session opened with a key (after it was revoked); the tenant's other keys keep theirs.
+  // Returns how many were ended.
+  async function endKeySessions(entry) {
+    const victims = [...sessions.values()].filter((s) => s.keyId === entry.id);
+    await Promise.all(victims.map((s) => s.fail('KEY_REVOKED', 'API key revoked.')));
+    if (victims.length) {
+      logger.warn({ tenant: entry.tenant, keyId: entry.id, sessions: victims.length }, 'Ended sessions of revoked API key');
+    }
+    return victims.length;
+  }
+
+  server.revokeApiKey = async (id) => {
+    const entry = server.apiKeys.revoke(id);
+    return entry ? endKeySessions(entry) : 0;
+  };
+
+  // Swaps in a new key list (e.g. API_KEYS_FILE re-read on SIGHUP). Keys that were revoked or removed end their
+  // sessions.
+  server.setApiKeys = async (list) => {
+    const dropped = server.apiKeys.set(withDefaultKey(list));
+    const ended = await Promise.all(dropped.map(endKeySessions));
+    return ended.reduce((a, b) => a + b, 0);
+  };
+
+  function openSession({ method = 'code', phone, country, delivery, locale, apiKey = null, clientIp = null }) {
+    // Only a started server sweeps expired sessions and drains on shutdown; refuse outside that window.
+    if (server.state === 'draining' || server.state === 'stopped') {
+      throw new PairRequestError('SERVER_SHUTDOWN', 'This server is shutting down. Try again in a few seconds.');
+    }
+    if (server.state !== 'ready') {
+      throw new PairRequestError('SERVER_NOT_READY', 'This server is still starting. Try again in a few seconds.');
+    }
+    method = String(method);
+    if (!['code', 'qr'].includes(method)) {
+      throw new PairRequestError('INVALID_METHOD', 'Invalid method. Use "code" or "qr".', { field: 'method' });
+    }
+    if (apiKey?.methods && !apiKey.methods.includes(method)) {
+      throw new PairRequestError('KEY_SCOPE_DENIED', `This API key may not use method "${method}".`);
+    }
+
+    // Methods whose circuit is open take no new sessions; code requests may be turned into QR sessions instead.
+    let fallbackFrom = null;
+    const blocked = server.breaker.check(method);
+    const qrAllowed = !apiKey?.methods || apiKey.methods.includes('qr');
+    if (blocked && method === 'code' && options.breaker.codeFallback === 'qr' && qrAllowed && !server.breaker.check('qr')) {
+      fallbackFrom = 'code';
+      method = 'qr';
+    } else if (blocked) {
+      const extra = method === 'code' ? { remediation: 'switch_method' } : { retryAfterMs: blocked.retryAfterMs };
+      throw new PairRequestError('CIRCUIT_OPEN', CIRCUIT_ADVICE[method], extra);
+    }
+
+    let cleanedPhone = null;
+    if (method === 'code') {
+      const v = validatePhone(phone, country);
+      if (!v.ok) throw new PairRequestError('INVALID_PHONE', v.error, { field: v.field || 'phone' });
+      cleanedPhone = v.phone;
+      const limited = server.phoneThrottle.check(cleanedPhone);
+      if (limited) throw new PairRequestError(limited.code, limited.error, { retryAfterMs: limited.retryAfterMs });
+    }
+
+    const allowed = options.delivery.allowed.filter((t) => !apiKey?.delivery || apiKey.delivery.includes(t));
+    const defaults = options.delivery.targets.filter((t) => allowed.includes(t));
+    const chosen = delivery === undefined ? (defaults.length ? defaults : allowed) : parseTargets(delivery);
+    if (!chosen.length || chosen.some((t) => !allowed.includes(t))) {
+      throw new PairRequestError('INVALID_DELIVERY', `Invalid delivery target(s). Allowed: ${allowed.join(', ') || 'none'}.`, {
+        field: 'delivery',
+      });
+    }
+
+    if (server.queue.full()) {
+      throw new PairRequestError('QUEUE_FULL', 'Too many pairing sessions right now. Try again in a minute.');
+    }
+
+    if (apiKey) {
+      const spent = server.apiKeys.consume(apiKey);
+      if (spent) throw new PairRequestError(spent.code, spent.error, { retryAfterMs: spent.retryAfterMs });
+    }
+
+    server.breaker.admit(method);
+    if (cleanedPhone) server.phoneThrottle.hit(cleanedPhone);
+    server.metrics.sessionCreated(method, apiKey?.tenant);
+    return new PairingSession(server, {
+      id: randomId('sess'),
+      streamKey: crypto.randomBytes(18).toString('hex'),
+      method,
+      phone: cleanedPhone,
+      delivery: chosen,
+      locale: templates.resolveLocale(locale),
+      createdAt: now(),
+      retries: 0,
+      tenant: apiKey?.tenant || null,
+      keyId: apiKey?.id || null,
+      clientIp,
+      fallbackFrom,
+    }).start();
+  }
+
+  // Validates a pairing request and starts the session. Throws PairRequestError on bad input; refusals are audited.
+  // apiKey is the registry entry the caller authenticated with (router: req.apiKey); it scopes and meters the session.
+  // clientIp is the caller's address (router: req.ip), for the audit log.
+  // locale picks the completion message language; unknown ones fall back to options.completion.defaultLocale.
+  server.createSession = (input = {}) => {
+    try {
+      return openSession(input);
+    } catch (e) {
+      if (e.name === 'PairRequestError') {
+        // Hash the same E.164 digits an accepted session would, so a phone search finds its refusals too.
+        const v = validatePhone(input.phone, input.country);
+        server.audit.rejected({ ...input, phone: v.ok ? v.phone : input.phone }, e.code);
+      }
+      throw e;
+    }
+  };
+
+  server.getSession = (id) => sessions.get(String(id || '')) || null;
+
+  // Support triage: metadata only, never creds/keys.
+  server.inspect = (token) => inspectToken(token, { keyring: options.keyring });
+
+  // Readiness, for load balancers: false until start() finished and again once draining begins. health() is
+  // liveness only and stays ok throughout.
+  server.ready = () => ({ ok: server.state === 'ready', state: server.state, activeSessions: sessions.size });
+
+  server.health = () => ({
+    ok: true,
+    uptime: process.uptime(),
+    activeSessions: sessions.size,
+    liveSockets: server.queue.active,
+    queuedSessions: server.queue.waiting,
+    breaker: server.breaker.snapshot(),
+  });
+
+  // Whether each method takes new sessions right now, with advice to show before users try (GET /status).
+  server.methodStatus = () => {
+    const out = {};
+    for (const [method, c] of Object.entries(server.breaker.snapshot())) {
+      const available = !server.breaker.check(method);
+      out[method] = { available, state: c.state, ...(c.retryAfterMs ? { retryAfterMs: c.retryAfterMs } : {}) };
+      if (!available) out[method].advice = CIRCUIT_ADVICE[method];
+    }
+    if (!out.code.available && options.breaker.codeFallback === 'qr' && out.qr.available) out.code.fallback = 'qr';
+    return out;
+  };
+
+  function sweepExpired() {
+    const t = now();
+    server.phoneThrottle.prune(t);
+    for (const s of sessions.values()) {
+      if (t > s.expiresAt) {
+        s.expire();
+      } else {
+        // Heartbeat for durable stores, so other instances don't take over live sessions.
+        sessions.save(s);
+      }
+    }
+    // Records handed off by a replica that stopped (or left by one that crashed) are picked up without a restart.
+    if (server.state === 'ready') adoptSessions();
+  }
+
+  let adopting = null;
+  function adoptSessions() {
+    if (!adopting) {
+      adopting = resumeSessions()
+        .catch((e) => logger.error({ err: e }, 'Failed to resume persisted sessions'))
+        .finally(() => {
+          adopting = null;
+        });
+    }
+    return adopting;
+  }
+
+  async function resumeSessions() {
+    const records = await sessions.load();
+    for (const record of records) {
+      // Records without startedAt were still queued; their TTL never started, so createdAt bounds them instead.
+      if (now() - (record.startedAt || record.createdAt) > options.sessionTtlMs) {
+        // eslint-disable-next-line no-await-in-loop
+        await fs.remove(sessions.authDir(record.id)).catch(() => {});
+        // eslint-disable-next-line no-await-in-loop
+        await sessions.release(record.id);
+        continue;
+      }
+      logger.info({ id: record.id, method: record.method }, 'Resuming persisted session');
+      new PairingSession(server, record).start();
+    }
+  }
+
+  // Auth dirs left behind by a crash (or a memory-store restart). tempDir is often shared, so the store decides
+  // what is provably its own to remove (see lib/session-store.js).
+  async function sweepOrphanedAuthDirs() {
+    if (!sessions.sweep) return;
+    const removed = await sessions.sweep();
+    if (removed.length) logger.warn({ dirs: removed }, 'Removed orphaned session dirs');
+  }
+
+  server.start = async () => {
+    if (server.sweepTimer) return server;
+    server.state = 'starting';
+    server.sweepTimer = setInterval(sweepExpired, options.sessionSweepMs);
+    server.sweepTimer.unref();
+    await fs.ensureDir(options.tempDir);
+    await adoptSessions();
+    await sweepOrphanedAuthDirs().catch((e) => logger.error({ err: e }, 'Failed to sweep orphaned session dirs'));
+    if (server.state === 'starting') server.state = 'ready';
+    return server;
+  };
+
+  // Memory store: sessions are torn down. Durable store: the record + auth dir stay, handed off so another replica
+  // (or the next start()) resumes it without waiting out the lease.
+  server.stop = async () => {
+    server.state = 'stopped';
+    if (server.sweepTimer) clearInterval(server.sweepTimer);
+    server.sweepTimer = null;
+    // Nothing queued may be started while the live sessions are being torn down.
+    server.queue.clear();
+    // Sessions an in-flight adoption claims must be handed off below too, not left claimed until the lease runs out.
+    await adopting;
+    for (const s of [...sessions.values()]) {
+      if (sessions.kind === 'memory') {
+        // eslint-disable-next-line no-await-in-loop
+        await s.cleanup().catch(() => {});
+      } else {
+        // The socket goes first: whoever adopts the record must not find this one still logged in.
+        // eslint-disable-next-line no-await-in-loop
+        await s.endSocket();
+        // eslint-disable-next-line no-await-in-loop
+        await (sessions.handOff ? sessions.handOff(s) : sessions.save(s));
+      }
+    }
+    if (sessions.close) await sessions.close().catch((e) => logger.error({ err: e }, 'Failed to close the session store'));
+  };
+
+  function exporting(s) {
+    return ['open', 'connected'].includes(s.status);
+  }
+
+  async function drainSessions(deadlineMs) {
+    server.state = 'draining';
+    server.queue.clear();
+    const resumable = sessions.kind !== 'memory';
+    const waiting = [...sessions.values()].filter((s) => !exporting(s));
+    logger.warn({ exporting: sessions.size - waiting.length, waiting: waiting.length, deadlineMs }, 'Draining sessions');
+
+    // Sessions that haven't connected yet can't finish here. Their clients are told to come back: a durable store
+    // resumes the session on another instance (reconnect the stream), a memory store loses it (start again).
+    for (const s of waiting) {
+      s.notify('server_shutdown', {
+        ...sessionError('SERVER_SHUTDOWN', 'This server is restarting. Reconnect in a few seconds.'),
+        resumable,
+      });
+      // eslint-disable-next-line no-await-in-loop
+      if (!resumable) await s.cleanup().catch(() => {});
+    }
+
+    const deadline = now() + deadlineMs;
+    while (now() < deadline && [...sessions.values()].some(exporting)) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+    const cut = [...sessions.values()].filter(exporting).map((s) => s.id);
+    if (cut.length) logger.warn({ sessions: cut }, 'Drain deadline passed; ending sessions still exporting');
+    await server.stop();
+  }
+
+  // Graceful shutdown: refuses new sessions and fails ready(), lets sessions that already connected finish
+  // exporting for up to deadlineMs, then stop()s. Safe to call more than once.
+  server.drain = (deadlineMs = options.drainTimeoutMs) => {
+    if (!server.drainPromise) server.drainPromise = drainSessions(deadlineMs);
+    return server.drainPromise;
+  };
+
+  server.router = () => createPairRouter(server);
+  server.adminRouter = () => createAdminRouter(server);
+  // Routers can't see upgrades, so the WebSocket stream hooks the http.Server; prefix is where router() is mounted.
+  server.attachWebSocket = (httpServer, opts) => attachWebSocket(server, httpServer, opts);
+
+  return server;
+}
+
+module.exports = { createPairServer, validatePhone };
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const fs = require('fs-extra');
+
+// Session stores keep the live session objects (Map-like: get/has/set/delete/values/size) and,
+// for durable stores, a metadata record per session so a restart can resume it.
+//   authDir(id)   where Baileys keeps the session's auth state
+//   save(s)       persist the current metadata (no-op for memory)
+//   load()        persisted records this instance may resume, already claimed for it (never one that is live here)
+//   handOff(s)    at stop: persist the record without an owner so another instance adopts it right away
+//   release(id)   drop persisted metadata; the caller removes the auth dir
+//   sweep()       at boot: remove auth dirs left behind by a crash, never another live server's; resolves the
+//                 removed paths
+//   close()       at stop: drop what the store itself created
+
+const PERSISTED_FIELDS = [
+  'id',
+  'streamKey',
+  'method',
+  'phone',
+  'delivery',
+  'locale',
+  'createdAt',
+  'startedAt',
+  'retries',
+  'tenant',
+  'keyId',
+  'clientIp',
+];
+
+function toRecord(s, instanceId) {
+  const record = {};
+  for (const k of PERSISTED_FIELDS) record[k] = s[k];
+  record.owner = instanceId;
+  record.heartbeatAt = Date.now();
+  return record;
+}
+
+// Run dirs created by this process, so a restarted container whose new process got the old pid (pid 1) still
+// recognises its predecessor's run as dead.
+const liveRuns = new Set();
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// tempDir may be shared with other servers, embedders and the CLI, so each store keeps its auth dirs in its own
+// <tempDir>/run-<random>, with an owner.json naming the host (instanceId) and pid. sweep() only removes runs from
+// this host whose process is gone.
+function createMemoryStore({ tempDir, instanceId = os.hostname() }) {
+  const live = new Map();
+  const runDir = path.join(tempDir, `run-${crypto.randomBytes(6).toString('hex')}`);
+  liveRuns.add(runDir);
+  return {
+    kind: 'memory',
+    get: (id) => live.get(id),
+    has: (id) => live.has(id),
+    set(id, s) {
+      live.set(id, s);
+      return this;
+    },
+    delete: (id) => live.delete(id),
+    values: () => live.values(),
+    get size() {
+      return live.size;
+    },
+    authDir: (id) => path.join(runDir, id),
+    save: async () => {},
+    load: async () => [],
+    release: async () => {},
+    async sweep() {
+      liveRuns.add(runDir);
+      await fs.ensureDir(runDir);
+      await fs.writeJson(path.join(runDir, 'owner.json'), { instanceId, pid: process.pid, startedAt: Date.now() });
+
+      const removed = [];
+      for (const name of await fs.readdir(tempDir).catch(() => [])) {
+        const dir = path.join(tempDir, name);
+        if (!name.startsWith('run-') || dir === runDir) continue;
+        // eslint-disable-next-line no-await-in-loop
+        const owner = await fs.readJson(path.join(dir, 'owner.json')).catch(() => null);
+        if (!owner || owner.instanceId !== instanceId) continue;
+        const alive = owner.pid === process.pid ? liveRuns.has(dir) : processAlive(owner.pid);
+        if (alive) continue;
+        // eslint-disable-next-line no-await-in-loop
+        await fs.remove(dir);
+        removed.push(dir);
+      }
+      return removed;
+    },
+    async close() {
+      liveRuns.delete(runDir);
+      await fs.remove(runDir);
+    },
+  };
+}
+
+// One JSON file per session under <dir>/sessions, auth state under <dir>/auth/<id>.
+// Records carry an owner + heartbeat. An instance resumes its own records and any whose owner stopped heartbeating
+// for leaseMs (a crash) or handed them off on shutdown (owner null, e.g. the container replaced by a deploy).
+// Adopting takes <id>.<heartbeatAt>.claim with O_EXCL first, so replicas racing for one record can't both win.
+function createFileStore({ dir, instanceId = os.hostname(), leaseMs = 90_000, logger }) {
+  const live = new Map();
+  const metaDir = path.join(dir, 'sessions');
+  const metaPath = (id) => path.join(metaDir, `${id}.json`);
+
+  async function writeRecord(record) {
+    const target = metaPath(record.id);
+    const tmp = `${target}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await fs.ensureDir(metaDir);
+    await fs.writeFile(tmp, JSON.stringify(record), { mode: 0o600 });
+    await fs.rename(tmp, target);
+  }
+
+  function write(s) {
+    return writeRecord(toRecord(s, instanceId));
+  }
+
+  // Resolves the record now owned by this instance, or null if another instance got there first.
+  async function claim(record) {
+    const lock = path.join(metaDir, `${record.id}.${record.heartbeatAt || 0}.claim`);
+    try {
+      await fs.writeFile(lock, instanceId, { flag: 'wx' });
+    } catch (e) {
+      if (e.code === 'EEXIST') return null;
+      throw e;
+    }
+    try {
+      // The winner of an earlier round may have rewritten the record and dropped its lock before we took ours.
+      const current = await fs.readJson(metaPath(record.id)).catch(() => null);
+      if (!current || current.owner !== record.owner || current.heartbeatAt !== record.heartbeatAt) return null;
+      const claimed = { ...current, owner: instanceId, heartbeatAt: Date.now() };
+      await writeRecord(claimed);
+      return claimed;
+    } finally {
+      await fs.remove(lock).catch(() => {});
+    }
+  }
+
+  async function release(id) {
+    await fs.remove(metaPath(id)).catch(() => {});
+  }
+
+  async function save(s) {
+    if (!live.has(s.id)) return;
+    try {
+      await write(s);
+      // Deleted while we were writing: don't leave a record behind to be resumed.
+      if (!live.has(s.id)) await release(s.id);
+    } catch (e) {
+      logger?.error({ err: e, id: s.id }, 'Failed to persist session');
+    }
+  }
+
+  return {
+    kind: 'file',
+    get: (id) => live.get(id),
+    has: (id) => live.has(id),
+    set(id, s) {
+      live.set(id, s);
+      save(s);
+      return this;
+    },
+    delete(id) {
+      // Handed off (not live here any more): the record belongs to whoever adopts it.
+      if (!live.has(id)) return false;
+      release(id);
+      return live.delete(id);
+    },
+    values: () => live.values(),
+    get size() {
+      return live.size;
+    },
+    authDir: (id) => path.join(dir, 'auth', id),
+    save,
+    async handOff(s) {
+      if (!live.has(s.id)) return;
+      live.delete(s.id);
+      try {
+        await writeRecord({ ...toRecord(s, null), heartbeatAt: 0 });
+      } catch (e) {
+        logger?.error({ err: e, id: s.id }, 'Failed to hand off session');
+      }
+    },
+    async load() {
+      await fs.ensureDir(metaDir);
+      const records = [];
+      for (const name of await fs.readdir(metaDir)) {
+        if (!name.endsWith('.json')) continue;
+        let record;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          record = await fs.readJson(path.join(metaDir, name));
+        } catch (e) {
+          logger?.warn({ err: e, file: name }, 'Skipping unreadable session record');
+          continue;
+        }
+        if (!record.id || live.has(record.id)) continue;
+        const ours = record.owner === instanceId;
+        const abandoned = !record.owner || Date.now() - (record.heartbeatAt || 0) > leaseMs;
+        if (!ours && !abandoned) continue;
+        // eslint-disable-next-line no-await-in-loop
+        const claimed = ours ? record : await claim(record).catch((e) => logger?.warn({ err: e, id: record.id }, 'Failed to claim session'));
+        if (claimed) records.push(claimed);
+      }
+      return records;
+    },
+    release,
+    // The auth/ dir is shared by every instance on the volume: only dirs with no session record are orphans, and
+    // only once they're older than the lease (another instance may be between creating a dir and its record).
+    async sweep() {
+      const authRoot = path.join(dir, 'auth');
+      const removed = [];
+      for (const id of await fs.readdir(authRoot).catch(() => [])) {
+        const target = path.join(authRoot, id);
+        // eslint-disable-next-line no-await-in-loop
+        if (live.has(id) || (await fs.pathExists(metaPath(id)))) continue;
+        // eslint-disable-next-line no-await-in-loop
+        const stat = await fs.stat(target).catch(() => null);
+        if (!stat || Date.now() - stat.mtimeMs < leaseMs) continue;
+        // eslint-disable-next-line no-await-in-loop
+        await fs.remove(target);
+        removed.push(target);
+      }
+      // Claim locks only live for a read and a write; one older than the lease belongs to a claimer that crashed.
+      for (const name of await fs.readdir(metaDir).catch(() => [])) {
+        if (!name.endsWith('.claim')) continue;
+        const lock = path.join(metaDir, name);
+        // eslint-disable-next-line no-await-in-loop
+        const stat = await fs.stat(lock).catch(() => null);
+        if (!stat || Date.now() - stat.mtimeMs < leaseMs) continue;
+        // eslint-disable-next-line no-await-in-loop
+        await fs.remove(lock);
+        removed.push(lock);
+      }
+      return removed;
+    },
+    close: async () => {},
+  };
+}
+
+function createSessionStore({ kind, dir, tempDir, instanceId, leaseMs, logger }) {
+  if (kind === 'memory') return createMemoryStore({ tempDir, instanceId });
+  if (kind === 'file') return createFileStore({ dir, instanceId, leaseMs, logger });
+  throw new Error(`Unknown SESSION_STORE "${kind}" (use memory or file)`);
+}
+
+module.exports = {
+  PERSISTED_FIELDS,
+  createMemoryStore,
+  createFileStore,
+  createSessionStore,
+};
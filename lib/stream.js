@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+const { WebSocketServer } = require('ws');
+
+const { ERROR_CODES, errorInfo, sendError } = require('./errors');
+
+// Names the session's logged events go out under; session_error goes out as `error`.
+const STREAM_EVENTS = {
+  status: 'status',
+  code: 'code',
+  qr: 'qr',
+  exported: 'exported',
+  token: 'token',
+  session_error: 'error',
+  server_shutdown: 'server_shutdown',
+};
+
+const KEEPALIVE_MS = 15_000;
+
+function sameKey(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// The stream always needs the session's streamKey (same rule for SSE and WebSocket), whether or not API keys are
+// configured: the stream can carry tokens, and a key reload must never leave it open to anyone with the id.
+function checkStreamAccess(server, id, key) {
+  const s = server.getSession(id);
+  if (!s) return { ok: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+  const k = String(key || '').trim();
+  if (!k || !sameKey(k, s.streamKey)) return { ok: false, code: 'UNAUTHORIZED', error: 'Unauthorized' };
+  return { ok: true, session: s };
+}
+
+// Calls send({ id, event, data }) for what the client missed, then for every new event. With a
+// lastEventId the log still covers, that's exactly the missed entries; otherwise the latest code/QR.
+// `status: listening` (no id) marks the end of the catch-up. Returns the unsubscribe function.
+function subscribe(session, lastEventId, send) {
+  const out = (entry) => send({ id: entry.id, event: STREAM_EVENTS[entry.event], data: entry.data });
+  const missed = lastEventId ? session.eventsSince(lastEventId) : null;
+
+  if (missed) {
+    send({ event: 'status', data: { status: 'listening' } });
+    missed.forEach(out);
+  } else {
+    session.replayStart().forEach(out);
+    send({ event: 'status', data: { status: 'listening' } });
+  }
+
+  session.on('stream', out);
+  return () => session.off('stream', out);
+}
+
+function sseHandler(server) {
+  return (req, res) => {
+    const access = checkStreamAccess(server, req.params.id, req.query.key);
+    if (!access.ok) return sendError(res, access.code, access.error);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    });
+
+    // EventSource sends Last-Event-ID by itself when it reconnects; ?lastEventId= is for clients that can't set headers.
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    const unsubscribe = subscribe(access.session, lastEventId, ({ id, event, data }) => {
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    });
+
+    const keepAlive = setInterval(() => {
+      res.write('event: ping\n');
+      res.write('data: {}\n\n');
+    }, KEEPALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  };
+}
+
+function rejectUpgrade(socket, code, error) {
+  const { status } = ERROR_CODES[code];
+  const body = JSON.stringify({ ok: false, error, ...errorInfo(code) });
+  socket.end(
+    `HTTP/1.1 ${status} ${error}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\n` +
+      `Connection: close\r\n\r\n${body}`
+  );
+}
+
+// WebSocket twin of the event stream for clients behind proxies that buffer text/event-stream:
+//   GET <prefix>/sessions/:id/ws?key=<streamKey>&lastEventId=<id>   (Upgrade: websocket)
+// Each message is the JSON text of { id?, event, data }, with the same events and resume rules as SSE.
+// Upgrades for other paths are left alone for other handlers on the same http.Server.
+function attachWebSocket(server, httpServer, { prefix = '/api' } = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+  const base = prefix.replace(/\/+$/, '');
+  const pattern = new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/sessions/([^/]+)/ws$`);
+
+  function onUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = pattern.exec(url.pathname);
+    if (!match) return;
+
+    const access = checkStreamAccess(server, match[1], url.searchParams.get('key'));
+    if (!access.ok) return rejectUpgrade(socket, access.code, access.error);
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const unsubscribe = subscribe(access.session, url.searchParams.get('lastEventId'), (msg) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+      });
+      const keepAlive = setInterval(() => ws.ping(), KEEPALIVE_MS);
+      ws.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
+      ws.on('error', (e) => server.logger.debug({ err: e, id: access.session.id }, 'WebSocket stream error'));
+    });
+  }
+
+  httpServer.on('upgrade', onUpgrade);
+  return {
+    close() {
+      httpServer.off('upgrade', onUpgrade);
+      wss.clients.forEach((ws) => ws.terminate());
+      wss.close();
+    },
+  };
+}
+
+module.exports = { STREAM_EVENTS, sameKey, subscribe, sseHandler, attachWebSocket };
@@ -0,0 +1,172 @@
+const path = require('path');
+
+const fs = require('fs-extra');
+
+const { tokenHintFor } = require('./delivery');
+
+// The completion message the "self" target sends after the token(s), from per-locale templates:
+//   <dir>/<locale>.json          { message, received, nextSteps, footer }
+//   <dir>/tenants/<tenant>.json  { botName?, docsUrl?, nextSteps?, footer?, locales?: { <locale>: { nextSteps?, footer? } } }
+// Blocks are a string or { one, other } (picked by the number of token parts). `message` places the blocks as
+// {{received}}, {{nextSteps}} and {{footer}}; every text can use the variables below. A line whose variable
+// comes out empty is dropped (an unset docsUrl, a tenant's empty footer). The built-in lib/templates/ are always
+// loaded; a custom dir adds locales or replaces them. Everything is validated when the server is created.
+
+const VARIABLES = ['pairedAt', 'tokenHint', 'format', 'parts', 'botName', 'docsUrl'];
+const BLOCKS = ['received', 'nextSteps', 'footer'];
+const TENANT_BLOCKS = ['nextSteps', 'footer'];
+const BUILTIN_DIR = path.join(__dirname, 'templates');
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function readJson(file) {
+  try {
+    return fs.readJsonSync(file);
+  } catch (e) {
+    throw new Error(`Completion template ${file}: ${e.message}`);
+  }
+}
+
+function checkText(file, name, text, allowed) {
+  if (typeof text !== 'string') throw new Error(`Completion template ${file}: "${name}" must be a string`);
+  for (const [, v] of text.matchAll(PLACEHOLDER_RE)) {
+    if (!allowed.includes(v)) throw new Error(`Completion template ${file}: unknown variable {{${v}}} in "${name}"`);
+  }
+}
+
+function checkBlock(file, name, block) {
+  if (block && typeof block === 'object') {
+    checkText(file, `${name}.one`, block.one, VARIABLES);
+    checkText(file, `${name}.other`, block.other, VARIABLES);
+  } else {
+    checkText(file, name, block, VARIABLES);
+  }
+}
+
+function checkLocale(file, t) {
+  if (!t || typeof t !== 'object') throw new Error(`Completion template ${file}: expected a JSON object`);
+  checkText(file, 'message', t.message, [...VARIABLES, ...BLOCKS]);
+  BLOCKS.forEach((b) => checkBlock(file, b, t[b]));
+}
+
+function checkTenant(file, o, locales) {
+  if (!o || typeof o !== 'object') throw new Error(`Completion template ${file}: expected a JSON object`);
+  for (const [k, v] of Object.entries(o)) {
+    if (k === 'botName' || k === 'docsUrl') checkText(file, k, v, []);
+    else if (TENANT_BLOCKS.includes(k)) checkBlock(file, k, v);
+    else if (k === 'locales') {
+      for (const [locale, blocks] of Object.entries(v || {})) {
+        if (!locales.has(locale.toLowerCase())) throw new Error(`Completion template ${file}: unknown locale "${locale}"`);
+        for (const [b, text] of Object.entries(blocks || {})) {
+          if (!TENANT_BLOCKS.includes(b)) throw new Error(`Completion template ${file}: "${b}" can't be overridden`);
+          checkBlock(file, `locales.${locale}.${b}`, text);
+        }
+      }
+    } else {
+      const allowed = ['botName', 'docsUrl', ...TENANT_BLOCKS, 'locales'].join(', ');
+      throw new Error(`Completion template ${file}: "${k}" can't be overridden (use ${allowed})`);
+    }
+  }
+}
+
+function readLocales(dir, into) {
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json')) continue;
+    const locale = name.slice(0, -5);
+    const file = path.join(dir, name);
+    if (!LOCALE_RE.test(locale)) throw new Error(`Completion template ${file}: "${locale}" is not a locale tag`);
+    const t = readJson(file);
+    checkLocale(file, t);
+    into.set(locale.toLowerCase(), { locale, ...t });
+  }
+}
+
+// Substitutes {{vars}}; lines where any variable came out empty are left out.
+function fill(text, vars) {
+  return text
+    .split('\n')
+    .map((line) => {
+      let empty = false;
+      const out = line.replace(PLACEHOLDER_RE, (_, v) => {
+        const value = vars[v] ?? '';
+        if (value === '') empty = true;
+        return String(value);
+      });
+      return empty ? null : out;
+    })
+    .filter((line) => line !== null)
+    .join('\n');
+}
+
+function plural(block, n) {
+  return block && typeof block === 'object' ? (n === 1 ? block.one : block.other) : block;
+}
+
+function formatPairedAt(at, locale) {
+  const text = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }).format(at);
+  return `${text} UTC`;
+}
+
+// opts: { dir, defaultLocale, botName, docsUrl, tenants }. tenants: { <tenant>: overrides }, merged under the files.
+function loadCompletionTemplates({ dir = null, defaultLocale = 'en', botName = 'bot', docsUrl = '', tenants = {} } = {}) {
+  const locales = new Map();
+  readLocales(BUILTIN_DIR, locales);
+  if (dir && !fs.existsSync(dir)) throw new Error(`Completion template dir ${dir} does not exist`);
+  if (dir) readLocales(dir, locales);
+  if (!locales.has(String(defaultLocale).toLowerCase())) {
+    throw new Error(`No completion template for the default locale "${defaultLocale}" (add ${defaultLocale}.json)`);
+  }
+
+  const overrides = new Map();
+  for (const [tenant, o] of Object.entries(tenants || {})) {
+    checkTenant(`tenants.${tenant}`, o, locales);
+    overrides.set(tenant, o);
+  }
+  const tenantDir = dir ? path.join(dir, 'tenants') : null;
+  if (tenantDir && fs.existsSync(tenantDir)) {
+    for (const name of fs.readdirSync(tenantDir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(tenantDir, name);
+      const o = readJson(file);
+      checkTenant(file, o, locales);
+      overrides.set(name.slice(0, -5), { ...overrides.get(name.slice(0, -5)), ...o });
+    }
+  }
+
+  // Exact tag, then its language ("pt-BR" -> "pt"), then the default. Returns the tag as the file names it.
+  function resolveLocale(requested) {
+    const tag = String(requested || '').trim().replace(/_/g, '-').toLowerCase();
+    const hit = locales.get(tag) || locales.get(tag.split('-')[0]) || locales.get(String(defaultLocale).toLowerCase());
+    return hit.locale;
+  }
+
+  return {
+    locales: [...locales.values()].map((t) => t.locale),
+    defaultLocale: resolveLocale(defaultLocale),
+    resolveLocale,
+
+    // ctx: { locale, tenant, tokens, format, pairedAt? }
+    render({ locale, tenant, tokens, format, pairedAt = new Date() }) {
+      const tag = resolveLocale(locale);
+      const t = locales.get(tag.toLowerCase());
+      const o = overrides.get(tenant) || {};
+      const localized = Object.fromEntries(Object.entries(o.locales || {}).map(([k, v]) => [k.toLowerCase(), v]));
+      const lo = localized[tag.toLowerCase()] || {};
+      const parts = tokens.length;
+      const vars = {
+        pairedAt: formatPairedAt(pairedAt, tag),
+        tokenHint: tokenHintFor(format),
+        format,
+        parts,
+        botName: o.botName ?? botName,
+        docsUrl: o.docsUrl ?? docsUrl,
+      };
+      const blocks = Object.fromEntries(
+        BLOCKS.map((b) => [b, fill(plural(lo[b] ?? o[b] ?? t[b], parts), vars)])
+      );
+      return fill(t.message, { ...vars, ...blocks }).trim();
+    },
+  };
+}
+
+module.exports = { VARIABLES, loadCompletionTemplates };
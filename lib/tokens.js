@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Encrypted envelopes:
+//   v1: iv(12) | tag(16) | ciphertext, key = scrypt(secret, 'mantra-pair'). No key id; decode tries every secret.
+//   v2: 0x02 | headerLen(u16be) | header JSON | iv(12) | tag(16) | ciphertext
+//       header = { kid, kdf: 'scrypt', N, r, p, salt }, authenticated as AAD.
+const ENVELOPE_V2 = 2;
+// The only params we seal with, and so the only ones a token header may name: key ids are plaintext, so honouring
+// bigger values would let anyone stall every decode with a crafted header.
+const KDF_DEFAULTS = { N: 16384, r: 8, p: 1 };
+const KID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+function now() {
+  return Date.now();
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+function fromB64url(str) {
+  const s = String(str || '').replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(s + '='.repeat((4 - (s.length % 4)) % 4), 'base64');
+}
+
+// Only for decoding tokens sealed by older versions, which derived an unnamed key's id from the secret. The id is
+// written in plaintext, so a derived one lets anyone check secret guesses offline: new tokens need a real kid.
+function legacyKeyId(secret) {
+  return crypto.createHash('sha256').update(`mantra-kid:${secret}`).digest('hex').slice(0, 8);
+}
+
+// keyring = { current: { kid, secret } | null, keys: Map<kid, secret> }
+// current is used for new exports (and needs a kid to seal); every key (current + retired) is accepted when decoding.
+function createKeyring({ secret, kid, retired } = {}) {
+  const keys = new Map();
+  let current = null;
+
+  const add = (k, s) => {
+    if (!KID_RE.test(k)) throw new Error(`Invalid key id "${k}" (use 1-32 chars of A-Z a-z 0-9 _ -)`);
+    if (keys.has(k)) throw new Error(`Duplicate key id "${k}" in keyring`);
+    keys.set(k, s);
+  };
+  // Naming a key that used to go unnamed must not orphan the tokens already sealed under its derived id.
+  const addWithLegacy = (k, s) => {
+    if (k) add(k, s);
+    if (!keys.has(legacyKeyId(s))) add(legacyKeyId(s), s);
+  };
+
+  if (secret) {
+    current = { kid: kid || null, secret };
+    addWithLegacy(kid, secret);
+  }
+  for (const r of retired || []) {
+    if (r?.secret) addWithLegacy(r.kid, r.secret);
+  }
+  return { current, keys };
+}
+
+// SESSION_SECRETS_RETIRED="kid1:secret1,kid2:secret2" (a bare "secret" only opens tokens sealed before kids were required).
+function parseRetiredSecrets(value) {
+  return String(value || '')
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.indexOf(':');
+      return i > 0 ? { kid: entry.slice(0, i), secret: entry.slice(i + 1) } : { secret: entry };
+    });
+}
+
+function keyringFromEnv(env) {
+  return createKeyring({
+    secret: String(env.SESSION_SECRET || '').trim(),
+    kid: String(env.SESSION_KEY_ID || '').trim() || undefined,
+    retired: parseRetiredSecrets(env.SESSION_SECRETS_RETIRED),
+  });
+}
+
+// Lets callers pass either a keyring or a plain secret string.
+function toKeyring(keyringOrSecret) {
+  if (keyringOrSecret && keyringOrSecret.keys instanceof Map) return keyringOrSecret;
+  return createKeyring({ secret: keyringOrSecret || '' });
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// Sealing stays synchronous (our own fixed params); decoding untrusted tokens runs scrypt off the event loop.
+function deriveKeyV1(secret) {
+  return crypto.scryptSync(secret, 'mantra-pair', 32);
+}
+
+function deriveKeyV1Async(secret) {
+  return scrypt(secret, 'mantra-pair', 32);
+}
+
+function deriveKeyV2(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32, KDF_DEFAULTS);
+}
+
+function deriveKeyV2Async(secret, salt) {
+  return scrypt(secret, salt, 32, KDF_DEFAULTS);
+}
+
+function gcmOpen(key, iv, tag, ciphertext, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// v1 layout, kept so old tokens still decode.
+function encryptPayload(plaintext, secret) {
+  const key = deriveKeyV1(secret);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return Buffer.concat([iv, tag, ciphertext]);
+}
+
+async function decryptPayload(blob, secret) {
+  const buf = Buffer.from(blob);
+  if (buf.length < 29) throw new Error('Encrypted payload is too short');
+  return gcmOpen(await deriveKeyV1Async(secret), buf.subarray(0, 12), buf.subarray(12, 28), buf.subarray(28));
+}
+
+function sealV2(plaintext, keyringOrSecret) {
+  const { current } = toKeyring(keyringOrSecret);
+  if (!current) throw new Error('No current SESSION_SECRET to encrypt with');
+  if (!current.kid) throw new Error('SESSION_KEY_ID is required to encrypt with SESSION_SECRET');
+
+  const salt = crypto.randomBytes(16);
+  const header = Buffer.from(JSON.stringify({ kid: current.kid, kdf: 'scrypt', ...KDF_DEFAULTS, salt: b64url(salt) }), 'utf8');
+  const key = deriveKeyV2(current.secret, salt);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(header.length);
+  return Buffer.concat([Buffer.from([ENVELOPE_V2]), len, header, iv, tag, ciphertext]);
+}
+
+function readV2Header(blob) {
+  const buf = Buffer.from(blob);
+  if (buf.length < 3 || buf[0] !== ENVELOPE_V2) throw new Error('Not a v2 envelope');
+  const headerLen = buf.readUInt16BE(1);
+  const bodyAt = 3 + headerLen;
+  if (buf.length < bodyAt + 29) throw new Error('Encrypted payload is too short');
+
+  const headerBytes = buf.subarray(3, bodyAt);
+  let header;
+  try {
+    header = JSON.parse(headerBytes.toString('utf8'));
+  } catch (_) {
+    throw new Error('Envelope header is not valid JSON');
+  }
+  if (header?.kdf !== 'scrypt') throw new Error(`Unsupported KDF: ${header?.kdf}`);
+  for (const k of ['N', 'r', 'p']) {
+    if (header[k] !== KDF_DEFAULTS[k]) throw new Error(`Unsupported KDF parameter ${k}: ${header[k]}`);
+  }
+  if (typeof header.kid !== 'string' || typeof header.salt !== 'string') throw new Error('Envelope header is incomplete');
+  return { header, headerBytes, body: buf.subarray(bodyAt) };
+}
+
+// Resolves { plaintext, version, kid, retired }; rejects if no key in the ring opens it.
+async function openEnvelope(blob, keyringOrSecret, version) {
+  const keyring = toKeyring(keyringOrSecret);
+  if (!keyring.keys.size) throw new Error('SESSION_SECRET is required to decrypt this token');
+
+  if (version === ENVELOPE_V2) {
+    const { header, headerBytes, body } = readV2Header(blob);
+    const secret = keyring.keys.get(header.kid);
+    if (!secret) throw new Error(`Token was encrypted with unknown key id "${header.kid}"`);
+    const key = await deriveKeyV2Async(secret, fromB64url(header.salt));
+    try {
+      const plaintext = gcmOpen(key, body.subarray(0, 12), body.subarray(12, 28), body.subarray(28), headerBytes);
+      return { plaintext, version, kid: header.kid, retired: keyring.current?.kid !== header.kid };
+    } catch (_) {
+      throw new Error(`Decryption failed for key id "${header.kid}" (secret changed or token corrupted)`);
+    }
+  }
+
+  for (const [kid, secret] of keyring.keys) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const plaintext = await decryptPayload(blob, secret);
+      return { plaintext, version: 1, kid, retired: keyring.current?.kid !== kid };
+    } catch (_) {}
+  }
+  throw new Error('Decryption failed (no configured secret matches, or token corrupted)');
+}
+
+function exportTokensFromCreds(credsBytes, opts = {}) {
+  const base64Creds = Buffer.from(credsBytes).toString('base64');
+
+  if (!opts.encrypted) {
+    return [`Mantra~${base64Creds}`];
+  }
+
+  const payload = Buffer.from(JSON.stringify({ v: ENVELOPE_V2, creds: base64Creds, ts: now() }), 'utf8');
+  return [`MantraEnc~${ENVELOPE_V2}.${b64url(sealV2(payload, opts.keyring ?? opts.secret))}`];
+}
+
+module.exports = {
+  ENVELOPE_V2,
+  b64url,
+  fromB64url,
+  createKeyring,
+  parseRetiredSecrets,
+  keyringFromEnv,
+  toKeyring,
+  encryptPayload,
+  decryptPayload,
+  sealV2,
+  openEnvelope,
+  exportTokensFromCreds,
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const fs = require('fs-extra');
+
+const { signBody } = require('./delivery');
+
+// Outbound lifecycle webhooks. Every emit() on a session becomes a signed JSON POST to each
+// configured endpoint; failed posts are retried with backoff and end up in a dead-letter JSONL file.
+
+const EVENT_TYPES = {
+  status: 'session.status',
+  code: 'session.code_issued',
+  qr: 'session.qr_issued',
+  exported: 'session.exported',
+  session_error: 'session.error',
+};
+
+function maskPhone(phone) {
+  const p = String(phone || '');
+  if (p.length < 7) return p ? '***' : null;
+  return `${p.slice(0, 4)}${'*'.repeat(p.length - 7)}${p.slice(-3)}`;
+}
+
+// Pairing codes, QR payloads and tokens are never sent out.
+function redact(event, data) {
+  const out = { ...(data || {}) };
+  if (event === 'code') out.code = '[redacted]';
+  if (event === 'qr') out.qr = '[redacted]';
+  delete out.tokens;
+  return out;
+}
+
+function loadWebhookEndpoints({ urls, secret, file }) {
+  const endpoints = String(urls || '')
+    .split(',')
+    .map((u) => u.trim())
+    .filter(Boolean)
+    .map((url) => ({ url, secret, events: null }));
+
+  if (file) {
+    const list = fs.readJsonSync(file);
+    if (!Array.isArray(list)) throw new Error(`${file} must contain a JSON array of webhook endpoints`);
+    for (const e of list) {
+      if (!e?.url) throw new Error(`${file}: every webhook needs a "url"`);
+      endpoints.push({ url: e.url, secret: e.secret || secret, events: Array.isArray(e.events) ? e.events : null });
+    }
+  }
+
+  for (const e of endpoints) {
+    try {
+      // eslint-disable-next-line no-new
+      new URL(e.url);
+    } catch (_) {
+      throw new Error(`Invalid webhook URL: ${e.url}`);
+    }
+    if (!e.secret) throw new Error(`Webhook ${e.url} has no secret (set WEBHOOK_SECRET or "secret" in the file)`);
+    const unknown = (e.events || []).filter((t) => !Object.values(EVENT_TYPES).includes(t));
+    if (unknown.length) throw new Error(`Webhook ${e.url} has unknown event type(s): ${unknown.join(', ')}`);
+  }
+  return endpoints;
+}
+
+function backoffFor(attempt, baseMs, maxMs) {
+  const exp = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(exp * (0.5 + Math.random() / 2));
+}
+
+// opts: { endpoints, maxAttempts, retryDelayMs, retryDelayMaxMs, timeoutMs, deadLetterFile, logger }
+function createWebhookDispatcher(opts) {
+  const {
+    endpoints,
+    maxAttempts = 6,
+    retryDelayMs = 2_000,
+    retryDelayMaxMs = 5 * 60_000,
+    timeoutMs = 10_000,
+    deadLetterFile,
+    logger,
+  } = opts;
+
+  const queue = [];
+  let timer = null;
+  let draining = false;
+
+  async function post(job) {
+    const body = JSON.stringify(job.payload);
+    const res = await fetch(job.endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mantra-Event': job.payload.type,
+        'X-Mantra-Delivery': job.payload.id,
+        'X-Mantra-Signature': signBody(job.endpoint.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  }
+
+  async function deadLetter(job, error) {
+    logger?.warn({ url: job.endpoint.url, type: job.payload.type, error }, 'Webhook dead-lettered');
+    if (!deadLetterFile) return;
+    const line = JSON.stringify({
+      failedAt: new Date().toISOString(),
+      url: job.endpoint.url,
+      attempts: job.attempts,
+      lastError: error,
+      payload: job.payload,
+    });
+    try {
+      await fs.ensureDir(path.dirname(deadLetterFile));
+      await fs.appendFile(deadLetterFile, `${line}\n`);
+    } catch (e) {
+      logger?.error({ err: e }, 'Failed to write webhook dead-letter log');
+    }
+  }
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!queue.length || draining) return;
+    const next = Math.min(...queue.map((j) => j.nextAt));
+    timer = setTimeout(drain, Math.max(0, next - Date.now()));
+    timer.unref();
+  }
+
+  async function attempt(job) {
+    job.attempts += 1;
+    try {
+      await post(job);
+    } catch (e) {
+      const error = e?.message || 'Unknown error';
+      if (job.attempts >= maxAttempts) {
+        await deadLetter(job, error);
+        return;
+      }
+      job.nextAt = Date.now() + backoffFor(job.attempts, retryDelayMs, retryDelayMaxMs);
+      queue.push(job);
+    }
+  }
+
+  async function drain() {
+    timer = null;
+    draining = true;
+    const t = Date.now();
+    const due = [];
+    for (let i = queue.length - 1; i >= 0; i -= 1) {
+      if (queue[i].nextAt <= t) due.push(...queue.splice(i, 1));
+    }
+    await Promise.all(due.map(attempt));
+    draining = false;
+    schedule();
+  }
+
+  function dispatch(s, event, data) {
+    const type = EVENT_TYPES[event];
+    if (!type || !endpoints.length) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type,
+      at: new Date().toISOString(),
+      session: { id: s.id, method: s.method, phone: maskPhone(s.phone), createdAt: new Date(s.createdAt).toISOString() },
+      data: redact(event, data),
+    };
+
+    for (const endpoint of endpoints) {
+      if (endpoint.events && !endpoint.events.includes(type)) continue;
+      queue.push({ endpoint, payload, attempts: 0, nextAt: Date.now() });
+    }
+    schedule();
+  }
+
+  return {
+    dispatch,
+    pending: () => queue.length,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  maskPhone,
+  redact,
+  loadWebhookEndpoints,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,157 @@
+/* global EventSource */
+(() => {
+  'use strict';
+
+  const REFRESH_MS = 5000;
+
+  // Kept for the tab's lifetime only.
+  let key = sessionStorage.getItem('mantraAdminKey') || '';
+  let timeline = null;
+  let refreshTimer = null;
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = String(text);
+    if (className) node.className = className;
+    return node;
+  }
+
+  function setError(message) {
+    $('error').classList.toggle('is-on', Boolean(message));
+    $('errorText').textContent = message || '';
+  }
+
+  function duration(ms) {
+    const s = Math.round(ms / 1000);
+    return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${s % 60}s`;
+  }
+
+  function time(at) {
+    return new Date(at).toLocaleTimeString();
+  }
+
+  async function api(path, init) {
+    const res = await fetch(`/admin/api${path}`, { ...(init || {}), headers: { 'x-admin-key': key }, cache: 'no-store' });
+    let data = {};
+    try { data = await res.json(); } catch (_) {}
+    if (!res.ok || !data.ok) throw new Error(data.error || `Request failed (${res.status})`);
+    return data;
+  }
+
+  function renderSessions(data) {
+    const h = data.health;
+    $('health').textContent = `${data.sessions.length} sessions, ${h.liveSockets} sockets, ${h.queuedSessions} queued`;
+
+    const body = $('sessions');
+    body.replaceChildren();
+    if (!data.sessions.length) {
+      const row = el('tr');
+      const cell = el('td', 'No live sessions.', 'adminEmpty');
+      cell.colSpan = 9;
+      row.append(cell);
+      body.append(row);
+    }
+    for (const s of data.sessions) {
+      const row = el('tr');
+      const status = s.queuePosition ? `queued #${s.queuePosition}` : s.status;
+      [s.id, s.method, s.phone || '-', s.tenant || '-', status, duration(s.ageMs), s.retries, s.subscribers].forEach(
+        (v) => row.append(el('td', v))
+      );
+
+      const actions = el('td', undefined, 'adminActions');
+      const view = el('button', 'Timeline', 'secondary');
+      view.type = 'button';
+      view.addEventListener('click', () => openTimeline(s.id));
+      const kill = el('button', 'Terminate', 'ghost');
+      kill.type = 'button';
+      kill.addEventListener('click', () => terminate(s.id));
+      actions.append(view, kill);
+      row.append(actions);
+      body.append(row);
+    }
+  }
+
+  function renderFailures(data) {
+    const body = $('failures');
+    body.replaceChildren();
+    if (!data.groups.length) {
+      const row = el('tr');
+      const cell = el('td', 'No failures recorded.', 'adminEmpty');
+      cell.colSpan = 4;
+      row.append(cell);
+      body.append(row);
+    }
+    for (const g of data.groups) {
+      const row = el('tr');
+      const codes = Object.entries(g.codes).map(([code, n]) => `${code} x${n}`).join(', ');
+      [g.disconnectReason, g.count, codes, time(g.lastAt)].forEach((v) => row.append(el('td', v)));
+      body.append(row);
+    }
+  }
+
+  async function refresh() {
+    if (!key) return;
+    try {
+      const [sessions, failures] = await Promise.all([api('/sessions'), api('/failures')]);
+      renderSessions(sessions);
+      renderFailures(failures);
+      setError('');
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function closeTimeline() {
+    if (timeline) timeline.close();
+    timeline = null;
+    $('timelineCard').classList.add('is-hidden');
+  }
+
+  function openTimeline(id) {
+    closeTimeline();
+    $('timelineId').textContent = id;
+    $('timeline').replaceChildren();
+    $('timelineCard').classList.remove('is-hidden');
+
+    timeline = new EventSource(`/admin/api/sessions/${encodeURIComponent(id)}/events?key=${encodeURIComponent(key)}`);
+    timeline.addEventListener('entry', (ev) => {
+      const entry = JSON.parse(ev.data);
+      const item = el('li');
+      item.append(el('span', time(entry.at), 'adminMeta'), el('strong', ` ${entry.event} `), el('code', JSON.stringify(entry.data)));
+      $('timeline').append(item);
+    });
+    timeline.addEventListener('error', () => {
+      // The session ended (404) or the key is wrong; either way there is nothing more to show.
+      if (timeline && timeline.readyState === EventSource.CLOSED) $('timelineId').textContent = `${id} (closed)`;
+    });
+  }
+
+  async function terminate(id) {
+    if (!window.confirm(`Terminate ${id}? The user sees an error and has to start over.`)) return;
+    try {
+      await api(`/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    } catch (e) {
+      setError(e.message);
+    }
+    refresh();
+  }
+
+  window.addEventListener('DOMContentLoaded', () => {
+    $('adminKey').value = key;
+    $('keyForm').addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      key = $('adminKey').value.trim();
+      sessionStorage.setItem('mantraAdminKey', key);
+      refresh();
+    });
+    $('btnCloseTimeline').addEventListener('click', closeTimeline);
+
+    refresh();
+    refreshTimer = setInterval(refresh, REFRESH_MS);
+    window.addEventListener('beforeunload', () => clearInterval(refreshTimer));
+  });
+})();
@@ -1,23 +1,38 @@
-/* global EventSource */
+/* global EventSource, Worker */
 (() => {
   'use strict';
 
   const REQUEST_TIMEOUT_MS = 130000;
+  const COUNTRY_KEY = 'mantraCountry';
+  const DEFAULT_COUNTRY = 'KE';
+  // Where the national number keeps its leading 0 after the country code.
+  const KEEPS_LEADING_ZERO = ['IT', 'SM'];
+
+  const i18n = window.MantraI18n;
+  const { t } = i18n;
 
   let mode = 'code';
   let es = null;
   let lastError = '';
+  // { id, streamKey } of the live session, for the session control endpoints.
+  let current = null;
+  // Status and hint as catalog keys, so a language switch can redraw them.
+  let shown = { status: 'idle', hint: '', vars: null };
+  // GET /api/countries: [{ region, callingCode, min, max }]
+  let countries = [];
 
   function $(id) {
     return document.getElementById(id);
   }
 
-  function setStatus(text, hint) {
+  // status is a session status (see lib/pairing-session.js); hint a catalog key.
+  function setStatus(status, hint, vars) {
+    shown = { status: status || 'idle', hint: hint || '', vars: vars || null };
     const box = $('status');
-    const on = Boolean(text && text !== 'Idle');
-    box.classList.toggle('is-on', on);
-    $('statusText').textContent = text || 'Idle';
-    $('statusHint').textContent = hint || '';
+    box.classList.toggle('is-on', shown.status !== 'idle');
+    const key = `status.${shown.status}`;
+    $('statusText').textContent = i18n.has(key) ? t(key) : shown.status;
+    $('statusHint').textContent = shown.hint ? t(shown.hint, shown.vars) : '';
   }
 
   function setError(message, canSwitchToQr) {
@@ -28,14 +43,33 @@
     $('btnSwitchToQr').disabled = !canSwitchToQr;
   }
 
+  function setFieldError(field, message) {
+    const box = $(`${field}Error`);
+    if (!box) return false;
+    box.textContent = message || '';
+    $(field).classList.toggle('is-invalid', Boolean(message));
+    $(field).setAttribute('aria-invalid', message ? 'true' : 'false');
+    return true;
+  }
+
+  function clearFieldErrors() {
+    setFieldError('country', '');
+    setFieldError('phone', '');
+  }
+
+  // Server errors that name a field (see lib/errors.js) go under it; the rest become a prompt.
+  function showRequestError(data, fallbackKey) {
+    const message = (data.code && i18n.has(`error.${data.code}`) && t(`error.${data.code}`)) || data.error || t(fallbackKey);
+    if (data.field && setFieldError(data.field, message)) return;
+    alert(message);
+  }
+
   function setLoading(which, on) {
-    if (which === 'code') {
-      $('btnCode').disabled = on;
-      $('btnCodeText').innerHTML = on ? '<span class="loading"></span>Connecting...' : 'Generate Pairing Code';
-    } else {
-      $('btnQr').disabled = on;
-      $('btnQrText').innerHTML = on ? '<span class="loading"></span>Generating...' : 'Generate QR Code';
-    }
+    const [btn, text, busy, idle] =
+      which === 'code' ? ['btnCode', 'btnCodeText', 'btn.connecting', 'btn.code'] : ['btnQr', 'btnQrText', 'btn.generating', 'btn.qr'];
+    $(btn).disabled = on;
+    $(text).textContent = t(on ? busy : idle);
+    if (on) $(text).prepend(Object.assign(document.createElement('span'), { className: 'loading' }));
   }
 
   function hideResults() {
@@ -64,21 +98,32 @@
     }
   }
 
+  function sessionUrl(suffix) {
+    return `/api/sessions/${encodeURIComponent(current.id)}${suffix || ''}`;
+  }
+
+  function sessionHeaders() {
+    return { 'x-stream-key': current.streamKey };
+  }
+
   function startEvents(id, streamKey) {
     teardown();
+    current = { id, streamKey };
 
-    const url = streamKey ? `/api/sessions/${encodeURIComponent(id)}/events?key=${encodeURIComponent(streamKey)}` : `/api/sessions/${encodeURIComponent(id)}/events`;
+    const url = `/api/sessions/${encodeURIComponent(id)}/events?key=${encodeURIComponent(streamKey)}`;
     es = new EventSource(url);
 
     es.addEventListener('status', (ev) => {
       try {
         const d = JSON.parse(ev.data || '{}');
         const st = d.status || 'working';
-        let hint = '';
-        if (st === 'requesting_code') hint = 'Waiting for pairing code...';
-        if (st === 'waiting_qr') hint = 'Waiting for QR from WhatsApp...';
-        if (st === 'connected') hint = 'Connected. Sending session to your WhatsApp...';
-        setStatus(st, hint);
+        if (st === 'queued') {
+          const minutes = Math.max(1, Math.round((d.etaMs || 0) / 60000));
+          setStatus(st, 'hint.queued', { position: d.position, minutes });
+          return;
+        }
+        const hints = { requesting_code: 'hint.requestingCode', waiting_qr: 'hint.waitingQr', connected: 'hint.connected' };
+        setStatus(st, hints[st]);
       } catch (_) {}
     });
 
@@ -87,50 +132,212 @@
       if (!d.code) return;
       $('pairCode').textContent = d.code;
       $('resultCode').classList.add('is-on');
-      setStatus('code_ready', 'Enter this code in WhatsApp -> Linked Devices.');
+      setStatus('code_ready', 'hint.codeReady');
     });
 
     es.addEventListener('qr', (ev) => {
       const d = JSON.parse(ev.data || '{}');
       if (!d.qr) return;
-      $('qrBox').innerHTML = `<img src="${d.qr}" alt="WhatsApp QR">`;
+      $('qrBox').replaceChildren(Object.assign(document.createElement('img'), { src: d.qr, alt: t('qr.alt') }));
       $('resultQr').classList.add('is-on');
-      setStatus('qr_ready', 'Scan this QR from WhatsApp -> Linked Devices.');
+      setStatus('qr_ready', 'hint.qrReady');
     });
 
-    es.addEventListener('exported', () => {
-      setStatus('done', 'Session was sent to your WhatsApp chat.');
+    es.addEventListener('exported', (ev) => {
+      let delivered = [];
+      try {
+        delivered = JSON.parse(ev.data || '{}').delivered || [];
+      } catch (_) {}
+      if (!delivered.length || delivered.includes('self')) {
+        setStatus('done', 'hint.doneSelf');
+      } else {
+        setStatus('done', 'hint.doneOther', { targets: delivered.join(', ') });
+      }
+    });
+
+    // The server is restarting. A resumable session continues on another instance once EventSource reconnects;
+    // otherwise it's gone and the user has to start again.
+    es.addEventListener('server_shutdown', (ev) => {
+      let d = {};
+      try { d = JSON.parse(ev.data || '{}'); } catch (_) {}
+      if (d.resumable) {
+        setStatus('reconnecting', 'hint.serverRestarting');
+        return;
+      }
+      teardown();
+      setLoading('code', false);
+      setLoading('qr', false);
+      setStatus('idle');
+      setError(t('error.SERVER_SHUTDOWN'), false);
     });
 
     es.addEventListener('error', (ev) => {
-      let message = 'Session error.';
+      // Transport errors carry no data. EventSource reconnects by itself (e.g. across a server restart)
+      // unless the server refused the stream, so only give up once it is closed.
+      if (ev.data === undefined && es && es.readyState !== EventSource.CLOSED) {
+        setStatus('reconnecting', 'hint.reconnecting');
+        return;
+      }
+
+      let message = t(ev.data === undefined ? 'error.lostConnection' : 'error.session');
+      let remediation = '';
       try {
         const d = JSON.parse(ev.data || '{}');
-        message = d.message || message;
+        message = (i18n.has(`error.${d.code}`) && t(`error.${d.code}`)) || d.message || message;
+        remediation = d.remediation || '';
       } catch (_) {}
 
       teardown();
       setLoading('code', false);
       setLoading('qr', false);
 
-      const looksLikeCodeUnavailable =
-        /(\b503\b|unavailable|temporarily unavailable|phone-number pairing|forbidden|\b403\b)/i.test(message);
+      // Act on the error's remediation (see lib/errors.js), never on the wording.
+      setError(message, mode === 'code' && remediation === 'switch_method');
+    });
+  }
+
+  // Warns before the user tries when the server's circuit breaker has phone-number pairing switched off.
+  async function checkAvailability() {
+    try {
+      const res = await fetchWithTimeout('/api/status');
+      const data = await safeJson(res);
+      const code = data.methods && data.methods.code;
+      if (mode === 'code' && code && !code.available) setError(code.advice, true);
+    } catch (_) {}
+  }
 
-      setError(message, mode === 'code' && looksLikeCodeUnavailable);
+  // Proof-of-work runs in pow-worker.js so the page stays responsive.
+  function solvePow(challenge) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('/pow-worker.js');
+      worker.onmessage = (ev) => {
+        worker.terminate();
+        resolve(ev.data.solution);
+      };
+      worker.onerror = (ev) => {
+        worker.terminate();
+        reject(new Error(ev.message || 'Challenge failed.'));
+      };
+      worker.postMessage({ token: challenge.token, difficulty: challenge.difficulty });
     });
   }
 
+  // The server may ask for a challenge before it creates a session (see GET /api/challenge).
+  // A CAPTCHA needs a widget this page doesn't ship: a wrapper page can provide
+  // window.MANTRA_CAPTCHA(challenge) -> Promise<response token>.
+  async function solveChallenge() {
+    const res = await fetchWithTimeout('/api/challenge');
+    const challenge = await safeJson(res);
+    if (!res.ok || !challenge.type || challenge.type === 'none') return null;
+
+    setStatus('starting', 'hint.checkingBrowser');
+    if (challenge.type === 'pow') return { token: challenge.token, solution: await solvePow(challenge) };
+    if (typeof window.MANTRA_CAPTCHA === 'function') return { token: await window.MANTRA_CAPTCHA(challenge) };
+    throw new Error(t('error.captcha'));
+  }
+
+  function regionName(region) {
+    try {
+      return new Intl.DisplayNames([i18n.locale], { type: 'region' }).of(region) || region;
+    } catch (_) {
+      return region;
+    }
+  }
+
+  function selectedCountry() {
+    return countries.find((c) => c.region === $('country').value) || null;
+  }
+
+  // Saved choice, then the region of the browser's language ("sw-KE" -> KE), then DEFAULT_COUNTRY.
+  function defaultCountry() {
+    let saved = null;
+    try { saved = localStorage.getItem(COUNTRY_KEY); } catch (_) {}
+    const fromLanguages = (navigator.languages || [navigator.language]).map((tag) => String(tag || '').split(/[-_]/)[1]);
+    const hit = [saved, ...fromLanguages]
+      .map((region) => String(region || '').toUpperCase())
+      .find((region) => countries.some((c) => c.region === region));
+    return hit || DEFAULT_COUNTRY;
+  }
+
+  function renderCountries() {
+    const select = $('country');
+    const selected = select.value || defaultCountry();
+    const collator = new Intl.Collator(i18n.locale);
+    const options = countries
+      .map((c) => ({ ...c, name: regionName(c.region) }))
+      .sort((a, b) => collator.compare(a.name, b.name))
+      .map((c) => Object.assign(document.createElement('option'), { value: c.region, textContent: `${c.name} (+${c.callingCode})` }));
+    select.replaceChildren(...options);
+    select.value = selected;
+    showDialCode();
+  }
+
+  function showDialCode() {
+    const c = selectedCountry();
+    $('dialCode').textContent = c ? `+${c.callingCode}` : '+';
+    $('phone').placeholder = c ? 'X'.repeat(c.min) : '';
+  }
+
+  function onCountryChange() {
+    showDialCode();
+    setFieldError('country', '');
+    try { localStorage.setItem(COUNTRY_KEY, $('country').value); } catch (_) {}
+  }
+
+  async function loadCountries() {
+    try {
+      const res = await fetchWithTimeout('/api/countries');
+      countries = (await safeJson(res)).countries || [];
+    } catch (_) {}
+    renderCountries();
+  }
+
+  // E.164 digits from the picked country and the number as typed. A number typed with "+" or "00" is taken as
+  // international and must match the picked country (the server checks that too).
+  function readPhone() {
+    const c = selectedCountry();
+    const raw = $('phone').value.trim();
+    let digits = raw.replace(/\D/g, '');
+    if (!c) {
+      setFieldError('country', t('phone.pickCountry'));
+      return null;
+    }
+    if (!digits) {
+      setFieldError('phone', t('phone.empty'));
+      return null;
+    }
+
+    if (raw.startsWith('+') || raw.startsWith('00')) {
+      digits = digits.replace(/^00/, '');
+      if (!digits.startsWith(c.callingCode)) return { phone: digits, country: c.region };
+      digits = digits.slice(c.callingCode.length);
+    } else if (digits.startsWith('0') && !KEEPS_LEADING_ZERO.includes(c.region)) {
+      // Trunk prefix of the national format ("0712 345 678" in Kenya).
+      digits = digits.slice(1);
+    }
+
+    if (digits.length < c.min || digits.length > c.max) {
+      const range = c.min === c.max ? c.min : `${c.min}-${c.max}`;
+      setFieldError('phone', t('phone.length', { country: regionName(c.region), digits: range, code: c.callingCode }));
+      return null;
+    }
+    return { phone: c.callingCode + digits, country: c.region };
+  }
+
   async function createSession(method) {
-    const body = { method };
+    // locale picks the language of the completion message sent to the user's chat.
+    const body = { method, locale: i18n.locale };
     if (method === 'code') {
-      const phone = $('phone').value.replace(/[^0-9]/g, '');
-      if (phone.length < 10) {
-        alert('Invalid phone number. Use at least 10 digits with country code.');
-        return null;
-      }
-      body.phone = phone;
+      clearFieldErrors();
+      const entered = readPhone();
+      if (!entered) return null;
+      Object.assign(body, entered);
     }
 
+    const challenge = await solveChallenge();
+    if (challenge) body.challenge = challenge;
+    setStatus('starting', 'hint.creating');
+
     const headers = { 'Content-Type': 'application/json' };
     // Optional protection: if you enable it, set window.MANTRA_API_KEY at build time or inject via your own wrapper.
     if (window.MANTRA_API_KEY) headers['x-api-key'] = window.MANTRA_API_KEY;
@@ -138,7 +345,7 @@
     const res = await fetchWithTimeout('/api/pair', { method: 'POST', headers, body: JSON.stringify(body) });
     const data = await safeJson(res);
     if (!res.ok || !data.ok) {
-      alert(data.error || 'Pairing failed.');
+      showRequestError(data, 'error.pairingFailed');
       return null;
     }
     return data;
@@ -148,14 +355,19 @@
     hideResults();
     setError('', false);
     setLoading('code', true);
-    setStatus('starting', 'Creating session...');
+    setStatus('starting', 'hint.creating');
     try {
       const data = await createSession('code');
       if (!data) return;
+      if (data.fallbackFrom === 'code') {
+        // The server answered with a QR session because phone-number pairing is failing right now.
+        setMode('qr');
+        setStatus('starting', 'hint.fallbackQr');
+      }
       startEvents(data.id, data.streamKey);
     } catch (e) {
       console.error(e);
-      alert(e && e.message ? e.message : 'Connection timeout. Try again.');
+      alert(e && e.message ? e.message : t('error.timeout'));
     } finally {
       setLoading('code', false);
     }
@@ -165,14 +377,14 @@
     hideResults();
     setError('', false);
     setLoading('qr', true);
-    setStatus('starting', 'Creating session...');
+    setStatus('starting', 'hint.creating');
     try {
       const data = await createSession('qr');
       if (!data) return;
       startEvents(data.id, data.streamKey);
     } catch (e) {
       console.error(e);
-      alert(e && e.message ? e.message : 'Connection timeout. Try again.');
+      alert(e && e.message ? e.message : t('error.timeout'));
     } finally {
       setLoading('qr', false);
     }
@@ -192,12 +404,58 @@
     teardown();
     hideResults();
     setError('', false);
-    setStatus('Idle', '');
+    clearFieldErrors();
+    setStatus('idle');
+    if (next === 'code') checkAvailability();
   }
 
-  function reset() {
+  // Cancels the live session on the server (if any) and returns the UI to idle.
+  async function reset() {
+    const session = current;
     teardown();
-    window.location.reload();
+    current = null;
+    setMode(mode);
+    if (!session) return;
+    try {
+      await fetchWithTimeout(`/api/sessions/${encodeURIComponent(session.id)}`, {
+        method: 'DELETE',
+        headers: { 'x-stream-key': session.streamKey },
+      });
+    } catch (_) {}
+  }
+
+  async function onNewCode() {
+    if (!current) return;
+    const btn = $('btnNewCode');
+    btn.disabled = true;
+    try {
+      const res = await fetchWithTimeout(sessionUrl('/code'), { method: 'POST', headers: sessionHeaders() });
+      const data = await safeJson(res);
+      if (data.remediation === 'switch_method') setError(data.error, true);
+      else if (!res.ok || !data.ok) showRequestError(data, 'error.newCode');
+      // The new code also arrives on the event stream, which updates the display.
+    } catch (e) {
+      alert(e && e.message ? e.message : t('error.timeout'));
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  function renderLanguages() {
+    const select = $('language');
+    select.replaceChildren(
+      ...i18n.locales.map((lang) => Object.assign(document.createElement('option'), { value: lang, textContent: i18n.name(lang) }))
+    );
+    select.value = i18n.locale;
+  }
+
+  // Redraws everything app.js wrote; static text is handled by i18n.apply().
+  function onLocaleChange() {
+    setStatus(shown.status, shown.hint, shown.vars);
+    setLoading('code', $('btnCode').disabled);
+    setLoading('qr', $('btnQr').disabled);
+    clearFieldErrors();
+    renderCountries();
   }
 
   window.addEventListener('DOMContentLoaded', () => {
@@ -207,11 +465,20 @@
     $('btnQr').addEventListener('click', onQr);
     $('btnResetA').addEventListener('click', reset);
     $('btnResetB').addEventListener('click', reset);
+    $('btnNewCode').addEventListener('click', onNewCode);
     $('btnSwitchToQr').addEventListener('click', () => {
       setMode('qr');
-      setStatus('Idle', 'Switched to QR Scan. Tap "Generate QR Code".');
+      setStatus('idle', 'hint.switchedToQr');
     });
     $('btnDismissError').addEventListener('click', () => setError('', false));
+    $('country').addEventListener('change', onCountryChange);
+    $('phone').addEventListener('input', () => setFieldError('phone', ''));
+    $('language').addEventListener('change', (ev) => i18n.setLocale(ev.target.value));
+    i18n.onChange(onLocaleChange);
+
+    i18n.apply();
+    renderLanguages();
+    loadCountries();
     setMode(mode);
   });
 })();
@@ -0,0 +1,456 @@
+/* Message catalog for the pairing page. Loaded before app.js; exposes window.MantraI18n.
+   Static text is marked up with data-i18n="key" (textContent), data-i18n-placeholder and data-i18n-label
+   (aria-label); app.js calls t() for everything it writes. Missing keys fall back to English, then the key. */
+(() => {
+  'use strict';
+
+  const STORAGE_KEY = 'mantraLocale';
+
+  const CATALOGS = {
+    en: {
+      'language.name': 'English',
+      'language.label': 'Language',
+      kicker: 'Pair service',
+      sub: 'Link your WhatsApp account and receive your session in your own WhatsApp chat.',
+      'step.1': 'Select Pairing Code or QR.',
+      'step.2': 'Open WhatsApp, go to Linked Devices.',
+      'step.3': 'Finish linking, then check your chat for the session.',
+      'tabs.label': 'Pairing mode',
+      'tab.code': 'Pairing Code',
+      'tab.qr': 'QR Scan',
+      'status.label': 'Status',
+      'error.title': 'Issue',
+      'btn.switchToQr': 'Switch to QR',
+      'btn.dismiss': 'Dismiss',
+      'code.title': 'Pair by phone number',
+      'code.note': 'Pick your country, then enter your number without the country code. QR is usually more reliable.',
+      'field.country': 'Country',
+      'field.phone': 'Phone',
+      'btn.code': 'Generate Pairing Code',
+      'btn.connecting': 'Connecting...',
+      'code.chip': 'Use this in WhatsApp',
+      'how.title': 'Protocol',
+      'how.linkedDevices': '1. WhatsApp -> Linked Devices',
+      'how.code.2': '2. Link a Device -> Link with phone number',
+      'how.code.3': '3. Enter this code',
+      'how.qr.2': '2. Link a Device',
+      'how.qr.3': '3. Scan this QR',
+      'how.check': '4. Check your own chat for the session',
+      'btn.newCode': 'Get New Code',
+      'btn.reset': 'Start New Session',
+      'qr.title': 'Pair by QR',
+      'qr.note': 'Generate a QR and scan it from WhatsApp Linked Devices.',
+      'btn.qr': 'Generate QR Code',
+      'btn.generating': 'Generating...',
+      'qr.chip': 'Scan from WhatsApp',
+      'qr.alt': 'WhatsApp QR',
+      'status.idle': 'Idle',
+      'status.starting': 'Starting',
+      'status.queued': 'Queued',
+      'status.requesting_code': 'Requesting code',
+      'status.waiting_qr': 'Waiting for QR',
+      'status.code_ready': 'Code ready',
+      'status.qr_ready': 'QR ready',
+      'status.connected': 'Connected',
+      'status.done': 'Done',
+      'status.reconnecting': 'Reconnecting',
+      'hint.creating': 'Creating session...',
+      'hint.checkingBrowser': 'Checking your browser...',
+      'hint.requestingCode': 'Waiting for pairing code...',
+      'hint.waitingQr': 'Waiting for QR from WhatsApp...',
+      'hint.queued': 'Server is busy. You are number {position} in line (about {minutes} min).',
+      'hint.connected': 'Connected. Sending session to your WhatsApp...',
+      'hint.codeReady': 'Enter this code in WhatsApp -> Linked Devices.',
+      'hint.qrReady': 'Scan this QR from WhatsApp -> Linked Devices.',
+      'hint.doneSelf': 'Session was sent to your WhatsApp chat.',
+      'hint.doneOther': 'Session was delivered ({targets}).',
+      'hint.reconnecting': 'Connection lost. Reconnecting...',
+      'hint.fallbackQr': 'Phone-number pairing is unavailable right now. Scan this QR instead.',
+      'hint.switchedToQr': 'Switched to QR Scan. Tap "Generate QR Code".',
+      'hint.serverRestarting': 'The server is restarting. Your session will continue in a moment...',
+      'phone.pickCountry': 'Pick your country.',
+      'phone.empty': 'Enter your phone number.',
+      'phone.length': 'Numbers in {country} have {digits} digits after +{code}.',
+      'error.lostConnection': 'Lost connection to the session.',
+      'error.session': 'Session error.',
+      'error.pairingFailed': 'Pairing failed.',
+      'error.timeout': 'Connection timeout. Try again.',
+      'error.newCode': 'Could not get a new code.',
+      'error.captcha': 'This server requires a CAPTCHA that this page cannot show.',
+      'error.RATE_LIMITED': 'Too many attempts. Wait a moment and try again.',
+      'error.QUEUE_FULL': 'Too many pairing sessions right now. Try again in a minute.',
+      'error.SESSION_EXPIRED': 'This session expired. Start a new one.',
+      'error.SERVER_SHUTDOWN': 'The server is restarting. Wait a few seconds, then start a new session.',
+      'error.SERVER_NOT_READY': 'The server is still starting. Try again in a few seconds.',
+    },
+
+    fr: {
+      'language.name': 'Français',
+      'language.label': 'Langue',
+      kicker: 'Service de liaison',
+      sub: 'Liez votre compte WhatsApp et recevez votre session dans votre propre discussion WhatsApp.',
+      'step.1': 'Choisissez Code d’association ou QR.',
+      'step.2': 'Ouvrez WhatsApp, puis Appareils connectés.',
+      'step.3': 'Terminez la liaison, puis cherchez la session dans votre discussion.',
+      'tabs.label': 'Mode d’association',
+      'tab.code': 'Code d’association',
+      'tab.qr': 'Scan QR',
+      'status.label': 'État',
+      'error.title': 'Problème',
+      'btn.switchToQr': 'Passer au QR',
+      'btn.dismiss': 'Fermer',
+      'code.title': 'Associer par numéro',
+      'code.note': 'Choisissez votre pays, puis saisissez votre numéro sans l’indicatif. Le QR est souvent plus fiable.',
+      'field.country': 'Pays',
+      'field.phone': 'Téléphone',
+      'btn.code': 'Obtenir le code',
+      'btn.connecting': 'Connexion...',
+      'code.chip': 'À saisir dans WhatsApp',
+      'how.title': 'Procédure',
+      'how.linkedDevices': '1. WhatsApp -> Appareils connectés',
+      'how.code.2': '2. Connecter un appareil -> Associer avec le numéro',
+      'how.code.3': '3. Saisissez ce code',
+      'how.qr.2': '2. Connecter un appareil',
+      'how.qr.3': '3. Scannez ce QR',
+      'how.check': '4. Cherchez la session dans votre propre discussion',
+      'btn.newCode': 'Nouveau code',
+      'btn.reset': 'Nouvelle session',
+      'qr.title': 'Associer par QR',
+      'qr.note': 'Générez un QR et scannez-le depuis Appareils connectés dans WhatsApp.',
+      'btn.qr': 'Générer le QR',
+      'btn.generating': 'Génération...',
+      'qr.chip': 'À scanner depuis WhatsApp',
+      'qr.alt': 'QR WhatsApp',
+      'status.idle': 'En attente',
+      'status.starting': 'Démarrage',
+      'status.queued': 'En file',
+      'status.requesting_code': 'Demande du code',
+      'status.waiting_qr': 'Attente du QR',
+      'status.code_ready': 'Code prêt',
+      'status.qr_ready': 'QR prêt',
+      'status.connected': 'Connecté',
+      'status.done': 'Terminé',
+      'status.reconnecting': 'Reconnexion',
+      'hint.creating': 'Création de la session...',
+      'hint.checkingBrowser': 'Vérification du navigateur...',
+      'hint.requestingCode': 'Attente du code d’association...',
+      'hint.waitingQr': 'Attente du QR de WhatsApp...',
+      'hint.queued': 'Serveur occupé. Vous êtes n° {position} dans la file (environ {minutes} min).',
+      'hint.connected': 'Connecté. Envoi de la session sur votre WhatsApp...',
+      'hint.codeReady': 'Saisissez ce code dans WhatsApp -> Appareils connectés.',
+      'hint.qrReady': 'Scannez ce QR depuis WhatsApp -> Appareils connectés.',
+      'hint.doneSelf': 'La session a été envoyée dans votre discussion WhatsApp.',
+      'hint.doneOther': 'La session a été livrée ({targets}).',
+      'hint.reconnecting': 'Connexion perdue. Reconnexion...',
+      'hint.fallbackQr': 'L’association par numéro est indisponible. Scannez plutôt ce QR.',
+      'hint.switchedToQr': 'Mode QR activé. Touchez « Générer le QR ».',
+      'hint.serverRestarting': 'Le serveur redémarre. Votre session reprendra dans un instant...',
+      'phone.pickCountry': 'Choisissez votre pays.',
+      'phone.empty': 'Saisissez votre numéro.',
+      'phone.length': 'Les numéros ({country}) ont {digits} chiffres après +{code}.',
+      'error.lostConnection': 'Connexion à la session perdue.',
+      'error.session': 'Erreur de session.',
+      'error.pairingFailed': 'L’association a échoué.',
+      'error.timeout': 'Délai dépassé. Réessayez.',
+      'error.newCode': 'Impossible d’obtenir un nouveau code.',
+      'error.captcha': 'Ce serveur exige un CAPTCHA que cette page ne peut pas afficher.',
+      'error.RATE_LIMITED': 'Trop de tentatives. Patientez un instant puis réessayez.',
+      'error.QUEUE_FULL': 'Trop de sessions en cours. Réessayez dans une minute.',
+      'error.SESSION_EXPIRED': 'Cette session a expiré. Recommencez.',
+      'error.SERVER_SHUTDOWN': 'Le serveur redémarre. Patientez quelques secondes, puis démarrez une nouvelle session.',
+      'error.SERVER_NOT_READY': 'Le serveur démarre. Réessayez dans quelques secondes.',
+    },
+
+    es: {
+      'language.name': 'Español',
+      'language.label': 'Idioma',
+      kicker: 'Servicio de vinculación',
+      sub: 'Vincula tu cuenta de WhatsApp y recibe tu sesión en tu propio chat de WhatsApp.',
+      'step.1': 'Elige Código de vinculación o QR.',
+      'step.2': 'Abre WhatsApp y ve a Dispositivos vinculados.',
+      'step.3': 'Termina la vinculación y busca la sesión en tu chat.',
+      'tabs.label': 'Modo de vinculación',
+      'tab.code': 'Código',
+      'tab.qr': 'Escanear QR',
+      'status.label': 'Estado',
+      'error.title': 'Problema',
+      'btn.switchToQr': 'Usar QR',
+      'btn.dismiss': 'Cerrar',
+      'code.title': 'Vincular con número',
+      'code.note': 'Elige tu país y escribe tu número sin el prefijo internacional. El QR suele ser más fiable.',
+      'field.country': 'País',
+      'field.phone': 'Teléfono',
+      'btn.code': 'Obtener código',
+      'btn.connecting': 'Conectando...',
+      'code.chip': 'Úsalo en WhatsApp',
+      'how.title': 'Pasos',
+      'how.linkedDevices': '1. WhatsApp -> Dispositivos vinculados',
+      'how.code.2': '2. Vincular un dispositivo -> Vincular con el número de teléfono',
+      'how.code.3': '3. Escribe este código',
+      'how.qr.2': '2. Vincular un dispositivo',
+      'how.qr.3': '3. Escanea este QR',
+      'how.check': '4. Busca la sesión en tu propio chat',
+      'btn.newCode': 'Nuevo código',
+      'btn.reset': 'Nueva sesión',
+      'qr.title': 'Vincular con QR',
+      'qr.note': 'Genera un QR y escanéalo desde Dispositivos vinculados en WhatsApp.',
+      'btn.qr': 'Generar QR',
+      'btn.generating': 'Generando...',
+      'qr.chip': 'Escanéalo desde WhatsApp',
+      'qr.alt': 'QR de WhatsApp',
+      'status.idle': 'Inactivo',
+      'status.starting': 'Iniciando',
+      'status.queued': 'En cola',
+      'status.requesting_code': 'Pidiendo código',
+      'status.waiting_qr': 'Esperando QR',
+      'status.code_ready': 'Código listo',
+      'status.qr_ready': 'QR listo',
+      'status.connected': 'Conectado',
+      'status.done': 'Listo',
+      'status.reconnecting': 'Reconectando',
+      'hint.creating': 'Creando la sesión...',
+      'hint.checkingBrowser': 'Comprobando tu navegador...',
+      'hint.requestingCode': 'Esperando el código de vinculación...',
+      'hint.waitingQr': 'Esperando el QR de WhatsApp...',
+      'hint.queued': 'El servidor está ocupado. Eres el número {position} en la cola (unos {minutes} min).',
+      'hint.connected': 'Conectado. Enviando la sesión a tu WhatsApp...',
+      'hint.codeReady': 'Escribe este código en WhatsApp -> Dispositivos vinculados.',
+      'hint.qrReady': 'Escanea este QR desde WhatsApp -> Dispositivos vinculados.',
+      'hint.doneSelf': 'La sesión se envió a tu chat de WhatsApp.',
+      'hint.doneOther': 'La sesión se entregó ({targets}).',
+      'hint.reconnecting': 'Conexión perdida. Reconectando...',
+      'hint.fallbackQr': 'La vinculación con número no está disponible ahora. Escanea este QR.',
+      'hint.switchedToQr': 'Cambiado a QR. Pulsa "Generar QR".',
+      'hint.serverRestarting': 'El servidor se está reiniciando. Tu sesión continuará en un momento...',
+      'phone.pickCountry': 'Elige tu país.',
+      'phone.empty': 'Escribe tu número de teléfono.',
+      'phone.length': 'Los números de {country} tienen {digits} dígitos después de +{code}.',
+      'error.lostConnection': 'Se perdió la conexión con la sesión.',
+      'error.session': 'Error de sesión.',
+      'error.pairingFailed': 'La vinculación falló.',
+      'error.timeout': 'Tiempo de espera agotado. Inténtalo de nuevo.',
+      'error.newCode': 'No se pudo obtener un código nuevo.',
+      'error.captcha': 'Este servidor exige un CAPTCHA que esta página no puede mostrar.',
+      'error.RATE_LIMITED': 'Demasiados intentos. Espera un momento e inténtalo de nuevo.',
+      'error.QUEUE_FULL': 'Hay demasiadas sesiones ahora. Inténtalo en un minuto.',
+      'error.SESSION_EXPIRED': 'Esta sesión caducó. Empieza una nueva.',
+      'error.SERVER_SHUTDOWN': 'El servidor se está reiniciando. Espera unos segundos y empieza una nueva sesión.',
+      'error.SERVER_NOT_READY': 'El servidor aún se está iniciando. Inténtalo de nuevo en unos segundos.',
+    },
+
+    pt: {
+      'language.name': 'Português',
+      'language.label': 'Idioma',
+      kicker: 'Serviço de conexão',
+      sub: 'Conecte sua conta do WhatsApp e receba sua sessão na sua própria conversa do WhatsApp.',
+      'step.1': 'Escolha Código de conexão ou QR.',
+      'step.2': 'Abra o WhatsApp e vá em Aparelhos conectados.',
+      'step.3': 'Conclua a conexão e procure a sessão na sua conversa.',
+      'tabs.label': 'Modo de conexão',
+      'tab.code': 'Código',
+      'tab.qr': 'Ler QR',
+      'status.label': 'Status',
+      'error.title': 'Problema',
+      'btn.switchToQr': 'Usar QR',
+      'btn.dismiss': 'Fechar',
+      'code.title': 'Conectar pelo número',
+      'code.note': 'Escolha seu país e digite seu número sem o código do país. O QR costuma ser mais confiável.',
+      'field.country': 'País',
+      'field.phone': 'Telefone',
+      'btn.code': 'Gerar código',
+      'btn.connecting': 'Conectando...',
+      'code.chip': 'Use no WhatsApp',
+      'how.title': 'Passos',
+      'how.linkedDevices': '1. WhatsApp -> Aparelhos conectados',
+      'how.code.2': '2. Conectar um aparelho -> Conectar com número de telefone',
+      'how.code.3': '3. Digite este código',
+      'how.qr.2': '2. Conectar um aparelho',
+      'how.qr.3': '3. Leia este QR',
+      'how.check': '4. Procure a sessão na sua própria conversa',
+      'btn.newCode': 'Novo código',
+      'btn.reset': 'Nova sessão',
+      'qr.title': 'Conectar por QR',
+      'qr.note': 'Gere um QR e leia-o em Aparelhos conectados no WhatsApp.',
+      'btn.qr': 'Gerar QR',
+      'btn.generating': 'Gerando...',
+      'qr.chip': 'Leia no WhatsApp',
+      'qr.alt': 'QR do WhatsApp',
+      'status.idle': 'Parado',
+      'status.starting': 'Iniciando',
+      'status.queued': 'Na fila',
+      'status.requesting_code': 'Pedindo código',
+      'status.waiting_qr': 'Aguardando QR',
+      'status.code_ready': 'Código pronto',
+      'status.qr_ready': 'QR pronto',
+      'status.connected': 'Conectado',
+      'status.done': 'Concluído',
+      'status.reconnecting': 'Reconectando',
+      'hint.creating': 'Criando a sessão...',
+      'hint.checkingBrowser': 'Verificando seu navegador...',
+      'hint.requestingCode': 'Aguardando o código de conexão...',
+      'hint.waitingQr': 'Aguardando o QR do WhatsApp...',
+      'hint.queued': 'Servidor ocupado. Você é o número {position} na fila (cerca de {minutes} min).',
+      'hint.connected': 'Conectado. Enviando a sessão para o seu WhatsApp...',
+      'hint.codeReady': 'Digite este código em WhatsApp -> Aparelhos conectados.',
+      'hint.qrReady': 'Leia este QR em WhatsApp -> Aparelhos conectados.',
+      'hint.doneSelf': 'A sessão foi enviada para a sua conversa do WhatsApp.',
+      'hint.doneOther': 'A sessão foi entregue ({targets}).',
+      'hint.reconnecting': 'Conexão perdida. Reconectando...',
+      'hint.fallbackQr': 'A conexão pelo número está indisponível agora. Leia este QR.',
+      'hint.switchedToQr': 'Modo QR ativado. Toque em "Gerar QR".',
+      'hint.serverRestarting': 'O servidor está reiniciando. Sua sessão continuará em instantes...',
+      'phone.pickCountry': 'Escolha seu país.',
+      'phone.empty': 'Digite seu número de telefone.',
+      'phone.length': 'Números de {country} têm {digits} dígitos depois de +{code}.',
+      'error.lostConnection': 'A conexão com a sessão caiu.',
+      'error.session': 'Erro na sessão.',
+      'error.pairingFailed': 'A conexão falhou.',
+      'error.timeout': 'Tempo esgotado. Tente de novo.',
+      'error.newCode': 'Não foi possível gerar um novo código.',
+      'error.captcha': 'Este servidor exige um CAPTCHA que esta página não consegue mostrar.',
+      'error.RATE_LIMITED': 'Muitas tentativas. Aguarde um pouco e tente de novo.',
+      'error.QUEUE_FULL': 'Muitas sessões no momento. Tente de novo em um minuto.',
+      'error.SESSION_EXPIRED': 'Esta sessão expirou. Comece uma nova.',
+      'error.SERVER_SHUTDOWN': 'O servidor está reiniciando. Aguarde alguns segundos e comece uma nova sessão.',
+      'error.SERVER_NOT_READY': 'O servidor ainda está iniciando. Tente novamente em alguns segundos.',
+    },
+
+    sw: {
+      'language.name': 'Kiswahili',
+      'language.label': 'Lugha',
+      kicker: 'Huduma ya kuunganisha',
+      sub: 'Unganisha akaunti yako ya WhatsApp na upokee kipindi chako kwenye gumzo lako la WhatsApp.',
+      'step.1': 'Chagua Msimbo wa Kuunganisha au QR.',
+      'step.2': 'Fungua WhatsApp, nenda Vifaa Vilivyounganishwa.',
+      'step.3': 'Maliza kuunganisha, kisha angalia gumzo lako upate kipindi.',
+      'tabs.label': 'Njia ya kuunganisha',
+      'tab.code': 'Msimbo',
+      'tab.qr': 'Skani QR',
+      'status.label': 'Hali',
+      'error.title': 'Tatizo',
+      'btn.switchToQr': 'Tumia QR',
+      'btn.dismiss': 'Funga',
+      'code.title': 'Unganisha kwa namba ya simu',
+      'code.note': 'Chagua nchi yako, kisha weka namba yako bila msimbo wa nchi. QR kwa kawaida inaaminika zaidi.',
+      'field.country': 'Nchi',
+      'field.phone': 'Simu',
+      'btn.code': 'Pata Msimbo',
+      'btn.connecting': 'Inaunganisha...',
+      'code.chip': 'Tumia huu kwenye WhatsApp',
+      'how.title': 'Hatua',
+      'how.linkedDevices': '1. WhatsApp -> Vifaa Vilivyounganishwa',
+      'how.code.2': '2. Unganisha Kifaa -> Unganisha kwa namba ya simu',
+      'how.code.3': '3. Weka msimbo huu',
+      'how.qr.2': '2. Unganisha Kifaa',
+      'how.qr.3': '3. Skani QR hii',
+      'how.check': '4. Angalia gumzo lako upate kipindi',
+      'btn.newCode': 'Msimbo Mpya',
+      'btn.reset': 'Anza Upya',
+      'qr.title': 'Unganisha kwa QR',
+      'qr.note': 'Tengeneza QR kisha iskani kutoka Vifaa Vilivyounganishwa kwenye WhatsApp.',
+      'btn.qr': 'Tengeneza QR',
+      'btn.generating': 'Inatengeneza...',
+      'qr.chip': 'Skani kutoka WhatsApp',
+      'qr.alt': 'QR ya WhatsApp',
+      'status.idle': 'Tayari',
+      'status.starting': 'Inaanza',
+      'status.queued': 'Foleni',
+      'status.requesting_code': 'Inaomba msimbo',
+      'status.waiting_qr': 'Inasubiri QR',
+      'status.code_ready': 'Msimbo uko tayari',
+      'status.qr_ready': 'QR iko tayari',
+      'status.connected': 'Imeunganishwa',
+      'status.done': 'Imekamilika',
+      'status.reconnecting': 'Inaunganisha tena',
+      'hint.creating': 'Inaunda kipindi...',
+      'hint.checkingBrowser': 'Inakagua kivinjari chako...',
+      'hint.requestingCode': 'Inasubiri msimbo wa kuunganisha...',
+      'hint.waitingQr': 'Inasubiri QR kutoka WhatsApp...',
+      'hint.queued': 'Seva ina shughuli nyingi. Wewe ni namba {position} kwenye foleni (takriban dakika {minutes}).',
+      'hint.connected': 'Imeunganishwa. Inatuma kipindi kwenye WhatsApp yako...',
+      'hint.codeReady': 'Weka msimbo huu kwenye WhatsApp -> Vifaa Vilivyounganishwa.',
+      'hint.qrReady': 'Skani QR hii kutoka WhatsApp -> Vifaa Vilivyounganishwa.',
+      'hint.doneSelf': 'Kipindi kimetumwa kwenye gumzo lako la WhatsApp.',
+      'hint.doneOther': 'Kipindi kimewasilishwa ({targets}).',
+      'hint.reconnecting': 'Muunganisho umekatika. Inaunganisha tena...',
+      'hint.fallbackQr': 'Kuunganisha kwa namba hakupatikani sasa. Skani QR hii badala yake.',
+      'hint.switchedToQr': 'Umehamia QR. Gusa "Tengeneza QR".',
+      'hint.serverRestarting': 'Seva inaanza upya. Kipindi chako kitaendelea baada ya muda mfupi...',
+      'phone.pickCountry': 'Chagua nchi yako.',
+      'phone.empty': 'Weka namba yako ya simu.',
+      'phone.length': 'Namba za {country} zina tarakimu {digits} baada ya +{code}.',
+      'error.lostConnection': 'Muunganisho na kipindi umepotea.',
+      'error.session': 'Hitilafu ya kipindi.',
+      'error.pairingFailed': 'Kuunganisha kumeshindikana.',
+      'error.timeout': 'Muda umeisha. Jaribu tena.',
+      'error.newCode': 'Imeshindwa kupata msimbo mpya.',
+      'error.captcha': 'Seva hii inahitaji CAPTCHA ambayo ukurasa huu hauwezi kuonyesha.',
+      'error.RATE_LIMITED': 'Majaribio mengi mno. Subiri kidogo kisha ujaribu tena.',
+      'error.QUEUE_FULL': 'Kuna vipindi vingi sasa hivi. Jaribu tena baada ya dakika moja.',
+      'error.SESSION_EXPIRED': 'Kipindi hiki kimeisha muda. Anza kipya.',
+      'error.SERVER_SHUTDOWN': 'Seva inaanza upya. Subiri sekunde chache, kisha anza kipindi kipya.',
+      'error.SERVER_NOT_READY': 'Seva bado inawaka. Jaribu tena baada ya sekunde chache.',
+    },
+  };
+
+  const listeners = [];
+
+  function supported(tag) {
+    const lang = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    return CATALOGS[lang] ? lang : null;
+  }
+
+  // Saved choice, then the browser's preferred languages, then English.
+  function detect() {
+    let saved = null;
+    try { saved = localStorage.getItem(STORAGE_KEY); } catch (_) {}
+    if (supported(saved)) return supported(saved);
+    for (const tag of navigator.languages || [navigator.language]) {
+      if (supported(tag)) return supported(tag);
+    }
+    return 'en';
+  }
+
+  let locale = detect();
+
+  function t(key, vars) {
+    const text = CATALOGS[locale][key] ?? CATALOGS.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (_, v) => (vars && vars[v] !== undefined ? String(vars[v]) : ''));
+  }
+
+  function has(key) {
+    return key in CATALOGS.en;
+  }
+
+  function apply(root) {
+    const scope = root || document;
+    scope.querySelectorAll('[data-i18n]').forEach((node) => { node.textContent = t(node.dataset.i18n); });
+    scope.querySelectorAll('[data-i18n-placeholder]').forEach((node) => {
+      node.setAttribute('placeholder', t(node.dataset.i18nPlaceholder));
+    });
+    scope.querySelectorAll('[data-i18n-label]').forEach((node) => {
+      node.setAttribute('aria-label', t(node.dataset.i18nLabel));
+    });
+    document.documentElement.lang = locale;
+  }
+
+  function setLocale(next) {
+    const lang = supported(next);
+    if (!lang || lang === locale) return;
+    locale = lang;
+    try { localStorage.setItem(STORAGE_KEY, lang); } catch (_) {}
+    apply();
+    listeners.forEach((fn) => fn(locale));
+  }
+
+  window.MantraI18n = {
+    locales: Object.keys(CATALOGS),
+    get locale() { return locale; },
+    name: (lang) => CATALOGS[lang]['language.name'],
+    t,
+    has,
+    apply,
+    setLocale,
+    onChange: (fn) => listeners.push(fn),
+  };
+})();
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Searches the pairing audit log (AUDIT_DIR) and prints matching records as JSONL.
+//
+//   mantra-audit --phone 254700000001
+//   mantra-audit --ip 203.0.113.0/24 --since 2026-01-01
+//
+// --phone is hashed with AUDIT_SECRET, the same way the server does, so it matches without the number on disk.
+const { parseArgs } = require('util');
+
+const { queryAudit } = require('../lib/audit');
+
+const USAGE = `Usage: mantra-audit [--phone <number> | --phone-hash <hex>] [--ip <addr|cidr>] [--tenant <id>]
+                    [--outcome <outcome>] [--since <date>] [--until <date>] [--limit <n>] [--dir <dir>]
+
+  --phone <number>    Records for this phone number (needs AUDIT_SECRET)
+  --phone-hash <hex>  Records for this HMAC, as stored in the log
+  --ip <addr|cidr>    Client address or range, e.g. 203.0.113.7 or 2001:db8::/32
+  --tenant <id>       API key tenant
+  --outcome <o>       exported, failed, cancelled, ended or rejected
+  --since / --until   Only attempts created in this window (any Date.parse format)
+  --limit <n>         Only the newest n matches
+  --dir <dir>         Audit directory (default: AUDIT_DIR)`;
+
+async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      args: argv,
+      options: {
+        phone: { type: 'string' },
+        'phone-hash': { type: 'string' },
+        ip: { type: 'string' },
+        tenant: { type: 'string' },
+        outcome: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        limit: { type: 'string' },
+        dir: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  const dir = args.dir || env.AUDIT_DIR;
+  if (!dir) {
+    stderr.write('Set AUDIT_DIR or pass --dir.\n');
+    return 2;
+  }
+
+  try {
+    const records = await queryAudit(
+      dir,
+      {
+        phone: args.phone,
+        phoneHash: args['phone-hash'],
+        ip: args.ip,
+        tenant: args.tenant,
+        outcome: args.outcome,
+        since: args.since,
+        until: args.until,
+        limit: args.limit,
+      },
+      { secret: String(env.AUDIT_SECRET || '').trim() }
+    );
+    for (const r of records) stdout.write(`${JSON.stringify(r)}\n`);
+    return 0;
+  } catch (e) {
+    stderr.write(`${e.message}\n`);
+    return 2;
+  }
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => process.exit(code));
+}
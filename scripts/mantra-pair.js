@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// Headless pairing for boxes without a browser (e.g. over SSH).
+//
+//   mantra-pair --qr [--stdout] [--out <file>] [--self]
+//   mantra-pair --code <phone> [--stdout] [--out <file>] [--self]
+//
+// The QR / pairing code and progress go to stderr so stdout carries nothing but the token(s).
+// Export settings (EXPORT_ENCRYPTED, EXPORT_BUNDLE, SESSION_SECRET, ...) come from the same env vars as the server.
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const fs = require('fs-extra');
+const pino = require('pino');
+const QRCode = require('qrcode');
+
+const { createPairServer } = require('../lib');
+const { optionsFromEnv } = require('../lib/env');
+
+const EXIT = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  logged_out: 3,
+  unavailable: 4,
+  forbidden: 5,
+  expired: 6,
+};
+
+// session_error codes (lib/errors.js) the scripts calling us care about; anything else is EXIT.error.
+const EXIT_FOR_CODE = {
+  WA_LOGGED_OUT: EXIT.logged_out,
+  WA_UNAVAILABLE: EXIT.unavailable,
+  CODE_UNAVAILABLE: EXIT.forbidden,
+  SESSION_EXPIRED: EXIT.expired,
+  IDLE_TIMEOUT: EXIT.expired,
+};
+
+const USAGE = `Usage: mantra-pair (--qr | --code <phone>) [--stdout] [--out <file>] [--self] [--timeout <seconds>]
+
+  --qr              Pair by scanning a QR code drawn in this terminal
+  --code <phone>    Pair with a pairing code for <phone> (international format, country code first)
+  --stdout          Print the token(s) to stdout (default when no other output is given)
+  --out <file>      Write the token(s) to <file> (mode 600)
+  --self            Send the token(s) to the paired account's self-chat
+  --timeout <sec>   Give up after this many seconds (default: SESSION_TTL_MS)
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 logged out, 4 WhatsApp unavailable (503),
+            5 pairing code forbidden (403), 6 expired`;
+
+function stdoutAdapter(stdout) {
+  return {
+    name: 'stdout',
+    async deliver({ tokens }) {
+      stdout.write(`${tokens.join('\n')}\n`);
+    },
+  };
+}
+
+// Same temp file + rename as the server's file drop, so the file is never seen half-written.
+function outFileAdapter(file) {
+  return {
+    name: 'out',
+    async deliver({ tokens }) {
+      const target = path.resolve(file);
+      const tmp = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fs.ensureDir(path.dirname(target));
+        await fs.writeFile(tmp, `${tokens.join('\n')}\n`, { mode: 0o600 });
+        await fs.rename(tmp, target);
+      } catch (e) {
+        await fs.remove(tmp).catch(() => {});
+        throw e;
+      }
+    },
+  };
+}
+
+// Returns the exit code. `wa` swaps the WhatsApp socket factory (tests).
+async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, wa } = {}) {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      args: argv,
+      options: {
+        qr: { type: 'boolean' },
+        code: { type: 'string' },
+        stdout: { type: 'boolean' },
+        out: { type: 'string' },
+        self: { type: 'boolean' },
+        timeout: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return EXIT.usage;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT.ok;
+  }
+  if (Boolean(args.qr) === (args.code !== undefined)) {
+    stderr.write(`Pass exactly one of --qr or --code <phone>.\n\n${USAGE}\n`);
+    return EXIT.usage;
+  }
+  const timeoutSec = args.timeout === undefined ? null : Number(args.timeout);
+  if (timeoutSec !== null && !(timeoutSec > 0)) {
+    stderr.write('--timeout must be a positive number of seconds.\n');
+    return EXIT.usage;
+  }
+
+  const adapters = [];
+  if (args.out) adapters.push(outFileAdapter(args.out));
+  if (args.stdout || (!args.out && !args.self)) adapters.push(stdoutAdapter(stdout));
+  const targets = [...adapters.map((a) => a.name), ...(args.self ? ['self'] : [])];
+
+  let pair;
+  try {
+    const base = optionsFromEnv(env, { baseDir: path.join(os.tmpdir(), 'mantra-pair-cli') });
+    pair = createPairServer({
+      ...base,
+      // Logs go to stderr with everything else that isn't a token.
+      logger: pino({ level: String(env.LOG_LEVEL || 'warn') }, pino.destination(2)),
+      apiKey: '',
+      apiKeys: [],
+      sessionStore: 'memory',
+      ...(timeoutSec ? { sessionTtlMs: timeoutSec * 1000, sessionIdleTtlMs: timeoutSec * 1000 } : {}),
+      delivery: { ...base.delivery, targets, allowed: [], adapters },
+      ...(wa ? { wa } : {}),
+    });
+  } catch (e) {
+    stderr.write(`${e.message}\n`);
+    return EXIT.usage;
+  }
+
+  await pair.start();
+  let s;
+  try {
+    s = pair.createSession({ method: args.qr ? 'qr' : 'code', phone: args.code, delivery: targets });
+  } catch (e) {
+    await pair.stop();
+    if (e.name !== 'PairRequestError') throw e;
+    stderr.write(`${e.message}\n`);
+    return EXIT.usage;
+  }
+
+  const code = await new Promise((resolve) => {
+    s.on('status', ({ status, retry, maxRetries }) => {
+      if (status === 'retrying') stderr.write(`Connection dropped, retrying (${retry}/${maxRetries})...\n`);
+      if (status === 'connected') stderr.write('Connected. Exporting session...\n');
+    });
+    s.on('qr', () => {
+      QRCode.toString(s.lastQrText, { type: 'terminal', small: true })
+        .then((art) => stderr.write(`\nScan with WhatsApp -> Linked devices -> Link a device:\n${art}\n`))
+        .catch((e) => stderr.write(`Failed to draw QR: ${e.message}\n`));
+    });
+    s.on('code', ({ code: pairingCode }) => {
+      stderr.write(`\nPairing code: ${pairingCode}\nWhatsApp -> Linked devices -> Link with phone number.\n`);
+    });
+    s.on('exported', ({ delivered, failed }) => {
+      if (failed.length) stderr.write(`Delivered to ${delivered.join(', ')}; failed: ${failed.join(', ')}\n`);
+      else stderr.write(`Delivered to ${delivered.join(', ')}.\n`);
+      resolve(EXIT.ok);
+    });
+    s.on('session_error', ({ message, code: errorCode }) => {
+      stderr.write(`Error: ${message} [${errorCode}]\n`);
+      resolve(EXIT_FOR_CODE[errorCode] ?? EXIT.error);
+    });
+  });
+
+  await pair.stop();
+  return code;
+}
+
+module.exports = { EXIT, run };
+
+if (require.main === module) {
+  process.on('SIGINT', () => process.exit(130));
+  run(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((e) => {
+      console.error(e.message);
+      process.exit(EXIT.error);
+    });
+}
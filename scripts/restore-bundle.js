@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Restores a MantraBundle~ / MantraBundleEnc~ export into a Baileys auth dir.
+//
+//   node scripts/restore-bundle.js <outDir> [tokensFile]
+//
+// Tokens are read from tokensFile (or stdin), separated by whitespace. Encrypted bundles
+// need the SESSION_SECRET that was used to export them (or SESSION_SECRETS_RETIRED after a rotation).
+const fs = require('fs-extra');
+
+const { isBundleToken, restoreBundle } = require('../lib/bundle');
+const { keyringFromEnv } = require('../lib/tokens');
+
+async function readInput(file) {
+  if (file) return fs.readFile(file, 'utf8');
+  let data = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) data += chunk;
+  return data;
+}
+
+async function main() {
+  const [outDir, file] = process.argv.slice(2);
+  if (!outDir) {
+    console.error('Usage: restore-bundle <outDir> [tokensFile]');
+    process.exit(2);
+  }
+
+  const tokens = (await readInput(file))
+    .replace(/```/g, ' ')
+    .split(/\s+/)
+    .filter(isBundleToken);
+
+  const bundle = await restoreBundle(tokens, outDir, { keyring: keyringFromEnv(process.env) });
+  console.log(`Restored ${Object.keys(bundle.files).length} file(s) to ${outDir}`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+
+const express = require('express');
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+const { openStream } = require('./helpers/sse');
+
+describe('admin API', () => {
+  const fake = createFakeSocketFactory();
+  const pair = createPairServer({
+    logger: pino({ level: 'silent' }),
+    authState: 'memory',
+    adminKey: 'admin-secret',
+    codeRequestDelayMs: 0,
+    wa: fake,
+  });
+  let srv;
+  let url;
+
+  function admin(path, init = {}) {
+    return fetch(`${url}/admin/api${path}`, { ...init, headers: { 'x-admin-key': 'admin-secret', ...init.headers } });
+  }
+
+  before(async () => {
+    await pair.start();
+    const app = express();
+    app.use(express.json());
+    app.use('/admin/api', pair.adminRouter());
+    srv = app.listen(0);
+    await new Promise((resolve) => srv.once('listening', resolve));
+    url = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await pair.stop();
+    srv.closeAllConnections();
+    await new Promise((resolve) => srv.close(resolve));
+  });
+
+  it('needs the admin key', async () => {
+    const res = await admin('/sessions', { headers: { 'x-admin-key': 'wrong' } });
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'UNAUTHORIZED');
+  });
+
+  it('is off without an admin key', async () => {
+    const other = createPairServer({ logger: pino({ level: 'silent' }), authState: 'memory', wa: fake });
+    const app = express();
+    app.use('/admin/api', other.adminRouter());
+    const s = app.listen(0);
+    await new Promise((resolve) => s.once('listening', resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${s.address().port}/admin/api/sessions`);
+      assert.equal(res.status, 404);
+      assert.equal((await res.json()).code, 'ADMIN_DISABLED');
+    } finally {
+      s.closeAllConnections();
+      await new Promise((resolve) => s.close(resolve));
+    }
+  });
+
+  it('lists sessions with masked phones and redacted timelines', async () => {
+    const s = pair.createSession({ method: 'code', phone: '254700000009' });
+    await new Promise((resolve) => s.once('code', resolve));
+
+    const list = await (await admin('/sessions')).json();
+    const row = list.sessions.find((r) => r.id === s.id);
+    assert.equal(row.phone, '2547*****009');
+    assert.equal(row.status, 'requesting_code');
+    assert.equal(row.subscribers, 0);
+    assert.equal(list.health.activeSessions, 1);
+
+    const detail = await (await admin(`/sessions/${s.id}`)).json();
+    const code = detail.events.find((e) => e.event === 'code');
+    assert.equal(code.data.code, '[redacted]');
+
+    const stream = openStream(`${url}/admin/api/sessions/${s.id}/events?key=admin-secret`);
+    await stream.ready;
+    const entry = await stream.waitFor('entry', (d) => d.event === 'code');
+    assert.equal(entry.data.code, '[redacted]');
+    // An operator watching is not a client: no subscriber, and the sse target still sees nobody listening.
+    const watched = (await (await admin('/sessions')).json()).sessions.find((r) => r.id === s.id);
+    assert.equal(watched.subscribers, 0);
+    assert.equal(s.listenerCount('stream'), 0);
+    stream.close();
+    await s.cleanup();
+  });
+
+  it('terminates a session and groups failures by disconnect reason', async () => {
+    const s = pair.createSession({ method: 'qr' });
+    await fake.socket(fake.sockets.length + 1);
+    const errors = [];
+    s.on('session_error', (e) => errors.push(e));
+
+    const res = await admin(`/sessions/${s.id}`, { method: 'DELETE' });
+    assert.equal(res.status, 200);
+    assert.equal(errors[0].code, 'ADMIN_TERMINATED');
+    assert.equal(pair.getSession(s.id), null);
+    assert.equal((await admin(`/sessions/${s.id}`)).status, 404);
+
+    const failures = await (await admin('/failures')).json();
+    assert.deepEqual(failures.groups[0], {
+      disconnectReason: 'none',
+      count: 1,
+      codes: { ADMIN_TERMINATED: 1 },
+      lastAt: failures.groups[0].lastAt,
+    });
+    assert.equal(failures.recent[0].id, s.id);
+  });
+});
@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+
+const pino = require('pino');
+
+const { createApiKeyRegistry, hashKey } = require('../lib/api-keys');
+const { createPairServer } = require('../lib');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+const acme = { id: 'acme-1', tenant: 'acme', key: 'acme-secret', methods: ['qr'], dailyQuota: 2 };
+const beta = { id: 'beta-1', tenant: 'beta', keyHash: hashKey('beta-secret'), rateLimit: { windowMs: 1000, max: 1 } };
+
+describe('API key registry', () => {
+  it('authenticates by key or hash and rejects expired keys', () => {
+    const keys = createApiKeyRegistry([acme, beta, { tenant: 'old', key: 'old', expiresAt: '2020-01-01T00:00:00Z' }]);
+    assert.equal(keys.authenticate('acme-secret').entry.tenant, 'acme');
+    assert.equal(keys.authenticate('beta-secret').entry.id, 'beta-1');
+    assert.deepEqual(keys.authenticate('nope'), { ok: false, code: 'UNAUTHORIZED', error: 'Unauthorized' });
+    assert.equal(keys.authenticate('old').error, 'API key expired');
+  });
+
+  it('meters per-key rate limits and daily quotas', () => {
+    const keys = createApiKeyRegistry([acme, beta]);
+    const a = keys.authenticate('acme-secret').entry;
+    const b = keys.authenticate('beta-secret').entry;
+    const t = Date.UTC(2026, 0, 1, 12);
+
+    assert.equal(keys.consume(b, t), null);
+    assert.deepEqual(keys.consume(b, t + 10), {
+      code: 'RATE_LIMITED',
+      error: 'Rate limit exceeded for this API key. Try again shortly.',
+      retryAfterMs: 990,
+    });
+    assert.equal(keys.consume(b, t + 1000), null);
+
+    assert.equal(keys.consume(a, t), null);
+    assert.equal(keys.consume(a, t), null);
+    assert.equal(keys.consume(a, t).code, 'QUOTA_EXCEEDED');
+    assert.equal(keys.consume(a, t + 24 * 60 * 60_000), null);
+  });
+
+  it('reports keys that a reload drops or revokes', () => {
+    const keys = createApiKeyRegistry([acme, beta]);
+    const dropped = keys.set([{ ...acme, revoked: true }]);
+    assert.deepEqual(dropped.map((e) => e.id).sort(), ['acme-1', 'beta-1']);
+    assert.equal(keys.authenticate('acme-secret').ok, false);
+  });
+});
+
+describe('tenant sessions', () => {
+  const fake = createFakeSocketFactory();
+  const pair = createPairServer({
+    logger: pino({ level: 'silent' }),
+    authState: 'memory',
+    codeRequestDelayMs: 5,
+    apiKeys: [acme, beta, { id: 'beta-2', tenant: 'beta', key: 'beta-other' }],
+    wa: fake,
+  });
+  const key = (k) => pair.apiKeys.authenticate(k).entry;
+
+  before(() => pair.start());
+  after(() => pair.stop());
+
+  it('tags sessions with the tenant and enforces key scopes', () => {
+    const s = pair.createSession({ method: 'qr', apiKey: key('acme-secret') });
+    assert.equal(s.tenant, 'acme');
+    assert.equal(s.keyId, 'acme-1');
+    assert.match(pair.metrics.render(), /^mantra_pair_sessions_created_total\{method="qr",tenant="acme"\} 1$/m);
+
+    assert.throws(
+      () => pair.createSession({ method: 'code', phone: '254700000001', apiKey: key('acme-secret') }),
+      { name: 'PairRequestError', status: 403 }
+    );
+  });
+
+  it('ends the live sessions of a revoked key, not those of the tenant\'s other keys', async () => {
+    const mine = pair.createSession({ method: 'qr', apiKey: key('beta-secret') });
+    const errors = [];
+    mine.on('session_error', (e) => errors.push(e));
+    const sibling = pair.createSession({ method: 'qr', apiKey: key('beta-other') });
+
+    assert.equal(await pair.revokeApiKey('beta-1'), 1);
+    assert.deepEqual(errors, [{ message: 'API key revoked.', code: 'KEY_REVOKED', remediation: 'contact_admin' }]);
+    assert.equal(pair.apiKeys.authenticate('beta-secret').ok, false);
+    assert.ok([...pair.sessions.values()].every((s) => s.keyId !== 'beta-1'));
+    assert.equal(pair.sessions.get(sibling.id), sibling);
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const fs = require('fs-extra');
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { createAuditLog, hashPhone, listAuditFiles, queryAudit } = require('../lib/audit');
+const { run } = require('../scripts/mantra-audit');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+const SECRET = 'audit-test-secret';
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mantra-audit-'));
+
+describe('audit log', () => {
+  after(() => fs.remove(tmp));
+
+  it('records the outcome of each attempt without the phone number, code or token', async () => {
+    const dir = path.join(tmp, 'e2e');
+    const fake = createFakeSocketFactory();
+    const pair = createPairServer({
+      logger: pino({ level: 'silent' }),
+      authState: 'memory',
+      codeRequestDelayMs: 5,
+      exportDelayMs: 5,
+      cleanupDelayMs: 5,
+      audit: { dir, secret: SECRET },
+      wa: fake,
+    });
+    await pair.start();
+
+    assert.throws(() => pair.createSession({ method: 'code', phone: '123', clientIp: '198.51.100.1' }));
+    const s = pair.createSession({ method: 'code', phone: '+254 700 000 001', clientIp: '203.0.113.7' });
+    await new Promise((resolve) => s.once('code', resolve));
+    (await fake.socket(1)).open('254700000001');
+    await new Promise((resolve) => s.once('exported', resolve));
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    await pair.stop();
+    await pair.audit.flush();
+
+    const raw = (await Promise.all((await listAuditFiles(dir)).map((f) => fs.readFile(f, 'utf8')))).join('');
+    assert.doesNotMatch(raw, /254700000001|ABCD|Mantra/);
+
+    const records = await queryAudit(dir);
+    assert.deepEqual(
+      records.map((r) => r.outcome),
+      ['rejected', 'exported']
+    );
+    assert.equal(records[0].errorCode, 'INVALID_PHONE');
+    assert.equal(records[1].sessionId, s.id);
+    assert.equal(records[1].phoneHash, hashPhone(SECRET, '254700000001'));
+    assert.equal(records[1].format, 'legacy');
+
+    assert.equal((await queryAudit(dir, { phone: '254700000001' }, { secret: SECRET })).length, 1);
+    assert.equal((await queryAudit(dir, { ip: '203.0.113.0/24' })).length, 1);
+    assert.equal((await queryAudit(dir, { ip: '192.0.2.0/24' })).length, 0);
+    assert.equal((await queryAudit(dir, { outcome: 'rejected' }))[0].ip, '198.51.100.1');
+  });
+
+  it('hashes refused numbers the way accepted sessions do', async () => {
+    const dir = path.join(tmp, 'national');
+    const pair = createPairServer({
+      logger: pino({ level: 'silent' }),
+      authState: 'memory',
+      audit: { dir, secret: SECRET },
+      phoneThrottle: { deny: ['254712345678'] },
+      wa: createFakeSocketFactory(),
+    });
+    await pair.start();
+    assert.throws(() => pair.createSession({ method: 'code', phone: '0712 345 678', country: 'KE' }), { code: 'PHONE_DENIED' });
+    await pair.stop();
+    await pair.audit.flush();
+
+    const [record] = await queryAudit(dir, { phone: '+254 712 345 678' }, { secret: SECRET });
+    assert.equal(record.outcome, 'rejected');
+    assert.equal(record.errorCode, 'PHONE_DENIED');
+  });
+
+  it('rolls over to a new file past maxBytes', async () => {
+    const dir = path.join(tmp, 'rotate');
+    const audit = createAuditLog({ dir, secret: SECRET, maxBytes: 400 });
+    for (let i = 0; i < 5; i += 1) audit.rejected({ method: 'code', phone: `25470000000${i}` }, 'INVALID_PHONE');
+    await audit.flush();
+
+    const files = await listAuditFiles(dir);
+    assert.ok(files.length > 1);
+    assert.match(path.basename(files[1]), /^audit-\d{4}-\d{2}-\d{2}\.1\.jsonl$/);
+    assert.equal((await queryAudit(dir)).length, 5);
+  });
+
+  it('is searchable from the command line', async () => {
+    const dir = path.join(tmp, 'rotate');
+    let out = '';
+    const code = await run(['--phone', '254700000003', '--dir', dir], {
+      env: { AUDIT_SECRET: SECRET },
+      stdout: { write: (c) => (out += c) },
+      stderr: { write: () => {} },
+    });
+    assert.equal(code, 0);
+    const lines = out.trim().split('\n').map((l) => JSON.parse(l));
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].phoneHash, hashPhone(SECRET, '254700000003'));
+  });
+
+  it('requires a secret when enabled', () => {
+    assert.throws(() => createPairServer({ logger: pino({ level: 'silent' }), audit: { dir: tmp } }), /AUDIT_SECRET/);
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { createCircuitBreaker } = require('../lib/breaker');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+const config = { windowMs: 60_000, minSamples: 3, failureRatio: 0.6, openMs: 10_000 };
+
+describe('circuit breaker', () => {
+  it('opens on a failure ratio, probes once when half open and closes on success', () => {
+    const b = createCircuitBreaker(config);
+    b.record('code', false, 0);
+    b.record('code', true, 1);
+    assert.equal(b.check('code', 2), null);
+    b.record('code', false, 2);
+    assert.equal(b.state('code', 2), 'open');
+    assert.deepEqual(b.check('code', 3), { retryAfterMs: 9_999 });
+    assert.equal(b.check('qr', 3), null);
+
+    assert.equal(b.state('code', 10_002), 'half_open');
+    assert.equal(b.check('code', 10_002), null);
+    b.admit('code', 10_002);
+    assert.ok(b.check('code', 10_003), 'only one probe at a time');
+
+    b.record('code', true, 10_500);
+    assert.equal(b.state('code', 10_500), 'closed');
+    assert.equal(b.check('code', 10_500), null);
+  });
+
+  it('reopens when the probe fails and forgets old outcomes', () => {
+    const b = createCircuitBreaker(config);
+    [0, 1, 2].forEach((at) => b.record('code', false, at));
+    b.record('code', false, 10_002);
+    assert.equal(b.state('code', 10_003), 'open');
+
+    const fresh = createCircuitBreaker(config);
+    fresh.record('qr', false, 0);
+    fresh.record('qr', false, 1);
+    fresh.record('qr', false, 70_000);
+    assert.equal(fresh.state('qr', 70_000), 'closed');
+  });
+
+  it('counts connections and WhatsApp failures only', () => {
+    const b = createCircuitBreaker({ ...config, minSamples: 2 });
+    const s = { method: 'code' };
+    b.observe(s, 'session_error', { code: 'SESSION_EXPIRED' });
+    b.observe(s, 'status', { status: 'cancelled' });
+    b.observe(s, 'session_error', { code: 'WA_UNAVAILABLE' });
+    assert.equal(b.state('code'), 'closed');
+    b.observe(s, 'session_error', { code: 'CODE_UNAVAILABLE' });
+    assert.equal(b.state('code'), 'open');
+    assert.equal(b.snapshot().code.state, 'open');
+  });
+});
+
+describe('circuit breaker on session creation', () => {
+  async function withServer(breaker, fn) {
+    const pair = createPairServer({
+      logger: pino({ level: 'silent' }),
+      authState: 'memory',
+      breaker: { minSamples: 1, ...breaker },
+      wa: createFakeSocketFactory(),
+    });
+    await pair.start();
+    try {
+      pair.breaker.record('code', false);
+      await fn(pair);
+    } finally {
+      await pair.stop();
+    }
+  }
+
+  it('refuses code sessions while the circuit is open', async () => {
+    await withServer({}, async (pair) => {
+      assert.throws(() => pair.createSession({ method: 'code', phone: '254700000001' }), {
+        code: 'CIRCUIT_OPEN',
+        status: 503,
+        info: { code: 'CIRCUIT_OPEN', remediation: 'switch_method' },
+      });
+      assert.equal(pair.createSession({ method: 'qr' }).method, 'qr');
+
+      const status = pair.methodStatus();
+      assert.equal(status.code.available, false);
+      assert.match(status.code.advice, /QR/);
+      assert.equal(status.qr.available, true);
+      assert.equal(pair.health().breaker.code.state, 'open');
+    });
+  });
+
+  it('turns code requests into QR sessions with codeFallback "qr"', async () => {
+    await withServer({ codeFallback: 'qr' }, async (pair) => {
+      const s = pair.createSession({ method: 'code', phone: '254700000001' });
+      assert.equal(s.method, 'qr');
+      assert.equal(s.fallbackFrom, 'code');
+      assert.equal(s.phone, null);
+      assert.equal(pair.methodStatus().code.fallback, 'qr');
+    });
+  });
+});
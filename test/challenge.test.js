@@ -0,0 +1,168 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { after, before, describe, it } = require('node:test');
+
+const express = require('express');
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { createCaptchaVerifier, createPowVerifier } = require('../lib/challenge');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+// Runs public/pow-worker.js the way the browser does, minus the Worker thread.
+function solve(challenge) {
+  const self = {};
+  const context = vm.createContext({ self, TextEncoder, Uint32Array, Uint8Array, DataView, Math, String });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'pow-worker.js'), 'utf8'), context);
+  let result;
+  self.postMessage = (m) => {
+    result = m;
+  };
+  self.onmessage({ data: challenge });
+  return result.solution;
+}
+
+async function listen(app) {
+  const srv = app.listen(0);
+  await new Promise((resolve) => srv.once('listening', resolve));
+  return { srv, url: `http://127.0.0.1:${srv.address().port}` };
+}
+
+async function close(srv) {
+  srv.closeAllConnections();
+  await new Promise((resolve) => srv.close(resolve));
+}
+
+describe('proof-of-work verifier', () => {
+  it('accepts a solution from the browser worker once', () => {
+    const v = createPowVerifier({ secret: 's', difficulty: 8 });
+    const challenge = v.issue();
+    const solution = solve(challenge);
+
+    assert.deepEqual(v.verify({ token: challenge.token, solution }), { ok: true });
+    assert.match(v.verify({ token: challenge.token, solution }).error, /already used/);
+  });
+
+  it('rejects wrong solutions, forged tokens and expired challenges', () => {
+    const v = createPowVerifier({ secret: 's', difficulty: 24 });
+    const { token } = v.issue();
+    assert.match(v.verify({ token, solution: '0' }).error, /wrong/);
+    assert.match(createPowVerifier({ secret: 'other' }).verify({ token, solution: '0' }).error, /Invalid/);
+    assert.match(v.verify({ token: 'garbage' }).error, /Invalid/);
+
+    const expired = createPowVerifier({ secret: 's', difficulty: 0, ttlMs: -1 });
+    assert.match(expired.verify({ token: expired.issue().token, solution: '0' }).error, /expired/);
+  });
+
+  it('raises the difficulty with load', () => {
+    let live = 0;
+    const v = createPowVerifier({ difficulty: 10, maxDifficulty: 12, difficultyStep: 5, load: () => live });
+    assert.equal(v.issue().difficulty, 10);
+    live = 5;
+    assert.equal(v.issue().difficulty, 11);
+    live = 100;
+    assert.equal(v.issue().difficulty, 12);
+  });
+});
+
+describe('challenge gate on POST /api/pair', () => {
+  let provider;
+  let captchaUrl;
+  const seen = [];
+
+  before(async () => {
+    // Local stand-in for a CAPTCHA provider's siteverify endpoint.
+    const stub = express();
+    stub.use(express.urlencoded({ extended: false }));
+    stub.post('/siteverify', (req, res) => {
+      seen.push(req.body);
+      res.json({ success: req.body.response === 'good-token' });
+    });
+    ({ srv: provider, url: captchaUrl } = await listen(stub));
+  });
+
+  after(() => close(provider));
+
+  async function withServer(challenge, fn) {
+    const pair = createPairServer({
+      logger: pino({ level: 'silent' }),
+      authState: 'memory',
+      challenge,
+      wa: createFakeSocketFactory(),
+    });
+    await pair.start();
+    const app = express();
+    app.use(express.json());
+    app.use('/api', pair.router());
+    const { srv, url } = await listen(app);
+    const post = async (body) => {
+      const res = await fetch(`${url}/api/pair`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      return { status: res.status, body: await res.json() };
+    };
+    try {
+      await fn({ url, post });
+    } finally {
+      await pair.stop();
+      await close(srv);
+    }
+  }
+
+  it('reports no challenge when the gate is off', async () => {
+    await withServer({}, async ({ url }) => {
+      assert.deepEqual(await (await fetch(`${url}/api/challenge`)).json(), { ok: true, type: 'none' });
+    });
+  });
+
+  it('requires a solved proof-of-work', async () => {
+    await withServer({ verifier: 'pow', difficulty: 8 }, async ({ url, post }) => {
+      const missing = await post({ method: 'qr' });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.code, 'CHALLENGE_REQUIRED');
+
+      const challenge = await (await fetch(`${url}/api/challenge`)).json();
+      assert.equal(challenge.type, 'pow');
+      assert.equal(challenge.difficulty, 8);
+
+      const proof = { token: challenge.token, solution: solve(challenge) };
+      assert.equal((await post({ method: 'qr', challenge: proof })).status, 200);
+      const replay = await post({ method: 'qr', challenge: proof });
+      assert.equal(replay.status, 403);
+      assert.equal(replay.body.code, 'CHALLENGE_INVALID');
+    });
+  });
+
+  it('swaps in a CAPTCHA verifier', async () => {
+    const verifier = createCaptchaVerifier({ verifyUrl: `${captchaUrl}/siteverify`, secret: 'cap-secret', siteKey: 'site' });
+    await withServer({ verifier }, async ({ url, post }) => {
+      assert.deepEqual(await (await fetch(`${url}/api/challenge`)).json(), {
+        ok: true,
+        type: 'captcha',
+        provider: 'captcha',
+        siteKey: 'site',
+      });
+
+      const bad = await post({ method: 'qr', challenge: { token: 'bad-token' } });
+      assert.equal(bad.status, 403);
+      assert.equal(bad.body.code, 'CHALLENGE_INVALID');
+
+      const ok = await post({ method: 'qr', challenge: { token: 'good-token' } });
+      assert.equal(ok.status, 200);
+      assert.equal(seen.at(-1).secret, 'cap-secret');
+    });
+  });
+
+  it('answers 503 when the CAPTCHA provider is down', async () => {
+    const verifier = createCaptchaVerifier({ verifyUrl: 'http://127.0.0.1:9/siteverify', secret: 'x', timeoutMs: 500 });
+    await withServer({ verifier }, async ({ post }) => {
+      const res = await post({ method: 'qr', challenge: { token: 'good-token' } });
+      assert.equal(res.status, 503);
+      assert.equal(res.body.code, 'CHALLENGE_UNAVAILABLE');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const fs = require('fs-extra');
+
+const { EXIT, run } = require('../scripts/mantra-pair');
+const { decodeToken } = require('../lib');
+const { DisconnectReason, createFakeSocketFactory } = require('./helpers/fake-socket');
+
+const env = {
+  LOG_LEVEL: 'silent',
+  AUTH_STATE: 'memory',
+  MAX_RETRIES: '0',
+  CODE_REQUEST_DELAY_MS: '5',
+  EXPORT_DELAY_MS: '5',
+  CLEANUP_DELAY_MS: '5',
+};
+
+function sink() {
+  const out = {
+    text: '',
+    write(chunk) {
+      out.text += chunk;
+      return true;
+    },
+  };
+  return out;
+}
+
+// Runs the CLI against a fake socket; `script` drives the socket once it exists.
+async function cli(argv, script, fake = createFakeSocketFactory()) {
+  const stdout = sink();
+  const stderr = sink();
+  const done = run(argv, { env, stdout, stderr, wa: fake });
+  if (script) script(await fake.socket(1));
+  return { code: await done, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('mantra-pair CLI', () => {
+  it('rejects missing or conflicting modes with the usage exit code', async () => {
+    assert.equal((await cli([])).code, EXIT.usage);
+    assert.equal((await cli(['--qr', '--code', '254700000001'])).code, EXIT.usage);
+  });
+
+  it('prints the pairing code to stderr and only the token to stdout', async () => {
+    const fake = createFakeSocketFactory();
+    const res = await cli(
+      ['--code', '254700000001'],
+      (sock) => setTimeout(() => sock.open('254700000001'), 30),
+      fake
+    );
+
+    assert.equal(res.code, EXIT.ok);
+    assert.match(res.stderr, /Pairing code: ABCD-1234/);
+    assert.equal((await decodeToken(res.stdout.trim())).creds.me.id, '254700000001:7@s.whatsapp.net');
+    assert.equal(fake.sockets[0].sent.length, 0);
+  });
+
+  it('draws the QR in the terminal and writes the token to --out', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mantra-cli-'));
+    try {
+      const file = path.join(dir, 'session.txt');
+      const res = await cli(['--qr', '--out', file], (sock) => {
+        sock.qr();
+        setTimeout(() => sock.open('254711111111'), 30);
+      });
+
+      assert.equal(res.code, EXIT.ok);
+      assert.match(res.stderr, /Scan with WhatsApp/);
+      assert.equal(res.stdout, '');
+      assert.match(await fs.readFile(file, 'utf8'), /^Mantra~/);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  it('maps failures to their exit codes', async () => {
+    const loggedOut = await cli(['--qr'], (sock) => sock.close(DisconnectReason.loggedOut));
+    assert.equal(loggedOut.code, EXIT.logged_out);
+
+    const unavailable = await cli(['--qr'], (sock) => sock.close(DisconnectReason.unavailableService));
+    assert.equal(unavailable.code, EXIT.unavailable);
+
+    const fake = createFakeSocketFactory();
+    fake.pairingCode = { statusCode: DisconnectReason.forbidden };
+    assert.equal((await cli(['--code', '254700000002'], null, fake)).code, EXIT.forbidden);
+
+    assert.equal((await cli(['--qr', '--timeout', '0.05'])).code, EXIT.expired);
+  });
+});
@@ -0,0 +1,146 @@
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const express = require('express');
+const fs = require('fs-extra');
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { loadConfig } = require('../lib/config');
+const { optionsFromConfig } = require('../lib/env');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+function problems(fn) {
+  try {
+    fn();
+  } catch (e) {
+    assert.equal(e.name, 'ConfigError');
+    return e.errors;
+  }
+  return assert.fail('expected a ConfigError');
+}
+
+describe('config', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mantra-config-'));
+  });
+
+  after(() => fs.remove(dir));
+
+  it('uses the defaults and types what it reads', () => {
+    const { values, sources } = loadConfig({ SESSION_TTL_MS: '60000', EXPORT_BUNDLE: 'yes', LOG_LEVEL: 'WARN', PORT: '' });
+    assert.equal(values.SESSION_TTL_MS, 60_000);
+    assert.equal(values.EXPORT_BUNDLE, true);
+    assert.equal(values.LOG_LEVEL, 'warn');
+    assert.equal(values.PORT, 3000);
+    assert.equal(sources.SESSION_TTL_MS, 'env');
+    assert.equal(sources.PORT, 'default');
+  });
+
+  it('reports every bad setting at once', () => {
+    const errors = problems(() =>
+      loadConfig({ SESSION_TTL_MS: '5m', MAX_RETRIES: '-1', EXPORT_ENCRYPTED: 'maybe', AUTH_STATE: 'disk', DOCS_URL: 'docs' })
+    );
+    assert.deepEqual(errors, [
+      'SESSION_TTL_MS (environment): expected milliseconds as a whole number, got "5m" (did you mean 300000?)',
+      'MAX_RETRIES (environment): must be at least 0, got -1',
+      'DOCS_URL (environment): expected an http(s) URL, got "docs"',
+      'EXPORT_ENCRYPTED (environment): expected true or false, got "maybe"',
+      'AUTH_STATE (environment): expected one of encrypted, files, memory, got "disk"',
+    ]);
+  });
+
+  it('checks settings that depend on each other', () => {
+    const errors = problems(() =>
+      loadConfig({
+        EXPORT_ENCRYPTED: 'true',
+        AUDIT_DIR: dir,
+        RETRY_DELAY_MS: '60000',
+        DELIVERY_TARGETS: 'self,webhook,sse',
+      })
+    );
+    assert.deepEqual(errors, [
+      'EXPORT_ENCRYPTED=true needs SESSION_SECRET to seal tokens',
+      'EXPORT_ENCRYPTED=true needs SESSION_KEY_ID to name the key in token headers',
+      'AUDIT_DIR needs AUDIT_SECRET (phone numbers are stored as HMACs)',
+      'RETRY_DELAY_MAX_MS must be at least RETRY_DELAY_MS',
+      'DELIVERY_TARGETS=webhook needs DELIVERY_WEBHOOK_URL and DELIVERY_WEBHOOK_SECRET',
+      'The "sse" delivery target needs PAIR_API_KEY or API_KEYS_FILE (the stream must be authenticated)',
+    ]);
+    assert.doesNotThrow(() => loadConfig({ EXPORT_ENCRYPTED: 'true', SESSION_SECRET: 's3cret', SESSION_KEY_ID: '2026-10' }));
+    assert.deepEqual(problems(() => loadConfig({ DELIVERY_ALLOWED: 'webhook,file', PAIR_API_KEY: 'k' })), [
+      'DELIVERY_ALLOWED=webhook needs DELIVERY_WEBHOOK_URL and DELIVERY_WEBHOOK_SECRET',
+      'DELIVERY_ALLOWED=file needs DELIVERY_DIR',
+    ]);
+
+    assert.deepEqual(problems(() => loadConfig({ SESSION_STORE: 'file' })), [
+      'SESSION_STORE=file with AUTH_STATE=encrypted needs SESSION_SECRET (the auth state key is derived from it so another instance can resume)',
+    ]);
+    assert.deepEqual(problems(() => loadConfig({ SESSION_STORE: 'file', AUTH_STATE: 'memory' })), [
+      "SESSION_STORE=file needs AUTH_STATE=encrypted or files (AUTH_STATE=memory doesn't survive a restart, so resumed sessions would have no credentials)",
+    ]);
+    assert.doesNotThrow(() => loadConfig({ SESSION_STORE: 'file', SESSION_SECRET: 's3cret' }));
+    assert.doesNotThrow(() => loadConfig({ SESSION_STORE: 'file', AUTH_STATE: 'files' }));
+  });
+
+  it('reads JSON and flat YAML files under the environment', async () => {
+    const json = path.join(dir, 'config.json');
+    await fs.writeJson(json, { SESSION_TTL_MS: 120000, EXPORT_BUNDLE: true, BOT_NAME: 'JsonBot' });
+    const fromJson = loadConfig({ CONFIG_FILE: json, BOT_NAME: 'EnvBot' });
+    assert.equal(fromJson.values.SESSION_TTL_MS, 120_000);
+    assert.equal(fromJson.values.EXPORT_BUNDLE, true);
+    assert.equal(fromJson.values.BOT_NAME, 'EnvBot');
+    assert.equal(fromJson.sources.SESSION_TTL_MS, 'file');
+    assert.equal(fromJson.sources.BOT_NAME, 'env');
+
+    const yaml = path.join(dir, 'config.yaml');
+    await fs.writeFile(yaml, '# pairing\nPAIR_MAX: 40  # per window\nBOT_NAME: "Acme # 1"\nDOCS_URL: ~\n');
+    const fromYaml = loadConfig({ CONFIG_FILE: yaml });
+    assert.equal(fromYaml.values.PAIR_MAX, 40);
+    assert.equal(fromYaml.values.BOT_NAME, 'Acme # 1');
+    assert.equal(fromYaml.sources.DOCS_URL, 'default');
+
+    await fs.writeFile(yaml, 'SESION_TTL_MS: 1000\nbreaker:\n  windowMs: 1\n');
+    assert.deepEqual(problems(() => loadConfig({ CONFIG_FILE: yaml })), [
+      `${yaml}:3: expected "KEY: value" (nested YAML isn't supported)`,
+    ]);
+    await fs.writeFile(yaml, 'SESION_TTL_MS: 1000\n');
+    assert.deepEqual(problems(() => loadConfig({ CONFIG_FILE: yaml })), [
+      `SESION_TTL_MS (${yaml}): unknown setting (did you mean SESSION_TTL_MS?)`,
+    ]);
+  });
+
+  it('shows the effective settings on the admin API without secrets', async () => {
+    const config = loadConfig({ ADMIN_API_KEY: 'admin-secret', SESSION_SECRET: 's3cret', PAIR_MAX: '7' });
+    const pair = createPairServer({
+      ...optionsFromConfig(config, { baseDir: dir }),
+      logger: pino({ level: 'silent' }),
+      authState: 'memory',
+      wa: createFakeSocketFactory(),
+    });
+    assert.equal(pair.options.pairMax, 7);
+
+    const app = express();
+    app.use('/admin/api', pair.adminRouter());
+    const srv = app.listen(0);
+    await new Promise((resolve) => srv.once('listening', resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${srv.address().port}/admin/api/config`, {
+        headers: { 'x-admin-key': 'admin-secret' },
+      });
+      const body = await res.json();
+      assert.deepEqual(body.settings.PAIR_MAX, { value: 7, source: 'env' });
+      assert.deepEqual(body.settings.SESSION_SECRET, { value: '[redacted]', source: 'env' });
+      assert.deepEqual(body.settings.AUDIT_SECRET, { value: '', source: 'default' });
+      assert.doesNotMatch(JSON.stringify(body), /admin-secret|s3cret/);
+    } finally {
+      await pair.stop();
+      srv.closeAllConnections();
+      await new Promise((resolve) => srv.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const { EventEmitter } = require('events');
+
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// A scriptable stand-in for makeWASocket. Tests drive it with qr()/open()/close() and decide in advance
+// what requestPairingCode does via factory.pairingCode: a code string, { statusCode } to fail, or a
+// function of the socket returning either.
+
+function boom(statusCode, message) {
+  const err = new Error(message || `Status ${statusCode}`);
+  err.output = { statusCode };
+  return err;
+}
+
+class FakeSocket {
+  constructor(opts, factory) {
+    this.opts = opts;
+    this.factory = factory;
+    this.ev = new EventEmitter();
+    this.user = null;
+    this.sent = [];
+    this.ended = false;
+    this.pairingRequests = [];
+  }
+
+  qr(data = 'fake-qr-payload') {
+    this.ev.emit('connection.update', { qr: data });
+  }
+
+  // Pairs the fake device: fills in creds.me like Baileys does, saves creds, then reports "open".
+  open(number = '254700000001') {
+    this.user = { id: `${number}:7@s.whatsapp.net`, name: 'Test' };
+    this.opts.auth.creds.me = this.user;
+    this.opts.auth.creds.registered = true;
+    this.ev.emit('creds.update', { me: this.user });
+    this.ev.emit('connection.update', { connection: 'open' });
+  }
+
+  close(statusCode, message = 'Connection Failure') {
+    const error = statusCode === undefined ? undefined : boom(statusCode, message);
+    this.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+  }
+
+  async requestPairingCode(phone) {
+    this.pairingRequests.push(phone);
+    const { pairingCode } = this.factory;
+    const next = typeof pairingCode === 'function' ? pairingCode(this) : pairingCode;
+    if (next && typeof next === 'object') throw boom(next.statusCode, next.message);
+    return next;
+  }
+
+  async sendMessage(jid, content) {
+    this.sent.push({ jid, content });
+    return { key: { id: `msg_${this.sent.length}` } };
+  }
+
+  async end() {
+    this.ended = true;
+  }
+}
+
+function createFakeSocketFactory() {
+  let waiters = [];
+  const factory = {
+    sockets: [],
+    pairingCode: 'ABCD1234',
+    makeSocket: (opts) => {
+      const sock = new FakeSocket(opts, factory);
+      factory.sockets.push(sock);
+      const ready = waiters.filter((w) => w.n <= factory.sockets.length);
+      waiters = waiters.filter((w) => w.n > factory.sockets.length);
+      ready.forEach((w) => w.resolve(factory.sockets[w.n - 1]));
+      return sock;
+    },
+    fetchVersion: async () => ({ version: [2, 3000, 1] }),
+    // Resolves with the nth socket (1-based) the server creates, now or later.
+    socket(n) {
+      if (factory.sockets.length >= n) return Promise.resolve(factory.sockets[n - 1]);
+      return new Promise((resolve) => waiters.push({ n, resolve }));
+    },
+  };
+  return factory;
+}
+
+module.exports = { DisconnectReason, FakeSocket, createFakeSocketFactory, boom };
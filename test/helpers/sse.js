@@ -0,0 +1,71 @@
+const http = require('http');
+
+// Minimal SSE reader for tests: collects { id, event, data } and lets a test wait for a specific one.
+function openStream(url, headers = {}) {
+  const events = [];
+  let waiters = [];
+  let req;
+
+  const check = () => {
+    waiters = waiters.filter((w) => {
+      const hit = events.slice(w.from).find((e) => e.event === w.event && w.match(e.data));
+      if (hit) w.resolve(hit.data);
+      return !hit;
+    });
+  };
+
+  const ready = new Promise((resolve, reject) => {
+    req = http.get(url, { headers }, (res) => {
+      res.setEncoding('utf8');
+      if (res.statusCode !== 200) {
+        let body = '';
+        res.on('data', (c) => {
+          body += c;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body || '{}') }));
+        return;
+      }
+
+      let buf = '';
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let i;
+        while ((i = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, i);
+          buf = buf.slice(i + 2);
+          const id = /^id: (.*)$/m.exec(block)?.[1];
+          const event = /^event: (.*)$/m.exec(block)?.[1];
+          const data = /^data: (.*)$/m.exec(block)?.[1];
+          events.push({ id, event, data: data ? JSON.parse(data) : {} });
+        }
+        check();
+      });
+      resolve({ status: 200 });
+    });
+    req.on('error', reject);
+  });
+
+  return {
+    events,
+    ready,
+    // Resolves with the data of the first matching event (past or future).
+    waitFor(event, match = () => true, timeoutMs = 5_000) {
+      return new Promise((resolve, reject) => {
+        const t = setTimeout(() => reject(new Error(`Timed out waiting for "${event}" event`)), timeoutMs);
+        waiters.push({
+          event,
+          match,
+          from: 0,
+          resolve: (d) => {
+            clearTimeout(t);
+            resolve(d);
+          },
+        });
+        check();
+      });
+    },
+    close: () => req.destroy(),
+  };
+}
+
+module.exports = { openStream };
@@ -0,0 +1,559 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const express = require('express');
+const pino = require('pino');
+const WebSocket = require('ws');
+
+const { createPairServer, decodeToken } = require('../lib');
+const { DisconnectReason, createFakeSocketFactory } = require('./helpers/fake-socket');
+const { openStream } = require('./helpers/sse');
+
+let fake;
+const pairServer = createPairServer({
+  logger: pino({ level: 'silent' }),
+  authState: 'memory',
+  maxRetries: 2,
+  retryDelayMs: 10,
+  retryDelayMaxMs: 20,
+  // Long enough for the test's event stream to subscribe before the code is requested.
+  codeRequestDelayMs: 150,
+  exportDelayMs: 5,
+  cleanupDelayMs: 20,
+  // The suite creates more sessions than the default limit allows per window.
+  pairMax: 100,
+  // Each test gets a fresh fake factory; look it up at call time.
+  wa: { makeSocket: (opts) => fake.makeSocket(opts), fetchVersion: () => fake.fetchVersion() },
+});
+const { sessions } = pairServer;
+
+const app = express();
+app.use(express.json());
+app.use('/api', pairServer.router());
+
+let server;
+let baseUrl;
+let wsStream;
+const streams = [];
+
+async function pair(body) {
+  const res = await fetch(`${baseUrl}/api/pair`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function events(id, key, headers) {
+  const stream = openStream(`${baseUrl}/api/sessions/${id}/events?key=${encodeURIComponent(key || '')}`, headers);
+  streams.push(stream);
+  return stream;
+}
+
+// Creates a session and returns it with its fake socket and an open event stream.
+async function startSession(body) {
+  const res = await pair(body);
+  assert.equal(res.status, 200);
+  const stream = events(res.body.id, res.body.streamKey);
+  await stream.ready;
+  return { id: res.body.id, key: res.body.streamKey, sock: await fake.socket(1), stream };
+}
+
+async function waitUntil(fn, timeoutMs = 2_000) {
+  const start = Date.now();
+  while (!fn()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Condition not met in time');
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((r) => setTimeout(r, 5));
+  }
+}
+
+// Hooks live inside a suite: root-level after() only runs once the event loop is idle.
+describe('pairing server', () => {
+  before(async () => {
+    await pairServer.start();
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    wsStream = pairServer.attachWebSocket(server, { prefix: '/api' });
+  });
+
+  beforeEach(() => {
+    fake = createFakeSocketFactory();
+  });
+
+  after(async () => {
+    await pairServer.stop();
+    streams.forEach((s) => s.close());
+    wsStream.close();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('POST /api/pair', () => {
+    it('rejects an unknown method', async () => {
+      const res = await pair({ method: 'sms' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.ok, false);
+      assert.equal(res.body.code, 'INVALID_METHOD');
+      assert.equal(res.body.remediation, 'fix_request');
+    });
+
+    it('rejects a phone number that is too short', async () => {
+      const res = await pair({ method: 'code', phone: '12345' });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /country code \(7-15 digits\)/);
+      assert.equal(res.body.field, 'phone');
+    });
+
+    it('rejects a delivery target that is not allowed', async () => {
+      const res = await pair({ method: 'qr', delivery: ['webhook'] });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /delivery/i);
+      assert.equal(res.body.field, 'delivery');
+    });
+
+    it('throttles pairing codes per phone number with a Retry-After', async () => {
+      for (let i = 0; i < pairServer.options.phoneThrottle.max; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        assert.equal((await pair({ method: 'code', phone: '254799999999' })).status, 200);
+      }
+      const res = await fetch(`${baseUrl}/api/pair`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ method: 'code', phone: '+254 799 999 999' }),
+      });
+      const body = await res.json();
+      assert.equal(res.status, 429);
+      assert.equal(body.code, 'PHONE_THROTTLED');
+      assert.equal(body.remediation, 'retry_after');
+      assert.equal(Number(res.headers.get('retry-after')), Math.ceil(body.retryAfterMs / 1000));
+    });
+
+    it('creates a session and opens a socket', async () => {
+      const res = await pair({ method: 'qr' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.method, 'qr');
+      assert.ok(sessions.has(res.body.id));
+
+      const sock = await fake.socket(1);
+      assert.equal(sock.opts.usePairingCode, false);
+    });
+  });
+
+  describe('GET /api/sessions/:id/events', () => {
+    it('returns 404 for an unknown session', async () => {
+      const stream = events('sess_missing');
+      const res = await stream.ready;
+      assert.equal(res.status, 404);
+    });
+
+    it('needs the stream key even without API keys', async () => {
+      const { body } = await pair({ method: 'qr' });
+      assert.equal((await events(body.id).ready).status, 401);
+      assert.equal((await events(body.id, 'wrong').ready).status, 401);
+    });
+
+    it('replays the last QR to a late subscriber', async () => {
+      const { body } = await pair({ method: 'qr' });
+      const sock = await fake.socket(1);
+      sock.qr();
+      await waitUntil(() => sessions.get(body.id).lastQr);
+
+      const stream = events(body.id, body.streamKey);
+      const qr = await stream.waitFor('qr');
+      assert.match(qr.qr, /^data:image\/png;base64,/);
+      await stream.waitFor('status', (d) => d.status === 'listening');
+    });
+
+    it('resumes from Last-Event-ID with only the missed events', async () => {
+      const { id, key, sock, stream } = await startSession({ method: 'qr' });
+      sock.qr('first');
+      await stream.waitFor('qr');
+      const lastId = stream.events.find((e) => e.event === 'qr').id;
+      assert.ok(lastId);
+      stream.close();
+
+      sock.qr('second');
+      await waitUntil(() => sessions.get(id).lastQrText === 'second');
+
+      const resumed = events(id, key, { 'Last-Event-ID': lastId });
+      await resumed.waitFor('qr');
+      assert.deepEqual(
+        resumed.events.map((e) => e.event),
+        ['status', 'qr']
+      );
+      assert.equal(resumed.events[0].data.status, 'listening');
+      assert.notEqual(resumed.events[1].id, lastId);
+    });
+
+    it('streams token events live but never replays them', async () => {
+      const { id, key, sock, stream } = await startSession({ method: 'qr' });
+      sock.qr();
+      await stream.waitFor('qr');
+      const lastId = stream.events.find((e) => e.event === 'qr').id;
+
+      sessions.get(id).notify('token', { format: 'legacy', parts: 1, tokens: ['Mantra~secret'] });
+      const live = await stream.waitFor('token');
+      assert.deepEqual(live.tokens, ['Mantra~secret']);
+      assert.ok(stream.events.find((e) => e.event === 'token').id);
+      assert.equal(sessions.get(id).events.some((e) => e.event === 'token'), false);
+
+      const resumed = events(id, key, { 'Last-Event-ID': lastId });
+      await resumed.waitFor('status', (d) => d.status === 'listening');
+      assert.deepEqual(
+        resumed.events.map((e) => e.event),
+        ['status']
+      );
+    });
+
+    it('falls back to the latest code/QR for an id the log does not cover', async () => {
+      const { id, key, sock, stream } = await startSession({ method: 'qr' });
+      sock.qr();
+      await stream.waitFor('qr');
+
+      const resumed = events(id, key, { 'Last-Event-ID': 'stale-7' });
+      await resumed.waitFor('status', (d) => d.status === 'listening');
+      assert.deepEqual(
+        resumed.events.map((e) => e.event),
+        ['qr', 'status']
+      );
+    });
+  });
+
+  describe('WebSocket stream', () => {
+    function openWs(path) {
+      const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}${path}`);
+      const messages = [];
+      ws.on('message', (m) => messages.push(JSON.parse(m)));
+      ws.on('error', () => {});
+      streams.push({ close: () => ws.terminate() });
+      return { ws, messages };
+    }
+
+    it('rejects an unknown session before upgrading', async () => {
+      const { ws } = openWs('/api/sessions/sess_missing/ws');
+      const res = await new Promise((resolve) => ws.on('unexpected-response', (req, r) => resolve(r)));
+      assert.equal(res.statusCode, 404);
+    });
+
+    it('carries the same events as SSE and resumes with lastEventId', async () => {
+      const res = await pair({ method: 'qr' });
+      const sock = await fake.socket(1);
+      const key = encodeURIComponent(res.body.streamKey);
+      const first = openWs(`/api/sessions/${res.body.id}/ws?key=${key}`);
+      await new Promise((resolve) => first.ws.once('open', resolve));
+      await waitUntil(() => first.messages.some((m) => m.event === 'status' && m.data.status === 'listening'));
+
+      sock.qr();
+      await waitUntil(() => first.messages.some((m) => m.event === 'qr'));
+      const qr = first.messages.find((m) => m.event === 'qr');
+      assert.match(qr.data.qr, /^data:image\/png;base64,/);
+      assert.ok(qr.id);
+      first.ws.close();
+
+      sock.qr('again');
+      await waitUntil(() => sessions.get(res.body.id).lastQrText === 'again');
+      const second = openWs(`/api/sessions/${res.body.id}/ws?key=${key}&lastEventId=${encodeURIComponent(qr.id)}`);
+      await waitUntil(() => second.messages.some((m) => m.event === 'qr'));
+      assert.deepEqual(
+        second.messages.map((m) => m.event),
+        ['status', 'qr']
+      );
+      assert.notEqual(second.messages[1].id, qr.id);
+    });
+  });
+
+  describe('QR pairing', () => {
+    it('exports the session to self-chat and cleans up', async () => {
+      const { id, sock, stream } = await startSession({ method: 'qr' });
+      sock.qr();
+      await stream.waitFor('qr');
+
+      sock.open('254711111111');
+      await stream.waitFor('status', (d) => d.status === 'connected');
+      const exported = await stream.waitFor('exported');
+      assert.equal(exported.format, 'legacy');
+      assert.deepEqual(exported.delivered, ['self']);
+
+      assert.equal(sock.sent.length, 2);
+      assert.ok(sock.sent.every((m) => m.jid === '254711111111@s.whatsapp.net'));
+      const token = sock.sent[0].content.text.replace(/```/g, '').trim();
+      assert.equal((await decodeToken(token)).creds.me.id, '254711111111:7@s.whatsapp.net');
+      assert.match(sock.sent[1].content.text, /MANTRA PAIR COMPLETE/);
+
+      await waitUntil(() => !sessions.has(id));
+      assert.equal(sock.ended, true);
+    });
+  });
+
+  describe('code pairing', () => {
+    it('streams the formatted pairing code', async () => {
+      const { sock, stream } = await startSession({ method: 'code', phone: '+254 700 000 001' });
+      const code = await stream.waitFor('code');
+      assert.equal(code.code, 'ABCD-1234');
+      assert.deepEqual(sock.pairingRequests, ['254700000001']);
+      assert.equal(sock.opts.usePairingCode, true);
+    });
+
+    it('reports 403 from requestPairingCode as unavailable', async () => {
+      fake.pairingCode = { statusCode: DisconnectReason.forbidden };
+      const { id, sock, stream } = await startSession({ method: 'code', phone: '254700000002' });
+
+      const err = await stream.waitFor('error');
+      assert.match(err.message, /isn't available right now/);
+      assert.equal(err.code, 'CODE_UNAVAILABLE');
+      assert.equal(err.remediation, 'switch_method');
+      // The session ends, so its pairing slot is free for the next one.
+      await waitUntil(() => !sessions.has(id));
+      assert.equal(sock.ended, true);
+    });
+
+    it('retries on 503 from requestPairingCode with a new socket', async () => {
+      fake.pairingCode = (sock) =>
+        sock === fake.sockets[0] ? { statusCode: DisconnectReason.unavailableService } : 'WXYZ9876';
+      const { stream } = await startSession({ method: 'code', phone: '254700000003' });
+
+      const retry = await stream.waitFor('status', (d) => d.status === 'retrying');
+      assert.deepEqual(retry, { status: 'retrying', retry: 1, maxRetries: 2 });
+
+      await fake.socket(2);
+      assert.equal((await stream.waitFor('code')).code, 'WXYZ-9876');
+      assert.equal(fake.sockets[0].ended, true);
+    });
+  });
+
+  describe('connection close handling', () => {
+    it('ends the session when logged out', async () => {
+      const { id, sock, stream } = await startSession({ method: 'qr' });
+      sock.close(DisconnectReason.loggedOut);
+
+      const err = await stream.waitFor('error');
+      assert.match(err.message, /Logged out/);
+      assert.equal(err.code, 'WA_LOGGED_OUT');
+      await waitUntil(() => !sessions.has(id));
+    });
+
+    it('reconnects on restartRequired and keeps the session', async () => {
+      const { id, sock, stream } = await startSession({ method: 'qr' });
+      sock.close(DisconnectReason.restartRequired);
+
+      await stream.waitFor('status', (d) => d.status === 'retrying' && d.retry === 1);
+      const sock2 = await fake.socket(2);
+      assert.notEqual(sock2, sock);
+      assert.ok(sessions.has(id));
+
+      // Late events from the replaced socket are ignored.
+      sock.close(DisconnectReason.loggedOut);
+      sock2.qr();
+      await stream.waitFor('qr');
+      assert.ok(sessions.has(id));
+    });
+
+    it('gives up after maxRetries with a 503 hint for code pairing', async () => {
+      const { id, sock, stream } = await startSession({ method: 'code', phone: '254700000004' });
+      await stream.waitFor('code');
+
+      let current = sock;
+      for (let retry = 1; retry <= 2; retry += 1) {
+        current.close(DisconnectReason.unavailableService);
+        // eslint-disable-next-line no-await-in-loop
+        await stream.waitFor('status', (d) => d.status === 'retrying' && d.retry === retry);
+        // eslint-disable-next-line no-await-in-loop
+        current = await fake.socket(retry + 1);
+      }
+      current.close(DisconnectReason.unavailableService);
+
+      const err = await stream.waitFor('error');
+      assert.match(err.message, /phone-number pairing \(503\)/);
+      assert.deepEqual([err.code, err.remediation], ['WA_UNAVAILABLE', 'switch_method']);
+      await waitUntil(() => !sessions.has(id));
+    });
+
+    it('does not retry a non-retryable close', async () => {
+      const { id, sock, stream } = await startSession({ method: 'qr' });
+      sock.close(DisconnectReason.badSession);
+
+      const err = await stream.waitFor('error');
+      assert.match(err.message, /code 500/);
+      assert.equal(err.code, 'CONNECTION_CLOSED');
+      assert.equal(fake.sockets.length, 1);
+      await waitUntil(() => !sessions.has(id));
+    });
+  });
+  describe('session control API', () => {
+    async function control(method, id, suffix, key) {
+      const res = await fetch(`${baseUrl}/api/sessions/${id}${suffix}`, {
+        method,
+        headers: key ? { 'x-stream-key': key } : {},
+      });
+      return { status: res.status, body: await res.json() };
+    }
+
+    it('requires the streamKey', async () => {
+      const { body } = await pair({ method: 'qr' });
+      assert.equal((await control('GET', body.id, '')).status, 401);
+      assert.equal((await control('DELETE', body.id, '', 'wrong')).status, 401);
+      assert.ok(sessions.has(body.id));
+    });
+
+    it('reports session state', async () => {
+      const { body } = await pair({ method: 'qr' });
+      const sock = await fake.socket(1);
+      sock.qr();
+      await waitUntil(() => sessions.get(body.id).lastQr);
+
+      const res = await control('GET', body.id, '', body.streamKey);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.method, 'qr');
+      assert.equal(res.body.state, 'waiting_qr');
+      assert.equal(res.body.retries, 0);
+      assert.equal(res.body.hasQr, true);
+      assert.ok(res.body.expiresAt > Date.now());
+    });
+
+    it('cancels a session', async () => {
+      const { id, key, sock, stream } = await startSession({ method: 'qr' });
+
+      const res = await control('DELETE', id, '', key);
+      assert.equal(res.status, 200);
+      await stream.waitFor('status', (d) => d.status === 'cancelled');
+      assert.equal(sessions.has(id), false);
+      assert.equal(sock.ended, true);
+      assert.equal((await control('GET', id, '', key)).status, 404);
+    });
+
+    it('drops the export quietly when the session ends during the export delay', async () => {
+      const { id, sock, stream } = await startSession({ method: 'qr' });
+      const s = pairServer.getSession(id);
+      const errors = [];
+      s.log.error = (...args) => errors.push(args);
+      s.on('status', (d) => {
+        if (d.status === 'connected') s.cancel();
+      });
+      sock.qr();
+      sock.open();
+      await stream.waitFor('status', (d) => d.status === 'cancelled');
+      await new Promise((r) => setTimeout(r, 50));
+
+      assert.deepEqual(errors, []);
+      assert.equal(stream.events.some((e) => ['exported', 'error'].includes(e.event)), false);
+      assert.equal(sock.sent.length, 0);
+    });
+
+    it('requests a new code on the same socket', async () => {
+      const { id, key, sock, stream } = await startSession({ method: 'code', phone: '254700000006' });
+      await stream.waitFor('code');
+
+      fake.pairingCode = 'NEWC0DE1';
+      const res = await control('POST', id, '/code', key);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.code, 'NEWC-0DE1');
+      assert.equal((await stream.waitFor('code', (d) => d.code === 'NEWC-0DE1')).expiresIn, 60);
+      assert.deepEqual(sock.pairingRequests, ['254700000006', '254700000006']);
+      assert.equal(fake.sockets.length, 1);
+    });
+
+    it('refuses a new code for a QR session', async () => {
+      const { body } = await pair({ method: 'qr' });
+      const res = await control('POST', body.id, '/code', body.streamKey);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'NOT_CODE_SESSION');
+    });
+  });
+
+  describe('library API', () => {
+    it('drives a session through events without HTTP', async () => {
+      const s = pairServer.createSession({ method: 'code', phone: '254700000005' });
+      const code = await new Promise((resolve) => s.once('code', resolve));
+      assert.equal(code.code, 'ABCD-1234');
+      assert.equal(pairServer.getSession(s.id), s);
+
+      await s.cleanup();
+      assert.equal(pairServer.getSession(s.id), null);
+    });
+
+    it('throws PairRequestError with a status for bad input', () => {
+      assert.throws(() => pairServer.createSession({ method: 'sms' }), { name: 'PairRequestError', status: 400 });
+    });
+
+    it('mounts the router at any prefix', async () => {
+      const other = express();
+      other.use(express.json());
+      other.use('/pairing/v1', pairServer.router());
+      const srv = other.listen(0);
+      await new Promise((resolve) => srv.once('listening', resolve));
+      try {
+        const res = await fetch(`http://127.0.0.1:${srv.address().port}/pairing/v1/pair`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ method: 'qr' }),
+        });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.ok(sessions.has(body.id));
+      } finally {
+        srv.closeAllConnections();
+        await new Promise((resolve) => srv.close(resolve));
+      }
+    });
+  });
+
+  describe('metrics', () => {
+    // Counters are shared across the suite, so assertions compare before/after.
+    function sample(series) {
+      const line = pairServer.metrics.render().split('\n').find((l) => l.startsWith(`${series} `));
+      return line ? Number(line.slice(series.length + 1)) : 0;
+    }
+
+    it('counts a QR session through to export', async () => {
+      const created = sample('mantra_pair_sessions_created_total{method="qr",tenant="none"}');
+      const qrs = sample('mantra_pair_qrs_issued_total');
+      const exportsBefore = sample('mantra_pair_exports_total{format="legacy",tenant="none"}');
+      const connects = sample('mantra_pair_time_to_connect_seconds_count{method="qr"}');
+
+      const { sock, stream } = await startSession({ method: 'qr' });
+      sock.qr();
+      await stream.waitFor('qr');
+      assert.equal(sample('mantra_pair_open_sockets') >= 1, true);
+      assert.equal(sample('mantra_pair_stream_subscribers') >= 1, true);
+      sock.open();
+      await stream.waitFor('exported');
+
+      assert.equal(sample('mantra_pair_sessions_created_total{method="qr",tenant="none"}'), created + 1);
+      assert.equal(sample('mantra_pair_qrs_issued_total'), qrs + 1);
+      assert.equal(sample('mantra_pair_exports_total{format="legacy",tenant="none"}'), exportsBefore + 1);
+      assert.equal(sample('mantra_pair_time_to_connect_seconds_count{method="qr"}'), connects + 1);
+    });
+
+    it('labels retries and failures with the DisconnectReason code', async () => {
+      const retries = 'mantra_pair_retries_total{method="code",disconnect_reason="503"}';
+      const failures = 'mantra_pair_failures_total{code="WA_UNAVAILABLE",method="code",disconnect_reason="503",tenant="none"}';
+      const retriesBefore = sample(retries);
+      const failuresBefore = sample(failures);
+
+      fake.pairingCode = { statusCode: DisconnectReason.unavailableService };
+      const { stream } = await startSession({ method: 'code', phone: '254700000006' });
+      assert.equal((await stream.waitFor('error')).code, 'WA_UNAVAILABLE');
+
+      assert.equal(sample(retries), retriesBefore + 2);
+      assert.equal(sample(failures), failuresBefore + 1);
+    });
+
+    it('serves the text format over HTTP', async () => {
+      const other = express();
+      other.get('/metrics', (req, res) => res.type(pairServer.metrics.contentType).send(pairServer.metrics.render()));
+      const srv = other.listen(0);
+      await new Promise((resolve) => srv.once('listening', resolve));
+      try {
+        const res = await fetch(`http://127.0.0.1:${srv.address().port}/metrics`);
+        assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(await res.text(), /^# TYPE mantra_pair_sessions_created_total counter$/m);
+      } finally {
+        srv.closeAllConnections();
+        await new Promise((resolve) => srv.close(resolve));
+      }
+    });
+  });
+});
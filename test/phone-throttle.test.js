@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createPhoneThrottle } = require('../lib/phone-throttle');
+
+const config = {
+  windowMs: 60_000,
+  max: 3,
+  cooldownAfter: 2,
+  cooldownMs: 10_000,
+  cooldownMaxMs: 35_000,
+  allow: [],
+  deny: [],
+};
+
+// A stand-in for a code session: observe()/finish() only read method and phone.
+function session(phone) {
+  return { method: 'code', phone };
+}
+
+describe('phone throttle', () => {
+  it('limits codes per number in a sliding window', () => {
+    const t = createPhoneThrottle(config);
+    [0, 1_000, 2_000].forEach((at) => {
+      assert.equal(t.check('254700000001', at), null);
+      t.hit('254700000001', at);
+    });
+
+    const limited = t.check('254700000001', 30_000);
+    assert.equal(limited.code, 'PHONE_THROTTLED');
+    assert.equal(limited.retryAfterMs, 30_000);
+    assert.equal(t.check('254700000002', 30_000), null);
+    assert.equal(t.check('254700000001', 60_001), null);
+  });
+
+  it('escalates cooldowns after unconfirmed codes and clears them on a successful pairing', () => {
+    const t = createPhoneThrottle(config);
+    const code = (at) => {
+      const s = session('254700000003');
+      t.observe(s, 'code', { code: 'ABCD-1234' });
+      t.finish(s, at);
+    };
+
+    code(0);
+    assert.equal(t.check('254700000003', 1), null);
+    code(1_000);
+    assert.deepEqual(t.check('254700000003', 1_000), {
+      code: 'PHONE_COOLDOWN',
+      error: 'Too many unused pairing codes for this number. Wait before requesting another.',
+      retryAfterMs: 10_000,
+    });
+    code(20_000);
+    assert.equal(t.check('254700000003', 20_000).retryAfterMs, 20_000);
+    code(50_000);
+    assert.equal(t.check('254700000003', 50_000).retryAfterMs, 35_000);
+
+    const ok = session('254700000003');
+    t.observe(ok, 'code', { code: 'ABCD-1234' });
+    t.observe(ok, 'status', { status: 'connected' });
+    t.finish(ok, 51_000);
+    assert.equal(t.check('254700000003', 51_000), null);
+  });
+
+  it('applies allow and deny prefixes', () => {
+    const t = createPhoneThrottle({ ...config, allow: '254,255', deny: ['254711111111'] });
+    assert.equal(t.check('254700000001'), null);
+    assert.equal(t.check('255700000001'), null);
+    assert.equal(t.check('14155550100').code, 'PHONE_DENIED');
+    assert.equal(t.check('254711111111').code, 'PHONE_DENIED');
+  });
+
+  it('forgets quiet numbers', () => {
+    const t = createPhoneThrottle(config);
+    t.hit('254700000004', 0);
+    t.prune(10_000);
+    assert.equal(t.size, 1);
+    t.prune(60_000);
+    assert.equal(t.size, 0);
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const express = require('express');
+const pino = require('pino');
+
+const { COUNTRIES, createPairServer, validatePhone } = require('../lib');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+describe('phone validation', () => {
+  it('accepts international numbers in any common notation', () => {
+    assert.deepEqual(validatePhone('+254 712-345-678'), {
+      ok: true,
+      phone: '254712345678',
+      callingCode: '254',
+      regions: ['KE'],
+    });
+    assert.equal(validatePhone('1 (415) 555-0100').callingCode, '1');
+    assert.ok(validatePhone('1 (415) 555-0100').regions.includes('CA'));
+    assert.equal(validatePhone('447911123456').phone, '447911123456');
+  });
+
+  it('rejects lengths that no number with that calling code has', () => {
+    assert.match(validatePhone('25471234567').error, /\+254 have 9 digits after the country code, not 8/);
+    assert.match(validatePhone('4930123').error, /\+49 have 6-13 digits after the country code, not 5/);
+    assert.match(validatePhone('12345').error, /7-15 digits/);
+    assert.match(validatePhone('').error, /7-15 digits/);
+  });
+
+  it('rejects calling codes nobody uses', () => {
+    assert.match(validatePhone('2891234567').error, /No country uses the calling code/);
+  });
+
+  it('checks the number against the picked country', () => {
+    assert.equal(validatePhone('254712345678', 'ke').ok, true);
+    assert.deepEqual(validatePhone('254712345678', 'TZ'), {
+      ok: false,
+      error: '+254712345678 is not a number from TZ.',
+      field: 'country',
+    });
+  });
+
+  it('reads national-format numbers when the country is known', () => {
+    assert.equal(validatePhone('0712 345 678', 'KE').phone, '254712345678');
+    assert.equal(validatePhone('06 1234 5678', 'it').phone, '390612345678');
+    assert.match(validatePhone('0712 345 678').error, /No country uses the calling code/);
+    assert.match(validatePhone('+0712 345 678', 'KE').error, /No country uses the calling code/);
+  });
+
+  it('has one entry per region and prefix-free calling codes', () => {
+    const regions = COUNTRIES.map((c) => c.region);
+    assert.equal(new Set(regions).size, regions.length);
+    const codes = [...new Set(COUNTRIES.map((c) => c.callingCode))];
+    for (const a of codes) {
+      for (const b of codes) assert.ok(a === b || !b.startsWith(a), `+${a} is a prefix of +${b}`);
+    }
+  });
+
+  it('flags the field at fault and serves the country list', async () => {
+    const pair = createPairServer({ logger: pino({ level: 'silent' }), authState: 'memory', wa: createFakeSocketFactory() });
+    await pair.start();
+    const app = express();
+    app.use(express.json());
+    app.use('/api', pair.router());
+    const srv = app.listen(0);
+    await new Promise((resolve) => srv.once('listening', resolve));
+    const url = `http://127.0.0.1:${srv.address().port}/api`;
+    const post = (body) =>
+      fetch(`${url}/pair`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    try {
+      const list = await (await fetch(`${url}/countries`)).json();
+      assert.deepEqual(list.countries.find((c) => c.region === 'KE'), { region: 'KE', callingCode: '254', min: 9, max: 9 });
+
+      const wrongCountry = await (await post({ method: 'code', phone: '254712345678', country: 'UG' })).json();
+      assert.equal(wrongCountry.code, 'INVALID_PHONE');
+      assert.equal(wrongCountry.field, 'country');
+
+      const badLength = await (await post({ method: 'code', phone: '2547123456789' })).json();
+      assert.equal(badLength.field, 'phone');
+
+      const badMethod = await (await post({ method: 'sms' })).json();
+      assert.equal(badMethod.field, 'method');
+    } finally {
+      await pair.stop();
+      srv.closeAllConnections();
+      await new Promise((resolve) => srv.close(resolve));
+    }
+  });
+});
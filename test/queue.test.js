@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+function statuses(session) {
+  const seen = [];
+  session.on('status', (d) => seen.push(d));
+  return seen;
+}
+
+async function withServer(opts, fn) {
+  const fake = createFakeSocketFactory();
+  const pair = createPairServer({
+    logger: pino({ level: 'silent' }),
+    authState: 'memory',
+    maxActiveSessions: 1,
+    maxQueued: 1,
+    sessionTtlMs: 60_000,
+    ...opts,
+    wa: fake,
+  });
+  await pair.start();
+  try {
+    await fn(pair, fake);
+  } finally {
+    await pair.stop();
+  }
+}
+
+describe('session queue', () => {
+  it('queues sessions over the cap and starts them in order', async () => {
+    await withServer({}, async (pair, fake) => {
+      const first = pair.createSession({ method: 'qr' });
+      await fake.socket(1);
+
+      const second = pair.createSession({ method: 'qr' });
+      const seen = statuses(second);
+      assert.deepEqual(second.events.map((e) => e.data), [{ status: 'queued', position: 1, etaMs: 60_000 }]);
+      assert.equal(second.snapshot().queuePosition, 1);
+      assert.equal(second.startedAt, null);
+      assert.equal(pair.health().queuedSessions, 1);
+
+      assert.throws(() => pair.createSession({ method: 'qr' }), { code: 'QUEUE_FULL', status: 503 });
+
+      await first.cancel();
+      await fake.socket(2);
+      assert.equal(second.queuePosition, null);
+      assert.ok(second.startedAt);
+      assert.equal(second.expiresAt, second.startedAt + 60_000);
+      assert.equal(seen.at(-1).status, 'waiting_qr');
+      assert.deepEqual([pair.health().liveSockets, pair.health().queuedSessions], [1, 0]);
+    });
+  });
+
+  it('gives up on sessions that wait too long', async () => {
+    await withServer({ queueTimeoutMs: 30 }, async (pair, fake) => {
+      pair.createSession({ method: 'qr' });
+      await fake.socket(1);
+
+      const waiting = pair.createSession({ method: 'qr' });
+      const err = await new Promise((resolve) => waiting.once('session_error', resolve));
+      assert.equal(err.code, 'QUEUE_TIMEOUT');
+      assert.equal(pair.health().queuedSessions, 0);
+      assert.equal(fake.sockets.length, 1);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const fs = require('fs-extra');
+
+const { createAuthStateProvider } = require('../lib/auth-state');
+const { createFileStore, createMemoryStore } = require('../lib/session-store');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mantra-store-'));
+after(() => fs.remove(tmp));
+
+// A pid that no longer belongs to anything.
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+describe('session store sweep', () => {
+  it('removes only crashed runs from this host in a shared temp dir', async () => {
+    const shared = path.join(tmp, 'shared');
+    const other = createMemoryStore({ tempDir: shared, instanceId: 'host-a' });
+    await other.sweep();
+    await fs.ensureDir(other.authDir('sess_live'));
+
+    const crashed = path.join(shared, 'run-crashed');
+    await fs.outputJson(path.join(crashed, 'owner.json'), { instanceId: 'host-a', pid: deadPid() });
+    const remote = path.join(shared, 'run-remote');
+    await fs.outputJson(path.join(remote, 'owner.json'), { instanceId: 'host-b', pid: deadPid() });
+    const foreign = path.join(shared, 'someone-elses-session');
+    await fs.ensureDir(foreign);
+
+    const store = createMemoryStore({ tempDir: shared, instanceId: 'host-a' });
+    assert.deepEqual(await store.sweep(), [crashed]);
+    assert.ok(await fs.pathExists(other.authDir('sess_live')));
+    assert.ok(await fs.pathExists(remote));
+    assert.ok(await fs.pathExists(foreign));
+
+    await store.close();
+    await other.close();
+    assert.equal(await fs.pathExists(other.authDir('sess_live')), false);
+  });
+
+  it('keeps file-store auth dirs that have a record or may be getting one', async () => {
+    const dir = path.join(tmp, 'file');
+    const store = createFileStore({ dir, instanceId: 'host-a', leaseMs: 60_000 });
+    await fs.outputJson(path.join(dir, 'sessions', 'sess_owned.json'), { id: 'sess_owned', owner: 'host-b' });
+    await fs.ensureDir(path.join(dir, 'auth', 'sess_owned'));
+    await fs.ensureDir(path.join(dir, 'auth', 'sess_new'));
+    const stale = path.join(dir, 'auth', 'sess_stale');
+    await fs.ensureDir(stale);
+    const old = new Date(Date.now() - 120_000);
+    await fs.utimes(stale, old, old);
+
+    assert.deepEqual(await store.sweep(), [stale]);
+    assert.ok(await fs.pathExists(path.join(dir, 'auth', 'sess_owned')));
+    assert.ok(await fs.pathExists(path.join(dir, 'auth', 'sess_new')));
+  });
+});
+
+describe('file store ownership', () => {
+  const session = (id) => ({ id, streamKey: 'k', method: 'qr', createdAt: Date.now(), startedAt: Date.now() });
+
+  it('lets exactly one of two instances claim an abandoned record', async () => {
+    const dir = path.join(tmp, 'claim');
+    await fs.outputJson(path.join(dir, 'sessions', 'sess_1.json'), { id: 'sess_1', owner: 'host-c', heartbeatAt: 1 });
+    const a = createFileStore({ dir, instanceId: 'host-a', leaseMs: 60_000 });
+    const b = createFileStore({ dir, instanceId: 'host-b', leaseMs: 60_000 });
+
+    const [fromA, fromB] = await Promise.all([a.load(), b.load()]);
+    const winners = [fromA, fromB].filter((records) => records.length);
+    assert.equal(winners.length, 1);
+    const record = await fs.readJson(path.join(dir, 'sessions', 'sess_1.json'));
+    assert.equal(record.owner, winners[0][0].owner);
+    assert.ok(Date.now() - record.heartbeatAt < 60_000);
+    assert.deepEqual((await fs.readdir(path.join(dir, 'sessions'))).sort(), ['sess_1.json']);
+  });
+
+  it('hands records off on stop so another instance adopts them before the lease runs out', async () => {
+    const dir = path.join(tmp, 'handoff');
+    const a = createFileStore({ dir, instanceId: 'host-a', leaseMs: 60_000 });
+    const b = createFileStore({ dir, instanceId: 'host-b', leaseMs: 60_000 });
+    a.set('sess_2', session('sess_2'));
+    await a.save(a.get('sess_2'));
+    assert.deepEqual(await b.load(), []);
+
+    await a.handOff(a.get('sess_2'));
+    assert.equal(a.has('sess_2'), false);
+    // A late cleanup on the old instance must not drop the record it no longer owns.
+    a.delete('sess_2');
+    const [record] = await b.load();
+    assert.equal(record.id, 'sess_2');
+    assert.equal(record.owner, 'host-b');
+
+    b.set('sess_2', record);
+    assert.deepEqual(await b.load(), []);
+  });
+});
+
+describe('resumable auth state', () => {
+  it('lets another instance open encrypted auth state keyed off the session secret', async () => {
+    const s = { id: 'sess_3', dir: path.join(tmp, 'auth-enc', 'sess_3') };
+    const first = await createAuthStateProvider('encrypted', { secret: 's3cret' }).open(s);
+    const { state, saveCreds } = await first.load();
+    await saveCreds();
+
+    const resumed = await createAuthStateProvider('encrypted', { secret: 's3cret' }).open(s);
+    assert.equal((await resumed.load()).state.creds.registrationId, state.creds.registrationId);
+
+    // After a secret change the old files are unreadable, so the session starts clean instead of failing.
+    const rotated = await createAuthStateProvider('encrypted', { secret: 'other' }).open(s);
+    assert.deepEqual(await rotated.readFiles(), {});
+  });
+});
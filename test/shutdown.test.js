@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const express = require('express');
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+const { openStream } = require('./helpers/sse');
+
+// A server on an ephemeral port; exportDelayMs keeps a connected session "exporting" long enough to drain.
+async function listen(options) {
+  const fake = createFakeSocketFactory();
+  const pair = createPairServer({
+    logger: pino({ level: 'silent' }),
+    authState: 'memory',
+    cleanupDelayMs: 20,
+    wa: fake,
+    ...options,
+  });
+  await pair.start();
+  const app = express();
+  app.use(express.json());
+  app.use('/api', pair.router());
+  const srv = app.listen(0);
+  await new Promise((resolve) => srv.once('listening', resolve));
+  const url = `http://127.0.0.1:${srv.address().port}/api`;
+  const streams = [];
+  return {
+    pair,
+    fake,
+    async open(body) {
+      const res = await fetch(`${url}/pair`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const json = await res.json();
+      if (res.status !== 200) return { status: res.status, body: json };
+      const stream = openStream(`${url}/sessions/${json.id}/events?key=${encodeURIComponent(json.streamKey)}`);
+      streams.push(stream);
+      await stream.ready;
+      return { status: res.status, body: json, stream };
+    },
+    async close() {
+      streams.forEach((s) => s.close());
+      await pair.stop();
+      srv.closeAllConnections();
+      await new Promise((resolve) => srv.close(resolve));
+    },
+  };
+}
+
+describe('graceful shutdown', () => {
+  it('fails readiness, refuses new sessions and lets connected ones finish exporting', async () => {
+    const t = await listen({ exportDelayMs: 300 });
+    try {
+      assert.deepEqual(t.pair.ready(), { ok: true, state: 'ready', activeSessions: 0 });
+
+      const connected = await t.open({ method: 'qr' });
+      const sock = await t.fake.socket(1);
+      sock.qr();
+      sock.open();
+      await connected.stream.waitFor('status', (d) => d.status === 'connected');
+
+      const waiting = await t.open({ method: 'qr' });
+      await t.fake.socket(2);
+
+      const drained = t.pair.drain(5_000);
+      assert.equal(t.pair.ready().ok, false);
+      assert.equal(t.pair.ready().state, 'draining');
+      assert.equal(t.pair.health().ok, true);
+
+      const shutdown = await waiting.stream.waitFor('server_shutdown');
+      assert.equal(shutdown.code, 'SERVER_SHUTDOWN');
+      assert.equal(shutdown.remediation, 'retry_after');
+      assert.equal(shutdown.resumable, false);
+
+      const refused = await t.open({ method: 'qr' });
+      assert.equal(refused.status, 503);
+      assert.equal(refused.body.code, 'SERVER_SHUTDOWN');
+      assert.equal(refused.body.retryAfterMs, 5_000);
+
+      await connected.stream.waitFor('exported');
+      await drained;
+      assert.equal(t.pair.ready().state, 'stopped');
+      assert.equal(connected.stream.events.some((e) => e.event === 'server_shutdown'), false);
+      assert.equal(t.pair.drain(), drained);
+    } finally {
+      await t.close();
+    }
+  });
+
+  it('refuses sessions before start() and after the server stopped', async () => {
+    const pair = createPairServer({ logger: pino({ level: 'silent' }), authState: 'memory', wa: createFakeSocketFactory() });
+    assert.throws(() => pair.createSession({ method: 'qr' }), { code: 'SERVER_NOT_READY', status: 503 });
+    assert.equal(pair.ready().ok, false);
+
+    await pair.start();
+    await pair.createSession({ method: 'qr' }).cancel();
+    await pair.drain(0);
+    assert.throws(() => pair.createSession({ method: 'qr' }), { code: 'SERVER_SHUTDOWN', status: 503 });
+    assert.equal(pair.sessions.size, 0);
+  });
+
+  it('stops sessions still exporting when the deadline passes', async () => {
+    const t = await listen({ exportDelayMs: 1_500 });
+    try {
+      const connected = await t.open({ method: 'qr' });
+      const sock = await t.fake.socket(1);
+      sock.qr();
+      sock.open();
+      await connected.stream.waitFor('status', (d) => d.status === 'connected');
+
+      const started = Date.now();
+      await t.pair.drain(200);
+      assert.ok(Date.now() - started < 1_000);
+      assert.equal(sock.ended, true);
+      assert.equal(connected.stream.events.some((e) => e.event === 'exported'), false);
+    } finally {
+      await t.close();
+    }
+  });
+});
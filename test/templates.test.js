@@ -0,0 +1,113 @@
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const fs = require('fs-extra');
+const pino = require('pino');
+
+const { createPairServer } = require('../lib');
+const { loadCompletionTemplates } = require('../lib/templates');
+const { createFakeSocketFactory } = require('./helpers/fake-socket');
+
+const pairedAt = new Date(Date.UTC(2026, 0, 2, 3, 4));
+const sw = {
+  message: '*UMEUNGANISHWA* ✅\n{{pairedAt}}\n{{received}}\n{{nextSteps}}\n{{footer}}',
+  received: { one: 'Tokeni ({{tokenHint}})', other: 'Tokeni {{parts}} ({{tokenHint}})' },
+  nextSteps: 'Weka tokeni kwenye {{botName}}.\nMwongozo: {{docsUrl}}',
+  footer: '_Mantra_',
+};
+
+describe('completion templates', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mantra-templates-'));
+    await fs.writeJson(path.join(dir, 'sw.json'), sw);
+    await fs.outputJson(path.join(dir, 'tenants', 'acme.json'), {
+      botName: 'AcmeBot',
+      footer: '_Acme Support_',
+      locales: { sw: { footer: '' } },
+    });
+  });
+
+  after(() => fs.remove(dir));
+
+  it('renders the built-in English message', () => {
+    const t = loadCompletionTemplates();
+    const text = t.render({ tokens: ['a'], format: 'legacy', pairedAt });
+    assert.match(text, /^\*MANTRA PAIR COMPLETE\* ✅\nPaired: Jan 2, 2026, 3:04 AM UTC\n/);
+    assert.match(text, /- Session token \(starts with Mantra~\.\.\.\)/);
+    assert.match(text, /Paste it into your bot config/);
+    assert.doesNotMatch(text, /Guide:/);
+    assert.match(text, /_Powered by Mantra Inc_$/);
+
+    const parts = loadCompletionTemplates({ docsUrl: 'https://docs.example' }).render({
+      tokens: ['a', 'b'],
+      format: 'bundle',
+      pairedAt,
+    });
+    assert.match(parts, /in 2 parts \(each starts with MantraBundle~\.\.\.\)/);
+    assert.match(parts, /Copy every token part above/);
+    assert.match(parts, /Guide: https:\/\/docs\.example/);
+  });
+
+  it('picks the request locale and falls back to its language, then the default', () => {
+    const t = loadCompletionTemplates({ dir });
+    assert.deepEqual(t.locales.sort(), ['en', 'sw']);
+    assert.equal(t.resolveLocale('sw'), 'sw');
+    assert.equal(t.resolveLocale('SW_KE'), 'sw');
+    assert.equal(t.resolveLocale('fr'), 'en');
+    assert.equal(t.resolveLocale(undefined), 'en');
+
+    const text = t.render({ locale: 'sw-KE', tokens: ['a', 'b'], format: 'legacy', pairedAt });
+    assert.equal(text.split('\n')[0], '*UMEUNGANISHWA* ✅');
+    assert.match(text, /Tokeni 2 \(Mantra~\.\.\.\)/);
+    assert.match(text, /Weka tokeni kwenye bot\.$/m);
+  });
+
+  it('stores the resolved locale on the session', async () => {
+    const pair = createPairServer({
+      logger: pino({ level: 'silent' }),
+      authState: 'memory',
+      completion: { dir },
+      wa: createFakeSocketFactory(),
+    });
+    await pair.start();
+    try {
+      assert.equal(pair.createSession({ method: 'qr', locale: 'sw-TZ' }).locale, 'sw');
+      assert.equal(pair.createSession({ method: 'qr', locale: 'xx' }).snapshot().locale, 'en');
+    } finally {
+      await pair.stop();
+    }
+  });
+
+  it('applies tenant overrides per locale', () => {
+    const t = loadCompletionTemplates({ dir });
+    const en = t.render({ tenant: 'acme', tokens: ['a'], format: 'legacy', pairedAt });
+    assert.match(en, /Paste it into your AcmeBot config/);
+    assert.match(en, /_Acme Support_$/);
+
+    const swText = t.render({ locale: 'sw', tenant: 'acme', tokens: ['a'], format: 'legacy', pairedAt });
+    assert.match(swText, /kwenye AcmeBot/);
+    assert.doesNotMatch(swText, /_Mantra_|_Acme Support_/);
+  });
+
+  it('fails at startup on a broken template', async () => {
+    const bad = await fs.mkdtemp(path.join(os.tmpdir(), 'mantra-templates-'));
+    try {
+      await fs.writeJson(path.join(bad, 'fr.json'), { ...sw, footer: 'Merci {{botname}}' });
+      assert.throws(
+        () => createPairServer({ logger: pino({ level: 'silent' }), completion: { dir: bad } }),
+        /fr\.json: unknown variable \{\{botname\}\} in "footer"/
+      );
+
+      await fs.remove(path.join(bad, 'fr.json'));
+      await fs.outputJson(path.join(bad, 'tenants', 'acme.json'), { message: 'hi' });
+      assert.throws(() => loadCompletionTemplates({ dir: bad }), /"message" can't be overridden/);
+      assert.throws(() => loadCompletionTemplates({ defaultLocale: 'de' }), /default locale "de"/);
+    } finally {
+      await fs.remove(bad);
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { describe, it } = require('node:test');
+
+const fs = require('fs-extra');
+
+const { b64url, createKeyring, fromB64url, parseRetiredSecrets, exportTokensFromCreds } = require('../lib/tokens');
+const { exportBundleTokens, readAuthDir, restoreBundle } = require('../lib/bundle');
+const { decodeToken, inspectToken } = require('../lib/decode');
+
+const creds = {
+  registrationId: 4242,
+  noiseKey: { private: { type: 'Buffer', data: 'AAAA' }, public: { type: 'Buffer', data: 'BBBB' } },
+  signedIdentityKey: { private: { type: 'Buffer', data: 'CCCC' }, public: { type: 'Buffer', data: 'DDDD' } },
+  me: { id: '254700000009:3@s.whatsapp.net', name: 'Test' },
+  registered: true,
+};
+const credsBytes = Buffer.from(JSON.stringify(creds));
+
+describe('exportTokensFromCreds / decodeToken', () => {
+  it('round-trips a legacy Mantra~ token', async () => {
+    const [token] = exportTokensFromCreds(credsBytes);
+    assert.match(token, /^Mantra~/);
+    assert.deepEqual((await decodeToken(token)).creds, creds);
+  });
+
+  it('round-trips an encrypted v2 token and reports the key id', async () => {
+    const keyring = createKeyring({ secret: 'current-secret', kid: 'k1' });
+    const [token] = exportTokensFromCreds(credsBytes, { encrypted: true, keyring });
+    assert.match(token, /^MantraEnc~2\./);
+
+    const decoded = await decodeToken(token, { keyring });
+    assert.equal(decoded.format, 'encrypted');
+    assert.deepEqual(decoded.encryption, { version: 2, kid: 'k1', retired: false });
+    assert.deepEqual(decoded.creds, creds);
+  });
+
+  it('decodes tokens sealed with a retired secret after rotation', async () => {
+    const old = createKeyring({ secret: 'old-secret', kid: 'k1' });
+    const [token] = exportTokensFromCreds(credsBytes, { encrypted: true, keyring: old });
+
+    const rotated = createKeyring({ secret: 'new-secret', kid: 'k2', retired: parseRetiredSecrets('k1:old-secret') });
+    assert.deepEqual((await decodeToken(token, { keyring: rotated })).encryption, { version: 2, kid: 'k1', retired: true });
+    await assert.rejects(decodeToken(token, { keyring: createKeyring({ secret: 'new-secret', kid: 'k2' }) }), /unknown key id/);
+  });
+
+  it('needs a key id to seal but still opens tokens sealed under the derived one', async () => {
+    assert.throws(
+      () => exportTokensFromCreds(credsBytes, { encrypted: true, keyring: createKeyring({ secret: 's' }) }),
+      /SESSION_KEY_ID is required/
+    );
+    // What older versions put in the header when SESSION_KEY_ID was unset.
+    const derived = crypto.createHash('sha256').update('mantra-kid:s').digest('hex').slice(0, 8);
+    const [token] = exportTokensFromCreds(credsBytes, { encrypted: true, keyring: createKeyring({ secret: 's', kid: derived }) });
+    assert.deepEqual((await decodeToken(token, { keyring: createKeyring({ secret: 's', kid: 'k1' }) })).creds, creds);
+    assert.deepEqual((await decodeToken(token, { keyring: createKeyring({ secret: 's' }) })).creds, creds);
+  });
+
+  it('rejects a tampered encrypted token', async () => {
+    const keyring = createKeyring({ secret: 's', kid: 'k1' });
+    const [token] = exportTokensFromCreds(credsBytes, { encrypted: true, keyring });
+    const tampered = token.slice(0, -4) + (token.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    await assert.rejects(decodeToken(tampered, { keyring }), /Decryption failed/);
+  });
+
+  it('refuses KDF parameters other than the ones it seals with', async () => {
+    const keyring = createKeyring({ secret: 's', kid: 'k1' });
+    const [token] = exportTokensFromCreds(credsBytes, { encrypted: true, keyring });
+    const blob = fromB64url(token.slice('MantraEnc~2.'.length));
+    const headerLen = blob.readUInt16BE(1);
+    const header = JSON.parse(blob.subarray(3, 3 + headerLen).toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...header, N: 1 << 17, r: 16, p: 4 }), 'utf8');
+    const len = Buffer.alloc(2);
+    len.writeUInt16BE(forged.length);
+    const crafted = `MantraEnc~2.${b64url(Buffer.concat([blob.subarray(0, 1), len, forged, blob.subarray(3 + headerLen)]))}`;
+
+    const started = Date.now();
+    await assert.rejects(decodeToken(crafted, { keyring }), /Unsupported KDF parameter N/);
+    assert.ok(Date.now() - started < 500);
+  });
+});
+
+describe('bundles', () => {
+  it('chunks large bundles and restores the directory layout', async () => {
+    const src = await fs.mkdtemp(path.join(os.tmpdir(), 'mantra-src-'));
+    const out = await fs.mkdtemp(path.join(os.tmpdir(), 'mantra-out-'));
+    try {
+      await fs.writeFile(path.join(src, 'creds.json'), credsBytes);
+      await fs.writeFile(path.join(src, 'pre-key-1.json'), crypto.randomBytes(6000).toString('base64'));
+
+      const keyring = createKeyring({ secret: 's', kid: 'k1' });
+      const tokens = exportBundleTokens(await readAuthDir(src), { encrypted: true, keyring, chunkSize: 1000 });
+      assert.ok(tokens.length > 1);
+      assert.ok(tokens.every((t) => t.startsWith('MantraBundleEnc~2.')));
+
+      await restoreBundle([...tokens].reverse(), out, { keyring });
+      assert.deepEqual(await readAuthDir(out), await readAuthDir(src));
+    } finally {
+      await fs.remove(src);
+      await fs.remove(out);
+    }
+  });
+
+  it('reports a missing chunk', async () => {
+    const tokens = exportBundleTokens({ 'creds.json': credsBytes, 'x.json': crypto.randomBytes(4000) }, { chunkSize: 1000 });
+    await assert.rejects(decodeToken(tokens.slice(1).join('\n')), /Missing bundle chunk 1/);
+  });
+
+  it('refuses bundles that inflate or split beyond real session sizes', async () => {
+    const bomb = zlib.gzipSync(Buffer.alloc(40 * 1024 * 1024), { level: 9 });
+    await assert.rejects(decodeToken(`MantraBundle~2.abcd1234.1.1.${b64url(bomb)}`), /too large once inflated/);
+    await assert.rejects(decodeToken('MantraBundle~2.abcd1234.1.5000.AAAA'), /too many chunks/);
+  });
+
+  it('reports gzip data that is not JSON as an invalid payload', async () => {
+    const garbage = b64url(zlib.gzipSync(Buffer.from('not json')));
+    await assert.rejects(decodeToken(`MantraBundle~2.abcd1234.1.1.${garbage}`), { message: 'Invalid bundle payload' });
+  });
+});
+
+describe('inspectToken', () => {
+  it('returns metadata without key material', async () => {
+    const keyring = createKeyring({ secret: 's', kid: 'k1' });
+    const [token] = exportTokensFromCreds(credsBytes, { encrypted: true, keyring });
+    const result = await inspectToken(token, { keyring });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.pairedNumber, '254700000009');
+    assert.equal(result.format, 'encrypted');
+    assert.ok(!JSON.stringify(result).includes('AAAA'));
+  });
+
+  it('flags creds that never finished pairing', async () => {
+    const [token] = exportTokensFromCreds(Buffer.from(JSON.stringify({ ...creds, me: undefined })));
+    const result = await inspectToken(token);
+    assert.equal(result.valid, false);
+    assert.ok(result.problems.some((p) => p.includes('me.id')));
+  });
+});